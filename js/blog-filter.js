@@ -0,0 +1,271 @@
+//
+//  blog-filter.js
+//  Tag, text and date filtering for the Medium blog cards
+//
+
+class BlogFilter {
+    constructor(container) {
+        this.container = container;
+        this.cards = [];
+        this.tags = new Map(); // lower-cased tag -> display label
+
+        this.state = this.readState();
+        this.createControls();
+
+        this.handlePopState = () => {
+            this.state = this.readState();
+            this.syncControls();
+            this.apply();
+        };
+        window.addEventListener('popstate', this.handlePopState);
+    }
+
+    // The router swaps the blog section out without a page load; after this the filter is inert
+    destroy() {
+        window.removeEventListener('popstate', this.handlePopState);
+        clearTimeout(this.searchTimer);
+        this.controls.remove();
+        this.emptyMessage.remove();
+    }
+
+    // Re-reads the cards produced by PortfolioApp.createBlogCard; call after every render
+    refresh() {
+        this.cards = Array.from(this.container.querySelectorAll('.blog-card')).map(card => {
+            const categories = (card.dataset.categories || '')
+                .split(',')
+                .filter(Boolean)
+                .map(category => decodeURIComponent(category));
+            const date = new Date(card.dataset.date);
+
+            return {
+                element: card,
+                tags: categories.map(category => category.toLowerCase()),
+                labels: categories,
+                date: isNaN(date) ? null : date,
+                text: [
+                    card.querySelector('.blog-title')?.textContent,
+                    card.querySelector('.blog-description')?.textContent
+                ].join(' ').toLowerCase()
+            };
+        });
+
+        this.tags = new Map();
+        this.cards.forEach(card => card.tags.forEach((tag, index) => {
+            if (!this.tags.has(tag)) this.tags.set(tag, card.labels[index]);
+        }));
+
+        this.renderTagButtons();
+        this.apply();
+    }
+
+    setTags(tags) {
+        this.update({ tags: tags.map(tag => tag.toLowerCase()) });
+    }
+
+    // SECTION: URL state
+
+    readState() {
+        const params = new URLSearchParams(window.location.search);
+
+        return {
+            tags: (params.get('tag') || '').toLowerCase().split(',').filter(Boolean),
+            match: params.get('match') === 'all' ? 'all' : 'any',
+            query: params.get('search') || '',
+            from: params.get('from') || '',
+            to: params.get('to') || ''
+        };
+    }
+
+    writeState(push) {
+        const params = new URLSearchParams(window.location.search);
+        const set = (name, value) => {
+            if (value) {
+                params.set(name, value);
+            } else {
+                params.delete(name);
+            }
+        };
+
+        set('tag', this.state.tags.join(','));
+        set('match', this.state.match === 'all' ? 'all' : '');
+        set('search', this.state.query);
+        set('from', this.state.from);
+        set('to', this.state.to);
+
+        const search = params.toString();
+        const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+        if (push) {
+            history.pushState(history.state, '', url);
+        } else {
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    update(changes, push = true) {
+        this.state = { ...this.state, ...changes };
+        this.writeState(push);
+        this.syncControls();
+        this.apply();
+    }
+
+    // SECTION: Controls
+
+    createControls() {
+        this.controls = document.createElement('div');
+        this.controls.className = 'blog-filter';
+        this.controls.innerHTML = `
+            <div class="filter-buttons" role="group" aria-label="Filter articles by tag"></div>
+            <div class="blog-filter-options">
+                <input type="search" class="blog-filter-search" placeholder="Search articles" aria-label="Search articles" />
+                <label class="blog-filter-match">
+                    <input type="checkbox" class="blog-filter-match-all" />
+                    <span>Match all selected tags</span>
+                </label>
+                <label class="blog-filter-date">
+                    <span>From</span>
+                    <input type="date" class="blog-filter-from" />
+                </label>
+                <label class="blog-filter-date">
+                    <span>To</span>
+                    <input type="date" class="blog-filter-to" />
+                </label>
+            </div>
+        `;
+
+        this.buttons = this.controls.querySelector('.filter-buttons');
+        this.searchInput = this.controls.querySelector('.blog-filter-search');
+        this.matchAllInput = this.controls.querySelector('.blog-filter-match-all');
+        this.fromInput = this.controls.querySelector('.blog-filter-from');
+        this.toInput = this.controls.querySelector('.blog-filter-to');
+
+        this.buttons.addEventListener('click', (e) => {
+            const button = e.target.closest('.filter-btn');
+            if (!button) return;
+
+            const tag = button.dataset.tag;
+            if (!tag) {
+                this.update({ tags: [] });
+                return;
+            }
+
+            const tags = new Set(this.state.tags);
+            if (tags.has(tag)) {
+                tags.delete(tag);
+            } else {
+                tags.add(tag);
+            }
+            this.update({ tags: Array.from(tags) });
+        });
+
+        // Arrow keys move between filter buttons; Tab still leaves the group
+        this.buttons.addEventListener('keydown', (e) => {
+            if (e.key !== 'ArrowRight' && e.key !== 'ArrowLeft') return;
+
+            const buttons = Array.from(this.buttons.querySelectorAll('.filter-btn'));
+            const index = buttons.indexOf(document.activeElement);
+            if (index === -1) return;
+
+            e.preventDefault();
+            const offset = e.key === 'ArrowRight' ? 1 : -1;
+            buttons[(index + offset + buttons.length) % buttons.length].focus();
+        });
+
+        this.searchTimer = null;
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.update({ query: this.searchInput.value.trim() }, false), 250);
+        });
+        this.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.searchInput.value) {
+                e.stopPropagation();
+                this.update({ query: '' }, false);
+            }
+        });
+
+        this.matchAllInput.addEventListener('change', () => this.update({ match: this.matchAllInput.checked ? 'all' : 'any' }));
+        this.fromInput.addEventListener('change', () => this.update({ from: this.fromInput.value }));
+        this.toInput.addEventListener('change', () => this.update({ to: this.toInput.value }));
+
+        this.emptyMessage = document.createElement('p');
+        this.emptyMessage.className = 'blog-empty';
+        this.emptyMessage.setAttribute('role', 'status');
+        this.emptyMessage.hidden = true;
+
+        this.container.before(this.controls);
+        this.container.after(this.emptyMessage);
+        this.syncControls();
+    }
+
+    renderTagButtons() {
+        const createButton = (label, tag, count) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'filter-btn';
+            button.textContent = count === undefined ? label : `${label} (${count})`;
+            if (tag) button.dataset.tag = tag;
+            return button;
+        };
+
+        const counts = new Map();
+        this.cards.forEach(card => card.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+
+        this.buttons.replaceChildren(
+            createButton('All'),
+            ...Array.from(this.tags.entries())
+                .sort((a, b) => counts.get(b[0]) - counts.get(a[0]) || a[1].localeCompare(b[1]))
+                .map(([tag, label]) => createButton(label, tag, counts.get(tag)))
+        );
+        this.syncControls();
+    }
+
+    syncControls() {
+        this.buttons.querySelectorAll('.filter-btn').forEach(button => {
+            const tag = button.dataset.tag;
+            const active = tag ? this.state.tags.includes(tag) : this.state.tags.length === 0;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+
+        this.searchInput.value = this.state.query;
+        this.matchAllInput.checked = this.state.match === 'all';
+        this.fromInput.value = this.state.from;
+        this.toInput.value = this.state.to;
+    }
+
+    // SECTION: Filtering
+
+    matches(card) {
+        const { tags, match, query, from, to } = this.state;
+
+        if (tags.length > 0) {
+            const hasTag = tag => card.tags.includes(tag);
+            if (match === 'all' ? !tags.every(hasTag) : !tags.some(hasTag)) return false;
+        }
+
+        if (query && !query.toLowerCase().split(/\s+/).every(term => card.text.includes(term))) {
+            return false;
+        }
+
+        if (from || to) {
+            if (!card.date) return false;
+            if (from && card.date < new Date(`${from}T00:00:00`)) return false;
+            if (to && card.date > new Date(`${to}T23:59:59.999`)) return false;
+        }
+
+        return true;
+    }
+
+    apply() {
+        let visibleCount = 0;
+        this.cards.forEach(card => {
+            const visible = this.matches(card);
+            card.element.hidden = !visible;
+            if (visible) visibleCount++;
+        });
+
+        this.emptyMessage.hidden = visibleCount > 0 || this.cards.length === 0;
+        this.emptyMessage.textContent = 'No articles match these filters.';
+    }
+}
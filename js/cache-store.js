@@ -0,0 +1,309 @@
+//
+//  cache-store.js
+//  Persistent stale-while-revalidate cache shared by the portfolio integrations
+//
+
+// Key/value storage backed by IndexedDB
+class IndexedDBStore {
+    constructor(dbName = 'portfolio-cache', storeName = 'entries') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    get(key) {
+        return this.transaction('readonly', store => store.get(key));
+    }
+
+    getAll() {
+        return this.transaction('readonly', store => store.getAll());
+    }
+
+    set(entry) {
+        return this.transaction('readwrite', store => store.put(entry));
+    }
+
+    delete(key) {
+        return this.transaction('readwrite', store => store.delete(key));
+    }
+
+    clear() {
+        return this.transaction('readwrite', store => store.clear());
+    }
+}
+
+// Same interface as IndexedDBStore, for browsers (or private modes) without IndexedDB
+class LocalStorageStore {
+    constructor(prefix = 'portfolio-cache:') {
+        this.prefix = prefix;
+    }
+
+    keys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(this.prefix)) keys.push(key);
+        }
+        return keys;
+    }
+
+    async get(key) {
+        const raw = localStorage.getItem(this.prefix + key);
+        if (!raw) return undefined;
+
+        try {
+            return JSON.parse(raw);
+        } catch {
+            localStorage.removeItem(this.prefix + key);
+            return undefined;
+        }
+    }
+
+    async getAll() {
+        return this.keys()
+            .map(key => {
+                try {
+                    return JSON.parse(localStorage.getItem(key));
+                } catch {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    async set(entry) {
+        localStorage.setItem(this.prefix + entry.key, JSON.stringify(entry));
+    }
+
+    async delete(key) {
+        localStorage.removeItem(this.prefix + key);
+    }
+
+    async clear() {
+        this.keys().forEach(key => localStorage.removeItem(key));
+    }
+}
+
+// Stale-while-revalidate HTTP cache with conditional requests and per-source TTLs
+class CacheStore {
+    constructor(options = {}) {
+        this.ttls = {
+            default: 10 * 60 * 1000, // 10 minutes
+            ...options.ttls
+        };
+        this.maxEntries = options.maxEntries || 100;
+        this.backend = options.backend || CacheStore.createBackend();
+        this.inflight = new Map();
+    }
+
+    static createBackend() {
+        if (IndexedDBStore.isSupported()) {
+            return new IndexedDBStore();
+        }
+        return new LocalStorageStore();
+    }
+
+    ttlFor(source) {
+        return this.ttls[source] ?? this.ttls.default;
+    }
+
+    isFresh(entry, ttl) {
+        return Date.now() - entry.timestamp < ttl;
+    }
+
+    async getEntry(key) {
+        try {
+            return await this.backend.get(key);
+        } catch (error) {
+            // IndexedDB can fail at runtime (quota, private mode); drop to localStorage
+            if (!(this.backend instanceof LocalStorageStore)) {
+                console.warn('Cache backend unavailable, falling back to localStorage:', error);
+                this.backend = new LocalStorageStore();
+                return this.backend.get(key);
+            }
+            return undefined;
+        }
+    }
+
+    // Returns cached data immediately when present (revalidating stale entries in
+    // the background) and only waits on the network when nothing is cached.
+    async fetchJSON(url, options = {}) {
+        const entry = await this.fetchEntry(url, options);
+        return entry.data;
+    }
+
+    async fetchEntry(url, options = {}) {
+        const key = options.key || url;
+        const ttl = options.ttl ?? this.ttlFor(options.source);
+        const cached = await this.getEntry(key);
+
+        if (cached && this.isFresh(cached, ttl)) {
+            this.backend.set({ ...cached, accessedAt: Date.now() }).catch(() => {});
+            return cached;
+        }
+
+        if (cached) {
+            // The fresh copy is for the next read; this one gets what's cached
+            this.revalidate(url, key, options, cached)
+                .catch(error => console.warn(`Background revalidation failed for ${key}:`, error));
+            return cached;
+        }
+
+        return this.revalidate(url, key, options, null);
+    }
+
+    // fetchEntry for data a page can do without: resolves to null instead of throwing.
+    // Failures are logged to the error tracker as `options.errorType`, except a 404 for an
+    // `optional` resource (ignored) and errors `options.expected(error)` accepts (warned).
+    async tryFetchEntry(url, options = {}) {
+        try {
+            return await this.fetchEntry(url, options);
+        } catch (error) {
+            const key = options.key || url;
+            if (options.optional && error.status === 404) return null;
+
+            if (options.expected && options.expected(error)) {
+                console.warn(`Skipped ${key}: ${error.message}`);
+            } else {
+                window.errorTracker.logError(options.errorType || 'Cache', error, { resource: key });
+            }
+            return null;
+        }
+    }
+
+    async tryFetchJSON(url, options = {}) {
+        const entry = await this.tryFetchEntry(url, options);
+        return entry ? entry.data : null;
+    }
+
+    revalidate(url, key, options, cached) {
+        if (this.inflight.has(key)) {
+            return this.inflight.get(key);
+        }
+
+        const promise = this.request(url, key, options, cached)
+            .finally(() => this.inflight.delete(key));
+        this.inflight.set(key, promise);
+        return promise;
+    }
+
+    async request(url, key, options, cached) {
+        const headers = { ...options.headers };
+        if (cached?.etag) headers['If-None-Match'] = cached.etag;
+        if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+        const fetcher = options.fetch || ((input, init) => fetch(input, init));
+        const response = await fetcher(url, { headers });
+
+        if (response.status === 304 && cached) {
+            const entry = { ...cached, timestamp: Date.now(), accessedAt: Date.now() };
+            await this.store(entry);
+            return entry;
+        }
+
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const data = options.responseType === 'text' ? await response.text() : await response.json();
+        const entry = {
+            key,
+            url,
+            source: options.source || 'default',
+            data,
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified'),
+            headers: this.pickHeaders(response.headers, options.keepHeaders),
+            timestamp: Date.now(),
+            accessedAt: Date.now()
+        };
+
+        await this.store(entry);
+        return entry;
+    }
+
+    pickHeaders(headers, names = []) {
+        return names.reduce((picked, name) => {
+            const value = headers.get(name);
+            if (value !== null) picked[name.toLowerCase()] = value;
+            return picked;
+        }, {});
+    }
+
+    async store(entry) {
+        try {
+            await this.backend.set(entry);
+        } catch (error) {
+            // Most likely a quota error: make room and try once more
+            console.warn(`Error caching ${entry.key}:`, error);
+            await this.evict(Math.floor(this.maxEntries / 2));
+            try {
+                await this.backend.set(entry);
+            } catch {
+                return;
+            }
+        }
+        await this.evict(this.maxEntries);
+    }
+
+    // Drops least recently used entries until at most `limit` remain
+    async evict(limit) {
+        try {
+            const entries = await this.backend.getAll();
+            if (entries.length <= limit) return;
+
+            entries
+                .sort((a, b) => a.accessedAt - b.accessedAt)
+                .slice(0, entries.length - limit)
+                .forEach(entry => this.backend.delete(entry.key));
+        } catch (error) {
+            console.warn('Error evicting cache entries:', error);
+        }
+    }
+
+    async invalidate(key) {
+        await this.backend.delete(key);
+    }
+
+    async invalidateSource(source) {
+        const entries = await this.backend.getAll();
+        await Promise.all(entries
+            .filter(entry => entry.source === source)
+            .map(entry => this.backend.delete(entry.key)));
+    }
+
+    async clear() {
+        await this.backend.clear();
+    }
+}
@@ -0,0 +1,233 @@
+//
+//  contact-delivery.js
+//  Delivery backends for the contact form: EmailJS, a JSON/form POST endpoint, mailto: and a mock
+//
+//  Configure with CONTACT_DELIVERY_SETTINGS below or data- attributes on form#contact-form:
+//    data-backends="webhook mailto"      backends to try, in order
+//    data-endpoint="https://..."         webhook URL (Formspree, Basin, your own function, ...)
+//    data-mailto="me@example.com"        mailto: address (default: the page's protected mailto: link)
+//    data-emailjs-public-key / data-emailjs-service / data-emailjs-template
+//
+//  Every adapter's send(message) takes { name, email, subject, message } and resolves to
+//  { backend, handoff }: whether delivery was handed to the visitor's mail app instead of
+//  completed here.
+//
+//  Nothing is ever sent to the address a visitor types in. Anything checked in the browser
+//  can be skipped by a script, so an auto-reply would let anyone mail text of their choosing
+//  (even just a "name") to anyone, through the owner's EmailJS account.
+//
+
+const CONTACT_DELIVERY_SETTINGS = {
+    backends: ['emailjs', 'mailto'],
+    emailjs: {
+        sdkUrl: 'https://cdn.jsdelivr.net/npm/@emailjs/browser@4/dist/email.min.js',
+        publicKey: 'sucKAvw4vDdHnhCvA',
+        serviceID: 'service_esv4plm',
+        templateID: 'template_aqumjmb'             // owner notification
+    },
+    webhook: {
+        url: null,
+        format: 'json',                            // or 'form' for urlencoded endpoints
+        headers: {}
+    },
+    mailto: {
+        address: null                              // null: taken from a protected link on the page
+    }
+};
+
+class EmailJSAdapter {
+    constructor(settings) {
+        this.settings = settings;
+        this.sdk = null;
+    }
+
+    // Injects the SDK once, on first use; pages without the form never pay for it
+    load() {
+        if (!this.sdk) {
+            this.sdk = window.emailjs
+                ? Promise.resolve(window.emailjs)
+                : loadScript(this.settings.sdkUrl).then(() => {
+                    window.emailjs.init({ publicKey: this.settings.publicKey });
+                    return window.emailjs;
+                }, () => {
+                    this.sdk = null;
+                    throw new Error('EmailJS SDK failed to load');
+                });
+        }
+        return this.sdk;
+    }
+
+    async send(message) {
+        const emailjs = await this.load();
+        const { serviceID, templateID } = this.settings;
+
+        // template params for owner notification
+        const notifyParams = {
+            contact_name: message.name,
+            contact_email: message.email,
+            contact_subject: message.subject,
+            contact_message: message.message,
+            reply_to: message.email,     // maps to {{reply_to}} in Notification template for Reply-To header
+            message_id: message.id || '' // set for outbox retries, so duplicates are recognisable
+        };
+
+        await emailjs.send(serviceID, templateID, notifyParams);
+        return { backend: 'emailjs', handoff: false };
+    }
+}
+
+// Formspree-style endpoint: POST the fields, any 2xx is success
+class WebhookAdapter {
+    constructor(settings) {
+        this.settings = settings;
+    }
+
+    async send(message) {
+        const { url, format, headers } = this.settings;
+        if (!url) throw new Error('No webhook URL configured');
+
+        const fields = { ...message, _replyto: message.email };
+        const body = format === 'form'
+            ? new URLSearchParams(fields)
+            : JSON.stringify(fields);
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                Accept: 'application/json',
+                ...(format === 'form' ? {} : { 'Content-Type': 'application/json' }),
+                ...headers
+            },
+            body
+        });
+
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return { backend: 'webhook', handoff: false };
+    }
+}
+
+// Opens the visitor's mail app with the message filled in; nothing is sent from here
+class MailtoAdapter {
+    static handoff = true;
+
+    constructor(settings) {
+        this.settings = settings;
+    }
+
+    // Kept out of this file so harvesters don't find it; see protect-contacts.js
+    address() {
+        if (this.settings.address) return this.settings.address;
+        const url = typeof findProtectedUrl === 'function' ? findProtectedUrl('mailto:') : null;
+        return url ? protectedAddress(url) : null;
+    }
+
+    buildUrl(message) {
+        const params = new URLSearchParams({
+            subject: message.subject,
+            body: `${message.message}\n\n— ${message.name} <${message.email}>`
+        });
+        // URLSearchParams encodes spaces as "+", which mail clients show literally
+        return `mailto:${this.address()}?${params.toString().replace(/\+/g, '%20')}`;
+    }
+
+    async send(message) {
+        if (!this.address()) throw new Error('No mailto address configured');
+        window.location.href = this.buildUrl(message);
+        return { backend: 'mailto', handoff: true };
+    }
+}
+
+// For tests and local development: records messages instead of sending them
+class MockAdapter {
+    constructor(settings = {}) {
+        this.settings = settings;
+        this.sent = [];
+    }
+
+    async send(message) {
+        if (this.settings.delay) {
+            await new Promise(resolve => setTimeout(resolve, this.settings.delay));
+        }
+        if (this.settings.fail) {
+            throw new Error('Mock delivery failure');
+        }
+        this.sent.push(message);
+        return { backend: 'mock', handoff: false };
+    }
+}
+
+const CONTACT_ADAPTERS = {
+    emailjs: EmailJSAdapter,
+    webhook: WebhookAdapter,
+    mailto: MailtoAdapter,
+    mock: MockAdapter
+};
+
+class ContactDelivery {
+    constructor(settings = CONTACT_DELIVERY_SETTINGS) {
+        this.settings = settings;
+        this.adapters = settings.backends
+            .filter(name => {
+                if (CONTACT_ADAPTERS[name]) return true;
+                console.warn(`Unknown contact backend "${name}"`);
+                return false;
+            })
+            .map(name => ({ name, adapter: new CONTACT_ADAPTERS[name](settings[name] || {}) }));
+    }
+
+    // data- attributes on the form override the matching settings
+    static fromForm(form, settings = CONTACT_DELIVERY_SETTINGS) {
+        const data = form.dataset;
+        const merged = {
+            ...settings,
+            emailjs: { ...settings.emailjs },
+            webhook: { ...settings.webhook },
+            mailto: { ...settings.mailto },
+            mock: { ...settings.mock }
+        };
+
+        if (data.backends) merged.backends = data.backends.split(/[\s,]+/).filter(Boolean);
+        if (data.endpoint) merged.webhook.url = data.endpoint;
+        if (data.endpointFormat) merged.webhook.format = data.endpointFormat;
+        if (data.mailto) merged.mailto.address = data.mailto;
+        if (data.emailjsPublicKey) merged.emailjs.publicKey = data.emailjsPublicKey;
+        if (data.emailjsService) merged.emailjs.serviceID = data.emailjsService;
+        if (data.emailjsTemplate) merged.emailjs.templateID = data.emailjsTemplate;
+        if (data.mockFail !== undefined) merged.mock.fail = true;
+
+        return new ContactDelivery(merged);
+    }
+
+    get(name) {
+        const entry = this.adapters.find(adapter => adapter.name === name);
+        return entry ? entry.adapter : null;
+    }
+
+    // Warms up whatever the first backend needs (the EmailJS SDK) without sending anything
+    prepare() {
+        const first = this.adapters[0];
+        if (first && typeof first.adapter.load === 'function') {
+            first.adapter.load().catch(error => console.warn(error.message));
+        }
+    }
+
+    // Tries each backend in order; mailto only runs once the others have failed.
+    // `handoff: false` skips backends that hand the message to the visitor's mail app.
+    async send(message, { handoff = true } = {}) {
+        let lastError = new Error('No contact backends configured');
+        for (const { name, adapter } of this.adapters) {
+            if (!handoff && adapter.constructor.handoff) continue;
+            try {
+                return await adapter.send(message);
+            } catch (error) {
+                console.warn(`Contact backend "${name}" failed:`, error);
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+}
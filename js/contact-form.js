@@ -0,0 +1,435 @@
+//
+//  contact-form.js
+//  Validation, spam checks, throttling and status reporting for #contact-form
+//
+//  Delivery is left to the `send(message, options)` option (see contact-delivery.js), which
+//  receives { name, email, subject, message } and may resolve to { handoff }.
+//  With an `outbox` ({ add(message), cancel(key) }), messages that can't go out right now
+//  are queued instead of lost. Unsent field values are autosaved as a draft and offered
+//  back on the next visit until they are sent or `draftMaxAge` passes.
+//
+
+const CONTACT_FIELDS = {
+    'contact-name': { label: 'Name', minLength: 2, maxLength: 100 },
+    'contact-email': { label: 'Email', maxLength: 254, email: true },
+    'contact-subject': { label: 'Subject', minLength: 3, maxLength: 150 },
+    'contact-message': { label: 'Message', minLength: 10, maxLength: 5000 }
+};
+
+// Deliberately loose: one @, something on both sides, a dot in the domain
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+class ContactForm {
+    constructor(form, options = {}) {
+        this.form = form;
+        this.send = options.send;
+        this.outbox = options.outbox || null;
+        this.honeypotName = options.honeypotName || 'contact-website';
+        this.minimumFillTime = options.minimumFillTime ?? 3000;
+        this.minimumInterval = options.minimumInterval ?? 30000;
+        this.maxPerHour = options.maxPerHour ?? 3;
+        this.storageKey = options.storageKey || 'contact-submissions';
+        this.draftKey = options.draftKey || 'contact-draft';
+        this.draftStorage = options.draftStorage === 'session' ? sessionStorage : localStorage;
+        this.draftMaxAge = options.draftMaxAge ?? 7 * 24 * 3600000;
+        this.draftDelay = options.draftDelay ?? 500;
+
+        this.submitButton = form.querySelector('[type="submit"]');
+        this.submitLabel = this.submitButton ? this.submitButton.textContent : '';
+        this.status = this.createStatusRegion();
+        this.startedAt = Date.now();
+        this.sending = false;
+
+        // We report errors ourselves; the browser bubbles would duplicate them
+        form.noValidate = true;
+        this.setupFields();
+        this.setupDraft();
+        form.addEventListener('submit', (event) => this.handleSubmit(event));
+    }
+
+    createStatusRegion() {
+        let status = this.form.parentElement.querySelector('.contact-status');
+        if (!status) {
+            status = document.createElement('div');
+            status.className = 'contact-status';
+            status.setAttribute('role', 'status');
+            status.setAttribute('aria-live', 'polite');
+            this.form.after(status);
+        }
+        return status;
+    }
+
+    setupFields() {
+        Object.entries(CONTACT_FIELDS).forEach(([name, rules]) => {
+            const input = this.form.elements[name];
+            if (!input) return;
+
+            input.maxLength = rules.maxLength;
+            input.setAttribute('aria-describedby', `${name}-error`);
+
+            const error = document.createElement('div');
+            error.id = `${name}-error`;
+            error.className = 'invalid-feedback';
+            input.after(error);
+
+            // Validate once the visitor leaves a field, then live while they fix it
+            input.addEventListener('blur', () => {
+                if (input.value) this.validateField(input);
+            });
+            input.addEventListener('input', () => {
+                if (input.getAttribute('aria-invalid') === 'true') this.validateField(input);
+            });
+        });
+    }
+
+    validateField(input) {
+        const rules = CONTACT_FIELDS[input.name];
+        const value = input.value.trim();
+        let message = '';
+
+        if (!value) {
+            message = `${rules.label} is required.`;
+        } else if (rules.email && !EMAIL_PATTERN.test(value)) {
+            message = 'Enter a valid email address, like name@example.com.';
+        } else if (rules.minLength && value.length < rules.minLength) {
+            message = `${rules.label} must be at least ${rules.minLength} characters.`;
+        } else if (value.length > rules.maxLength) {
+            message = `${rules.label} must be ${rules.maxLength} characters or fewer.`;
+        }
+
+        input.classList.toggle('is-invalid', Boolean(message));
+        input.setAttribute('aria-invalid', message ? 'true' : 'false');
+        document.getElementById(`${input.name}-error`).textContent = message;
+        return !message;
+    }
+
+    validate() {
+        const inputs = Object.keys(CONTACT_FIELDS)
+            .map(name => this.form.elements[name])
+            .filter(Boolean);
+        const invalid = inputs.filter(input => !this.validateField(input));
+
+        if (invalid.length > 0) {
+            invalid[0].focus();
+            return false;
+        }
+        return true;
+    }
+
+    // { name, email, subject, message } from the contact-* fields
+    getData() {
+        const data = {};
+        Object.keys(CONTACT_FIELDS).forEach(name => {
+            const input = this.form.elements[name];
+            data[name.replace(/^contact-/, '')] = input ? input.value.trim() : '';
+        });
+        return data;
+    }
+
+    // SECTION: Drafts
+
+    setupDraft() {
+        this.draftTimer = null;
+        this.draftPaused = false;
+
+        this.form.addEventListener('input', (event) => {
+            if (!(event.target.name in CONTACT_FIELDS)) return;
+            clearTimeout(this.draftTimer);
+            this.draftTimer = setTimeout(() => this.saveDraft(), this.draftDelay);
+        });
+
+        // Don't lose the last keystrokes to the debounce when the tab goes away
+        window.addEventListener('pagehide', () => {
+            if (this.draftTimer) this.saveDraft();
+        });
+
+        const draft = this.loadDraft();
+        if (draft && this.isEmpty()) {
+            this.showDraftBanner(draft);
+        }
+    }
+
+    loadDraft() {
+        try {
+            const draft = JSON.parse(this.draftStorage.getItem(this.draftKey));
+            if (!draft || !draft.fields) return null;
+            if (Date.now() - draft.savedAt > this.draftMaxAge) {
+                this.clearDraft();
+                return null;
+            }
+            return draft;
+        } catch {
+            return null;
+        }
+    }
+
+    saveDraft() {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = null;
+        // Until the visitor decides on the old draft, typing mustn't overwrite it
+        if (this.draftPaused) return;
+
+        if (this.isEmpty()) {
+            this.clearDraft();
+            return;
+        }
+
+        const fields = {};
+        Object.keys(CONTACT_FIELDS).forEach(name => {
+            const input = this.form.elements[name];
+            if (input) fields[name] = input.value;
+        });
+
+        try {
+            this.draftStorage.setItem(this.draftKey, JSON.stringify({ savedAt: Date.now(), fields }));
+        } catch (error) {
+            console.warn('Contact draft not saved:', error);
+        }
+    }
+
+    clearDraft() {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = null;
+        this.draftStorage.removeItem(this.draftKey);
+    }
+
+    isEmpty() {
+        return Object.keys(CONTACT_FIELDS).every(name => {
+            const input = this.form.elements[name];
+            return !input || !input.value.trim();
+        });
+    }
+
+    showDraftBanner(draft) {
+        this.draftPaused = true;
+
+        const banner = document.createElement('div');
+        banner.className = 'contact-draft';
+        banner.setAttribute('role', 'region');
+        banner.setAttribute('aria-label', 'Saved draft');
+
+        const saved = new Date(draft.savedAt);
+        const text = document.createElement('span');
+        text.textContent = `You have an unsent message from ${saved.toLocaleDateString()} ${saved.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`;
+
+        const restore = document.createElement('button');
+        restore.type = 'button';
+        restore.className = 'contact-status-action';
+        restore.textContent = 'Restore';
+
+        const discard = document.createElement('button');
+        discard.type = 'button';
+        discard.className = 'contact-status-action';
+        discard.textContent = 'Discard';
+
+        const close = () => {
+            banner.remove();
+            this.draftPaused = false;
+        };
+
+        restore.addEventListener('click', () => {
+            Object.entries(draft.fields).forEach(([name, value]) => {
+                const input = name in CONTACT_FIELDS && this.form.elements[name];
+                if (input && !input.value) input.value = value;
+            });
+            close();
+            this.saveDraft();
+            this.form.elements['contact-message']?.focus();
+        });
+
+        discard.addEventListener('click', () => {
+            close();
+            this.clearDraft();
+            this.saveDraft();
+        });
+
+        banner.append(text, restore, discard);
+        this.form.before(banner);
+    }
+
+    // SECTION: Spam and rate limiting
+
+    // Bots fill every field, including the one people never see
+    isHoneypotFilled() {
+        const honeypot = this.form.elements[this.honeypotName];
+        return Boolean(honeypot && honeypot.value);
+    }
+
+    getSubmissions() {
+        try {
+            const hourAgo = Date.now() - 3600000;
+            const times = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(times) ? times.filter(time => time > hourAgo) : [];
+        } catch {
+            return [];
+        }
+    }
+
+    recordSubmission() {
+        const times = this.getSubmissions();
+        times.push(Date.now());
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(times));
+        } catch (error) {
+            console.warn('Contact submission not recorded:', error);
+        }
+    }
+
+    // Milliseconds until another message may be sent, 0 when allowed now
+    getThrottleDelay() {
+        const times = this.getSubmissions();
+        if (times.length === 0) return 0;
+
+        const sinceLast = Date.now() - times[times.length - 1];
+        const intervalWait = Math.max(this.minimumInterval - sinceLast, 0);
+        const hourlyWait = times.length >= this.maxPerHour
+            ? times[times.length - this.maxPerHour] + 3600000 - Date.now()
+            : 0;
+        return Math.max(intervalWait, hourlyWait);
+    }
+
+    // SECTION: Submission
+
+    async handleSubmit(event) {
+        event.preventDefault();
+        if (this.sending) return;
+
+        if (!this.validate()) {
+            this.setStatus('error', 'Please fix the highlighted fields.');
+            return;
+        }
+
+        if (this.isHoneypotFilled()) {
+            // Look successful so the bot moves on; nothing is sent
+            this.finish();
+            return;
+        }
+
+        if (Date.now() - this.startedAt < this.minimumFillTime) {
+            this.setStatus('error', 'That was quick! Please check your message, then send it again.');
+            this.startedAt = Date.now();
+            return;
+        }
+
+        const delay = this.getThrottleDelay();
+        if (delay > 0) {
+            const minutes = Math.ceil(delay / 60000);
+            const wait = delay < 60000 ? `${Math.ceil(delay / 1000)} seconds` : `${minutes} minute${minutes === 1 ? '' : 's'}`;
+            this.setStatus('error', `You've sent a few messages already. Please try again in ${wait}.`);
+            return;
+        }
+
+        this.setSending(true);
+        const message = this.getData();
+        let result;
+
+        try {
+            if (this.outbox && !navigator.onLine) {
+                await this.queue(message);
+                return;
+            }
+
+            this.setStatus('info', 'Sending your message…');
+            // With an outbox, failures are queued rather than handed to the mail app
+            result = await this.send(message, { handoff: !this.outbox });
+        } catch (error) {
+            window.errorTracker?.logError('Contact form', error);
+            if (this.outbox && isRetryableDeliveryError(error)) {
+                await this.queue(message).catch(queueError => {
+                    window.errorTracker?.logError('Contact outbox', queueError);
+                    this.setStatus('error', 'Your message could not be sent. Please try again in a moment.');
+                });
+            } else {
+                this.setStatus('error', 'Your message could not be sent. Please try again in a moment.');
+            }
+            return;
+        } finally {
+            this.setSending(false);
+        }
+
+        // Only once it has gone: nothing after this may report the message as unsent
+        this.recordSubmission();
+        this.finish(result);
+    }
+
+    async queue(message) {
+        const entry = await this.outbox.add(message);
+        this.recordSubmission();
+        this.resetForm();
+        this.showQueued(entry);
+    }
+
+    showQueued(entry) {
+        const message = navigator.onLine
+            ? 'Queued — we’ll keep trying to send your message.'
+            : 'Queued — your message will send when you’re back online.';
+        this.setStatus('queued', message, {
+            label: 'Cancel',
+            onClick: async () => {
+                try {
+                    await this.outbox.cancel(entry.key);
+                    this.setStatus('info', 'Queued message cancelled.');
+                } catch (error) {
+                    window.errorTracker?.logError('Contact outbox', error);
+                    this.setStatus('error', 'The queued message could not be cancelled and may still be sent.');
+                }
+            }
+        });
+    }
+
+    resetForm() {
+        this.form.reset();
+        this.clearDraft();
+        this.form.parentElement.querySelector('.contact-draft')?.remove();
+        this.draftPaused = false;
+        this.form.querySelectorAll('[aria-invalid]').forEach(input => {
+            input.classList.remove('is-invalid');
+            input.removeAttribute('aria-invalid');
+        });
+        this.startedAt = Date.now();
+    }
+
+    finish(result) {
+        const { handoff } = result || {};
+        if (handoff) {
+            // Nothing is sent until the visitor sends it from their mail app, which may not
+            // even have opened; the message and its draft stay until they say it's gone
+            this.saveDraft();
+            this.setStatus('info', 'Your email app should now open with the message filled in — press send there to deliver it. If it didn’t open, your message is still here.', {
+                label: 'I’ve sent it',
+                onClick: () => {
+                    this.resetForm();
+                    this.setStatus('success', 'Thank you for your message!');
+                }
+            });
+            return;
+        }
+        this.resetForm();
+        this.setStatus('success', 'Thank you! Your message has been sent.');
+    }
+
+    setSending(sending) {
+        this.sending = sending;
+        this.form.setAttribute('aria-busy', String(sending));
+        if (!this.submitButton) return;
+
+        this.submitButton.disabled = sending;
+        this.submitButton.classList.toggle('is-sending', sending);
+        this.submitButton.textContent = sending ? 'Sending…' : this.submitLabel;
+    }
+
+    // `action` adds one button after the message, e.g. { label: 'Cancel', onClick }
+    setStatus(type, message, action = null) {
+        this.status.className = `contact-status contact-status-${type}`;
+        this.status.textContent = message;
+
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'contact-status-action';
+            button.textContent = action.label;
+            button.addEventListener('click', action.onClick);
+            this.status.append(' ', button);
+        }
+    }
+}
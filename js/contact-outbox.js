@@ -0,0 +1,157 @@
+//
+//  contact-outbox.js
+//  Keeps contact messages that couldn't be delivered and retries them when the visitor is back online
+//
+//  Entries live in IndexedDB (same store class as the data cache) and carry the delivery
+//  settings they were submitted with, so any page can send them, not just /contact.
+//  Retries are triggered by the `online` event, page loads and, where supported, a
+//  Background Sync registration that sw.js turns into a FLUSH_OUTBOX message.
+//
+
+const OUTBOX_SYNC_TAG = 'contact-outbox';
+
+// Client errors won't fix themselves by retrying; rate limits and server errors might
+function isRetryableDeliveryError(error) {
+    const status = error && error.status;
+    return !status || status === 429 || status >= 500;
+}
+
+class ContactOutbox {
+    constructor(options = {}) {
+        this.store = options.store || new IndexedDBStore('portfolio-outbox', 'messages');
+        this.maxAttempts = options.maxAttempts ?? 5;
+        this.retryDelay = options.retryDelay ?? 30000;
+        this.deliver = options.deliver
+            || (entry => new ContactDelivery(entry.settings).send(entry.message, { handoff: false }));
+        this.onChange = options.onChange || (() => {});
+        this.onSent = options.onSent || (() => {});
+        this.onFailed = options.onFailed || (() => {});
+        this.flushing = null;
+        this.retryTimer = null;
+    }
+
+    static isSupported() {
+        return IndexedDBStore.isSupported();
+    }
+
+    // Same text submitted twice is one entry, so a double-click can't notify the owner twice
+    fingerprint(message) {
+        const text = [message.name, message.email, message.subject, message.message].join('\u0000');
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `msg-${(hash >>> 0).toString(16).padStart(8, '0')}`;
+    }
+
+    async add(message, settings) {
+        const key = this.fingerprint(message);
+        const existing = await this.store.get(key);
+        const entry = existing || {
+            key,
+            message: { ...message, id: key },
+            settings,
+            createdAt: Date.now(),
+            attempts: 0,
+            lastError: null
+        };
+
+        await this.store.set(entry);
+        if (navigator.onLine) {
+            // Online but the backend failed: background sync would fire straight away
+            this.scheduleRetry(entry.attempts);
+        } else {
+            this.registerSync();
+        }
+        this.notifyChange();
+        return entry;
+    }
+
+    async cancel(key) {
+        await this.store.delete(key);
+        this.notifyChange();
+    }
+
+    async getAll() {
+        const entries = await this.store.getAll();
+        return entries.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async notifyChange() {
+        try {
+            this.onChange(await this.getAll());
+        } catch (error) {
+            console.warn('Outbox read failed:', error);
+        }
+    }
+
+    // Asks the service worker to wake us when connectivity returns, even from another page
+    registerSync() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.ready
+            .then(registration => registration.sync && registration.sync.register(OUTBOX_SYNC_TAG))
+            .catch(error => console.warn('Background sync unavailable:', error));
+    }
+
+    // Backs off while the backend stays down: 30s, 1m, 2m, ...
+    scheduleRetry(attempts) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => this.flush(), this.retryDelay * Math.pow(2, attempts));
+    }
+
+    listen() {
+        window.addEventListener('online', () => this.flush());
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'FLUSH_OUTBOX') this.flush();
+            });
+        }
+    }
+
+    // One flush at a time, across tabs too when Web Locks exist, so nothing is sent twice
+    flush() {
+        if (!navigator.onLine) return Promise.resolve();
+        if (!this.flushing) {
+            const run = () => this.sendPending();
+            this.flushing = (navigator.locks ? navigator.locks.request('contact-outbox', run) : run())
+                .catch(error => console.warn('Outbox flush failed:', error))
+                .finally(() => {
+                    this.flushing = null;
+                });
+        }
+        return this.flushing;
+    }
+
+    async sendPending() {
+        const entries = await this.getAll();
+        let retryAttempts = null;
+
+        for (const { key } of entries) {
+            // Another tab may have sent or cancelled it while we waited for the lock
+            const entry = await this.store.get(key);
+            if (!entry) continue;
+
+            try {
+                const result = await this.deliver(entry);
+                await this.store.delete(key);
+                this.onSent(entry, result);
+            } catch (error) {
+                entry.attempts++;
+                entry.lastError = error.message || error.text || String(error);
+
+                if (!isRetryableDeliveryError(error) || entry.attempts >= this.maxAttempts) {
+                    await this.store.delete(key);
+                    this.onFailed(entry, error);
+                } else {
+                    await this.store.set(entry);
+                    retryAttempts = Math.min(retryAttempts ?? entry.attempts, entry.attempts);
+                }
+            }
+        }
+
+        if (retryAttempts !== null) this.scheduleRetry(retryAttempts);
+        this.notifyChange();
+    }
+}
@@ -0,0 +1,383 @@
+//
+//  error-tracker.js
+//  Collects runtime errors with breadcrumbs and reports them through pluggable transports
+//
+//  Configure with ERROR_REPORTING_SETTINGS below or data- attributes on <html>:
+//    data-error-endpoint="https://..."   where the beacon transport POSTs reports
+//    data-error-sample-rate="0.25"       share of distinct errors that get reported
+//    data-error-debug                    also logs every report to the console
+//
+//  Every transport's send(report, error) gets a report already scrubbed of e-mail addresses
+//  and URL query values. Repeats of an error (same fingerprint) don't make new reports: they
+//  bump the first report's count and pass it to each transport's update(report), so a count
+//  that has already gone out is sent again (same id, higher count; keep the latest). At most
+//  maxReportsPerMinute new reports go out.
+//
+//  Loaded first in <head> so errors thrown by the other scripts are caught too.
+//
+
+const ERROR_REPORTING_SETTINGS = {
+    transports: ['buffer', 'beacon'],   // plus 'console' with data-error-debug
+    endpoint: null,                     // beacon transport stays idle until this is set
+    sampleRate: 1,
+    maxReportsPerMinute: 10,
+    dedupeInterval: 10 * 60 * 1000,     // identical errors within this window are one report
+    maxBreadcrumbs: 20,
+    bufferSize: 50,                     // reports kept in localStorage for getErrors()
+    batchDelay: 5000                    // beacon batches; pagehide sends whatever is left
+};
+
+const REDACTED_EMAIL = '[email]';
+const REDACTED_VALUE = 'redacted';
+
+// SECTION: Scrubbing
+
+function scrubEmails(text) {
+    return text.replace(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, REDACTED_EMAIL);
+}
+
+// Keeps where a URL points, drops what it carries: query values, fragments, credentials
+function scrubUrl(value) {
+    try {
+        const url = new URL(value, window.location.href);
+        if (url.protocol === 'mailto:') return `mailto:${REDACTED_EMAIL}`;
+
+        url.username = '';
+        url.password = '';
+        url.hash = '';
+        Array.from(new Set(url.searchParams.keys())).forEach(key => url.searchParams.set(key, REDACTED_VALUE));
+        return scrubEmails(decodeURI(url.href));
+    } catch {
+        return scrubEmails(String(value).replace(/[?#].*$/, ''));
+    }
+}
+
+function scrubText(value) {
+    return scrubEmails(String(value)).replace(/\b(?:https?|mailto):[^\s"'<>)]+/g, scrubUrl);
+}
+
+function scrubDetails(details) {
+    const scrubbed = {};
+    Object.entries(details).forEach(([key, value]) => {
+        scrubbed[key] = typeof value === 'string' ? scrubText(value) : value;
+    });
+    return scrubbed;
+}
+
+// SECTION: Breadcrumbs
+
+// The last few things the visitor and the page did before an error
+class Breadcrumbs {
+    constructor(max = 20) {
+        this.max = max;
+        this.items = [];
+    }
+
+    add(category, data = {}) {
+        this.items.push({ category, timestamp: new Date().toISOString(), ...data });
+        if (this.items.length > this.max) this.items.shift();
+    }
+
+    list() {
+        return this.items.slice();
+    }
+
+    // Tag, id and classes only; visible text can be personal
+    describe(element) {
+        let description = element.tagName.toLowerCase();
+        if (element.id) description += `#${element.id}`;
+        const classes = Array.from(element.classList).slice(0, 2);
+        if (classes.length > 0) description += `.${classes.join('.')}`;
+        return description;
+    }
+
+    // `ignoreUrl` keeps the reporter's own requests out of the trail
+    listen(ignoreUrl = null) {
+        this.add('navigation', { to: scrubUrl(window.location.href) });
+
+        ['pushState', 'replaceState'].forEach(method => {
+            const original = history[method];
+            history[method] = (...args) => {
+                const from = window.location.href;
+                const result = original.apply(history, args);
+                // Same-URL calls only update state (page-router.js saving the scroll position)
+                if (window.location.href !== from) {
+                    this.add('navigation', { from: scrubUrl(from), to: scrubUrl(window.location.href) });
+                }
+                return result;
+            };
+        });
+        window.addEventListener('popstate', () => this.add('navigation', { to: scrubUrl(window.location.href) }));
+
+        document.addEventListener('click', (e) => {
+            const target = e.target.closest && e.target.closest('a, button, summary, [role="button"], input[type="submit"]');
+            if (!target) return;
+            const data = { target: this.describe(target) };
+            if (target.href) data.href = scrubUrl(target.href);
+            this.add('click', data);
+        }, true);
+
+        if (typeof window.fetch !== 'function') return;
+        const originalFetch = window.fetch;
+        window.fetch = (input, init = {}) => {
+            const url = input instanceof Request ? input.url : String(input);
+            if (ignoreUrl && url.startsWith(ignoreUrl)) return originalFetch(input, init);
+
+            const method = (init.method || (input instanceof Request ? input.method : 'GET')).toUpperCase();
+            const started = performance.now();
+            const crumb = extra => this.add('fetch', {
+                method,
+                url: scrubUrl(url),
+                duration: Math.round(performance.now() - started),
+                ...extra
+            });
+
+            return originalFetch(input, init).then(response => {
+                crumb({ status: response.status });
+                return response;
+            }, error => {
+                crumb({ error: scrubText(error.message || error) });
+                throw error;
+            });
+        };
+    }
+}
+
+// SECTION: Transports
+
+class ConsoleTransport {
+    send(report, error) {
+        console.error(`Error logged (${report.type}):`, error, report);
+    }
+}
+
+// Ring buffer in localStorage, so errors from earlier visits can be read with getErrors()
+class BufferTransport {
+    constructor(settings) {
+        this.size = settings.bufferSize;
+        this.storageKey = settings.bufferKey || 'error-log';
+    }
+
+    read() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch {
+            return [];
+        }
+    }
+
+    send(report) {
+        this.write([...this.read(), report].slice(-this.size));
+    }
+
+    update(report) {
+        const reports = this.read();
+        const stored = reports.find(item => item.id === report.id && item.timestamp === report.timestamp);
+        if (!stored) return;
+        stored.count = report.count;
+        this.write(reports);
+    }
+
+    write(reports) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(reports));
+        } catch {
+            // Storage full or unavailable; the other transports still have the report
+        }
+    }
+
+    clear() {
+        localStorage.removeItem(this.storageKey);
+    }
+}
+
+// Batches reports and POSTs them to `endpoint` as { reports: [...] }
+class BeaconTransport {
+    constructor(settings) {
+        this.endpoint = settings.endpoint;
+        this.batchDelay = settings.batchDelay;
+        this.queue = [];
+        this.timer = null;
+    }
+
+    send(report) {
+        if (!this.endpoint) return;
+        this.queue.push(report);
+        if (!this.timer) this.timer = setTimeout(() => this.flush(), this.batchDelay);
+    }
+
+    // A report still waiting goes out with its latest count anyway; a sent one goes again, once per batch
+    update(report) {
+        if (!this.queue.includes(report)) this.send(report);
+    }
+
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.queue.length === 0) return;
+
+        const body = JSON.stringify({ reports: this.queue.splice(0) });
+        // text/plain keeps it a simple CORS request: no preflight, which a closing page couldn't wait for
+        const type = 'text/plain;charset=UTF-8';
+        const queued = navigator.sendBeacon && navigator.sendBeacon(this.endpoint, new Blob([body], { type }));
+        if (!queued) {
+            fetch(this.endpoint, { method: 'POST', body, headers: { 'Content-Type': type }, keepalive: true })
+                .catch(() => {});
+        }
+    }
+}
+
+const ERROR_TRANSPORTS = {
+    console: ConsoleTransport,
+    buffer: BufferTransport,
+    beacon: BeaconTransport
+};
+
+// SECTION: Tracker
+
+class ErrorTracker {
+    constructor(settings = ERROR_REPORTING_SETTINGS) {
+        this.settings = settings;
+        this.transports = settings.transports
+            .filter(name => {
+                if (ERROR_TRANSPORTS[name]) return true;
+                console.warn(`Unknown error transport "${name}"`);
+                return false;
+            })
+            .map(name => ({ name, transport: new ERROR_TRANSPORTS[name](settings) }));
+        this.breadcrumbs = new Breadcrumbs(settings.maxBreadcrumbs);
+        this.seen = new Map();
+        this.recent = [];
+        this.init();
+    }
+
+    // data- attributes on <html> override the matching settings
+    static fromDocument(root = document.documentElement, settings = ERROR_REPORTING_SETTINGS) {
+        const data = root.dataset;
+        const merged = { ...settings };
+
+        if (data.errorEndpoint) merged.endpoint = data.errorEndpoint;
+        if (data.errorSampleRate) merged.sampleRate = parseFloat(data.errorSampleRate);
+        if (data.errorDebug !== undefined && data.errorDebug !== 'false' && !merged.transports.includes('console')) {
+            merged.transports = [...merged.transports, 'console'];
+        }
+
+        return new ErrorTracker(merged);
+    }
+
+    init() {
+        window.addEventListener('error', (event) => {
+            this.logError('JavaScript Error', event.error || event.message, {
+                filename: event.filename,
+                lineno: event.lineno,
+                colno: event.colno
+            });
+        });
+
+        window.addEventListener('unhandledrejection', (event) => {
+            this.logError('Unhandled Promise Rejection', event.reason);
+        });
+
+        // Last chance to send; pagehide also fires where unload never does (bfcache, iOS)
+        window.addEventListener('pagehide', () => this.flush());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+
+        this.breadcrumbs.listen(this.settings.endpoint);
+    }
+
+    // Same type, message shape and throwing line: digits vary (ids, counts, ports), the bug doesn't
+    fingerprint(type, message, stack) {
+        const frame = (stack.match(/(?:https?:\/\/[^\s)]+|\/[^\s)]+):\d+:\d+/) || [''])[0].replace(/\?[^:]*/, '');
+        const text = [type, message.replace(/\d+/g, '0'), frame].join('\u0000');
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `err-${(hash >>> 0).toString(16).padStart(8, '0')}`;
+    }
+
+    isRateLimited(now) {
+        this.recent = this.recent.filter(time => now - time < 60 * 1000);
+        return this.recent.length >= this.settings.maxReportsPerMinute;
+    }
+
+    // Records a fingerprint, dropping those whose dedupe window has passed so long sessions don't pile them up
+    remember(id, seen) {
+        this.seen.forEach((entry, key) => {
+            if (seen.firstSeen - entry.firstSeen >= this.settings.dedupeInterval) this.seen.delete(key);
+        });
+        this.seen.set(id, seen);
+    }
+
+    // Returns the report when it went to the transports, null when deduplicated, sampled out or throttled
+    logError(type, error, details = {}) {
+        const now = Date.now();
+        const message = scrubText((error && (error.message || error.text)) || error || 'Unknown error');
+        const stack = error && typeof error.stack === 'string' ? scrubText(error.stack) : '';
+        const id = this.fingerprint(type, message, stack || `${details.filename || ''}:${details.lineno || 0}:${details.colno || 0}`);
+
+        const seen = this.seen.get(id);
+        if (seen && now - seen.firstSeen < this.settings.dedupeInterval) {
+            if (seen.report) {
+                seen.report.count++;
+                this.notify('update', seen.report);
+            }
+            return null;
+        }
+
+        // Sampled per fingerprint, so an error is either always or never reported
+        const sampled = Math.random() < this.settings.sampleRate;
+        if (!sampled || this.isRateLimited(now)) {
+            this.remember(id, { firstSeen: now, report: null });
+            return null;
+        }
+
+        const report = {
+            id,
+            type,
+            message,
+            stack: stack.split('\n').slice(0, 10).join('\n'),
+            status: error && error.status,
+            count: 1,
+            timestamp: new Date(now).toISOString(),
+            url: scrubUrl(window.location.href),
+            userAgent: navigator.userAgent,
+            breadcrumbs: this.breadcrumbs.list(),
+            ...scrubDetails(details)
+        };
+
+        this.remember(id, { firstSeen: now, report });
+        this.recent.push(now);
+        this.breadcrumbs.add('error', { message: `${type}: ${message}` });
+
+        this.notify('send', report, error);
+        return report;
+    }
+
+    notify(method, report, error) {
+        this.transports.forEach(({ name, transport }) => {
+            if (typeof transport[method] !== 'function') return;
+            try {
+                transport[method](report, error);
+            } catch (transportError) {
+                console.warn(`Error transport "${name}" failed:`, transportError);
+            }
+        });
+    }
+
+    flush() {
+        this.transports.forEach(({ transport }) => {
+            if (typeof transport.flush === 'function') transport.flush();
+        });
+    }
+
+    getErrors() {
+        const buffer = this.transports.find(({ name }) => name === 'buffer');
+        return buffer ? buffer.transport.read() : [];
+    }
+}
+
+window.errorTracker = ErrorTracker.fromDocument();
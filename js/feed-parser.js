@@ -0,0 +1,126 @@
+//
+//  feed-parser.js
+//  RSS 2.0 and Atom parsing on top of DOMParser
+//
+
+class FeedParser {
+    constructor() {
+        this.namespaces = {
+            atom: 'http://www.w3.org/2005/Atom',
+            content: 'http://purl.org/rss/1.0/modules/content/',
+            dc: 'http://purl.org/dc/elements/1.1/',
+            media: 'http://search.yahoo.com/mrss/'
+        };
+    }
+
+    // Returns { format, title, link, items } with items in a format-independent shape
+    parse(xmlText) {
+        const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Feed is not well-formed XML');
+        }
+
+        const root = doc.documentElement;
+        if (root.localName === 'rss' || root.localName === 'RDF') {
+            return this.parseRSS(root);
+        }
+        if (root.localName === 'feed' && root.namespaceURI === this.namespaces.atom) {
+            return this.parseAtom(root);
+        }
+        throw new Error(`Unsupported feed format: <${root.localName}>`);
+    }
+
+    parseRSS(root) {
+        const channel = this.child(root, 'channel') || root;
+        const items = Array.from(root.getElementsByTagName('item'));
+
+        return {
+            format: 'rss',
+            title: this.text(this.child(channel, 'title')),
+            link: this.text(this.child(channel, 'link')),
+            items: items.map(item => ({
+                id: this.text(this.child(item, 'guid')) || this.text(this.child(item, 'link')),
+                title: this.text(this.child(item, 'title')),
+                link: this.text(this.child(item, 'link')),
+                pubDate: this.text(this.child(item, 'pubDate')) || this.text(this.child(item, 'date', this.namespaces.dc)),
+                author: this.text(this.child(item, 'creator', this.namespaces.dc)) || this.text(this.child(item, 'author')),
+                categories: this.children(item, 'category').map(category => this.text(category)).filter(Boolean),
+                description: this.text(this.child(item, 'description')),
+                content: this.text(this.child(item, 'encoded', this.namespaces.content)),
+                enclosures: this.children(item, 'enclosure').map(enclosure => ({
+                    url: enclosure.getAttribute('url'),
+                    type: enclosure.getAttribute('type'),
+                    length: parseInt(enclosure.getAttribute('length'), 10) || 0
+                })),
+                thumbnail: this.mediaThumbnail(item)
+            }))
+        };
+    }
+
+    parseAtom(root) {
+        const atom = this.namespaces.atom;
+        const entries = this.children(root, 'entry', atom);
+
+        return {
+            format: 'atom',
+            title: this.text(this.child(root, 'title', atom)),
+            link: this.atomLink(root, 'alternate'),
+            items: entries.map(entry => {
+                const author = this.child(entry, 'author', atom);
+                return {
+                    id: this.text(this.child(entry, 'id', atom)),
+                    title: this.text(this.child(entry, 'title', atom)),
+                    link: this.atomLink(entry, 'alternate'),
+                    pubDate: this.text(this.child(entry, 'published', atom)) || this.text(this.child(entry, 'updated', atom)),
+                    author: author ? this.text(this.child(author, 'name', atom)) : '',
+                    categories: this.children(entry, 'category', atom)
+                        .map(category => category.getAttribute('label') || category.getAttribute('term'))
+                        .filter(Boolean),
+                    description: this.text(this.child(entry, 'summary', atom)),
+                    content: this.text(this.child(entry, 'content', atom)),
+                    enclosures: this.children(entry, 'link', atom)
+                        .filter(link => link.getAttribute('rel') === 'enclosure')
+                        .map(link => ({
+                            url: link.getAttribute('href'),
+                            type: link.getAttribute('type'),
+                            length: parseInt(link.getAttribute('length'), 10) || 0
+                        })),
+                    thumbnail: this.mediaThumbnail(entry)
+                };
+            })
+        };
+    }
+
+    // Atom links default to rel="alternate" when the attribute is missing
+    atomLink(element, rel) {
+        const link = this.children(element, 'link', this.namespaces.atom)
+            .find(candidate => (candidate.getAttribute('rel') || 'alternate') === rel);
+        return link ? link.getAttribute('href') : '';
+    }
+
+    mediaThumbnail(element) {
+        const thumbnail = this.child(element, 'thumbnail', this.namespaces.media);
+        if (thumbnail) return thumbnail.getAttribute('url');
+
+        const image = this.children(element, 'content', this.namespaces.media)
+            .find(content => (content.getAttribute('medium') || content.getAttribute('type') || '').startsWith('image'));
+        return image ? image.getAttribute('url') : null;
+    }
+
+    // Direct children only, so channel-level elements never leak into items (and vice versa)
+    children(element, localName, namespace = null) {
+        return Array.from(element.children).filter(child =>
+            child.localName === localName && (namespace === null
+                ? !child.namespaceURI || child.namespaceURI === element.namespaceURI
+                : child.namespaceURI === namespace)
+        );
+    }
+
+    child(element, localName, namespace = null) {
+        return this.children(element, localName, namespace)[0] || null;
+    }
+
+    text(element) {
+        return element ? element.textContent.trim() : '';
+    }
+}
@@ -20,6 +20,11 @@
  */
 
 function igniteSwitchTheme(themeID) {
+    // Route through the site's ThemeManager when present so listeners hear about it
+    if (window.themeManager) {
+        window.themeManager.setTheme(themeID);
+        return;
+    }
     igniteApplyTheme(themeID);
 }
 
@@ -72,6 +77,34 @@ function igniteApplySyntaxTheme() {
 
 // SECTION: Email Protection ------------------------------------------------------------------
 
+/*
+ scripts/protect-contacts.js rewrites mailto:, tel: and sms: links and bare email addresses
+ in the pages into:
+
+   <a class="protected-link" href="/contact/" data-protected="...">
+     <span class="protected-text">Show email address</span>
+   </a>
+
+ data-protected is the URL XORed with the build's key (<html data-protect-key>), which the
+ script changes on every run, so neither atob() nor a decoder written for last month's
+ pages recovers it. Nothing is decoded on load either: a link gets its real href and text
+ the first time it's hovered, focused, touched or clicked. From then on it's a plain link,
+ so Enter, middle-click, Ctrl/Cmd-click and "Copy link address" all work natively.
+
+ Optional attributes on the link:
+   data-protected-copy                adds a "Copy" button with clipboard feedback
+   data-protected-display="reversed"  shows the address straight away, stored backwards in
+                                      the DOM and flipped back by CSS
+
+ Links Ignite generates with base64 data-encoded-url still work, through the same reveal.
+ */
+
+const PROTECTED_LABELS = {
+    'mailto:': { reveal: 'Show email address', copy: 'Copy email address' },
+    'tel:': { reveal: 'Show phone number', copy: 'Copy phone number' },
+    'sms:': { reveal: 'Show phone number', copy: 'Copy phone number' }
+};
+
 function encodeEmail(email) {
     return btoa(email);
 }
@@ -80,42 +113,161 @@ function decode(encoded) {
     return atob(encoded);
 }
 
-// Decodes the display text when the page loads
-document.addEventListener('DOMContentLoaded', () => {
-    document.querySelectorAll('.protected-link').forEach(link => {
-        const encodedDisplay = link.textContent;
-        try {
-            const decodedDisplay = decode(encodedDisplay);
-            link.textContent = decodedDisplay;
-        } catch {
-            // If decoding fails, the display text wasn't encoded
+// Keyed XOR over the UTF-8 bytes, as hex. protect-contacts.js has the encoding half.
+function decodeProtected(hex, key) {
+    const keyBytes = new TextEncoder().encode(key);
+    const bytes = new Uint8Array((hex.match(/../g) || []).map((pair, i) => parseInt(pair, 16) ^ keyBytes[i % keyBytes.length]));
+    return new TextDecoder().decode(bytes);
+}
+
+function protectedUrl(link) {
+    if (link.dataset.encodedUrl) return decode(link.dataset.encodedUrl);
+    const key = document.documentElement.dataset.protectKey;
+    if (!link.dataset.protected || !key) return null;
+    return decodeProtected(link.dataset.protected, key);
+}
+
+// What people read and copy: "me@example.com", not "mailto:me@example.com?subject=Hi"
+function protectedAddress(url) {
+    return decodeURIComponent(url.replace(/^[a-z]+:/i, '').replace(/\?.*$/, ''));
+}
+
+// The first protected URL with this scheme on the page, e.g. for the contact form's mailto: fallback
+function findProtectedUrl(scheme) {
+    for (const link of document.querySelectorAll('.protected-link')) {
+        const url = protectedUrl(link);
+        if (url && url.startsWith(scheme)) return url;
+    }
+    return null;
+}
+
+function revealProtectedLink(link) {
+    if (link.classList.contains('protected-revealed')) return;
+    const url = protectedUrl(link);
+    if (!url) return;
+
+    link.href = url;
+    link.classList.add('protected-revealed');
+    link.querySelectorAll('.protected-text, .protected-reversed').forEach(text => {
+        text.classList.remove('protected-reversed');
+        text.removeAttribute('aria-hidden');
+        text.textContent = protectedAddress(url);
+    });
+    link.querySelectorAll('.protected-hint').forEach(hint => hint.remove());
+}
+
+function copyText(text) {
+    if (navigator.clipboard && window.isSecureContext) return navigator.clipboard.writeText(text);
+
+    // Older browsers and plain-http previews: copy from a throwaway textarea
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.className = 'protected-clipboard';
+    document.body.appendChild(textarea);
+    textarea.select();
+    const copied = document.execCommand('copy');
+    textarea.remove();
+    return copied ? Promise.resolve() : Promise.reject(new Error('Copy command was refused'));
+}
+
+function addCopyButton(link) {
+    const labels = PROTECTED_LABELS[(protectedUrl(link) || '').replace(/:.*$/, ':')] || PROTECTED_LABELS['mailto:'];
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'protected-copy btn btn-sm btn-outline-secondary';
+    button.textContent = 'Copy';
+    button.setAttribute('aria-label', labels.copy);
+
+    // Announced to screen readers; the button's own text changing isn't
+    const status = document.createElement('span');
+    status.className = 'visually-hidden';
+    status.setAttribute('role', 'status');
+
+    let timer;
+    button.addEventListener('click', () => {
+        revealProtectedLink(link);
+        const url = protectedUrl(link);
+        if (!url) return;
+
+        const feedback = (text, state) => {
+            button.textContent = text;
+            button.dataset.state = state;
+            status.textContent = state === 'copied' ? `Copied ${protectedAddress(url)}` : 'Copy failed; select the address instead';
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                button.textContent = 'Copy';
+                delete button.dataset.state;
+                status.textContent = '';
+            }, 2000);
+        };
+        copyText(protectedAddress(url)).then(() => feedback('Copied', 'copied'), () => feedback('Copy failed', 'failed'));
+    });
+
+    link.after(button, status);
+}
+
+// Reversed display: the address is readable on screen but backwards in the DOM, and kept
+// from screen readers (which would read it backwards) behind a visually hidden hint
+function showReversed(link) {
+    const url = protectedUrl(link);
+    const text = link.querySelector('.protected-text');
+    if (!url || !text) return;
+
+    const labels = PROTECTED_LABELS[url.replace(/:.*$/, ':')] || PROTECTED_LABELS['mailto:'];
+    const hint = document.createElement('span');
+    hint.className = 'protected-hint visually-hidden';
+    hint.textContent = labels.reveal;
+
+    text.textContent = Array.from(protectedAddress(url)).reverse().join('');
+    text.classList.add('protected-reversed');
+    text.setAttribute('aria-hidden', 'true');
+    text.before(hint);
+}
+
+// On load, and on each page the page router swaps in
+function igniteSetupProtectedLinks(root = document) {
+    root.querySelectorAll('.protected-link').forEach(link => {
+        // Ignite's base64 links carry encoded display text, decoded as they always were
+        if (link.dataset.encodedUrl) {
+            try {
+                link.textContent = decode(link.textContent);
+            } catch {
+                // If decoding fails, the display text wasn't encoded
+            }
         }
+        if (link.dataset.protectedDisplay === 'reversed') showReversed(link);
+        if ('protectedCopy' in link.dataset) addCopyButton(link);
     });
-});
+}
 
-// Handle clicks on protected links
-document.addEventListener('click', (e) => {
-    // Find closest parent link with protected-link class
-    const protectedLink = e.target.closest('.protected-link');
-    if (protectedLink) {
-        e.preventDefault();
-        const encodedUrl = protectedLink.getAttribute('data-encoded-url');
-        const url = decode(encodedUrl);
-        window.location.href = url;
-    }
+document.addEventListener('DOMContentLoaded', () => igniteSetupProtectedLinks());
+document.addEventListener('pagechange', (e) => igniteSetupProtectedLinks(e.detail.content));
+
+// Any sign someone is about to use the link reveals it. Click is in the list for activation
+// that skips the others (assistive tech, scripts); the new href is in place before the
+// browser follows the link, so modifier keys still open tabs or windows as usual.
+['pointerover', 'pointerdown', 'focusin', 'touchstart', 'click', 'auxclick', 'contextmenu'].forEach(type => {
+    document.addEventListener(type, (e) => {
+        const link = e.target.closest && e.target.closest('.protected-link');
+        if (link) revealProtectedLink(link);
+    }, { capture: true, passive: true });
 });
 
 // SECTION: Animations ------------------------------------------------------------------------
 
-document.addEventListener('DOMContentLoaded', () => {
-    const appearElements = document.querySelectorAll('[class*="animation-"]');
+function igniteAppear(root = document) {
+    const appearElements = root.querySelectorAll('[class*="animation-"]');
 
     setTimeout(() => {
         appearElements.forEach(element => {
             element.classList.add('appeared');
         });
     }, 100);
-});
+}
+
+document.addEventListener('DOMContentLoaded', () => igniteAppear());
+document.addEventListener('pagechange', (e) => igniteAppear(e.detail.content));
 
 function igniteToggleClickAnimation(element) {
     if (element.classList.contains('clicked')) {
@@ -132,9 +284,24 @@ function igniteToggleClickAnimation(element) {
 // We need to actually remove the rows to ensure that any zebra striping is
 // maintained correctly, but we need to a way to reinsert rows later on if
 // the search text changes.
-function igniteFilterTable(searchText, tableId) {
-    let input = searchText.toLowerCase();
+//
+// The search text uses the query language from table-query.js. Pass { fuzzy: true },
+// or put data-fuzzy on the table, to tolerate typos and rank the closest rows first.
+// Returns the parsed query, which also stays on table.igniteFilterQuery.
+function igniteFilterTable(searchText, tableId, options = {}) {
     let table = document.getElementById(tableId);
+
+    // Tables enhanced by ignite-table.js also page and sort, so let them redraw themselves
+    if (table.igniteTable) {
+        if (options.fuzzy !== undefined) table.igniteTable.fuzzy = options.fuzzy;
+        table.igniteTable.setQuery(searchText);
+        return table.igniteFilterQuery;
+    }
+
+    let query = parseTableQuery(searchText);
+    let fuzzy = options.fuzzy ?? (table.dataset.fuzzy !== undefined && table.dataset.fuzzy !== "false");
+    table.igniteFilterQuery = query;
+
     let tbody = table.querySelector("tbody");
 
     // The very first time we filter this table, take a back-up copy of the
@@ -147,9 +314,19 @@ function igniteFilterTable(searchText, tableId) {
     let rows = tbody.igniteFilterOriginalRows;
 
     // Filter rows and detach them to force reflow, to ensure zebra striping is correct.
-    let matchingRows = rows.filter(row => row.textContent.toLowerCase().includes(input));
+    let columns = tableColumnKeys(table);
+    let matchingRows = rows
+        .map((row, index) => ({ row, index, score: matchTableRow(row, query, { columns, fuzzy }) }))
+        .filter(match => match.score > 0);
+
+    // Fuzzy results are ranked, closest first; otherwise rows keep their order.
+    if (fuzzy && query.clauses.length > 0) {
+        matchingRows.sort((a, b) => b.score - a.score || a.index - b.index);
+    }
 
     // Clear tbody and reappend only matching rows; Bootstrap will auto re-stripe.
     tbody.innerHTML = "";
-    matchingRows.forEach(row => tbody.appendChild(row));
+    matchingRows.forEach(match => tbody.appendChild(match.row));
+
+    return query;
 }
\ No newline at end of file
@@ -0,0 +1,470 @@
+//
+//  ignite-table.js
+//  Search, column filters, multi-column sorting, paging and CSV/JSON export for Ignite tables
+//
+//  Opt in with data- attributes on the <table>:
+//    data-ignite-table              enhance this table (needs an id for igniteFilterTable)
+//    data-page-size="10"            rows per page; 0 shows everything
+//    data-column-filters="false"    no per-column filter row
+//    data-export-name="projects"    file name for exports (default: the table id)
+//    data-fuzzy                     search tolerates typos and ranks the closest rows first
+//  and on a <th>:
+//    data-type="number|date|text"   how the column sorts (default: detected from its cells)
+//    data-sortable="false"          header can't be clicked to sort
+//  A <td data-sort-value="..."> sorts by that value instead of its text.
+//
+//  Like igniteFilterTable, rows are backed up once in tbody.igniteFilterOriginalRows and the
+//  tbody is refilled with just the visible ones, so zebra striping stays right.
+//
+//  The search box takes the query language from table-query.js; column filters take the
+//  same language scoped to their column.
+//
+
+const IGNITE_TABLE_DEFAULTS = {
+    pageSize: 10,
+    columnFilters: true,
+    debounce: 200,
+    fuzzy: false
+};
+
+const tableCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// Spreadsheet apps run cells starting with these as formulas; plain numbers like -3 are safe
+function csvCell(value) {
+    const text = /^[=+\-@\t\r]/.test(value) && parseTableNumber(value) === null ? `'${value}` : value;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// normalizeSearchText one character at a time, keeping where each folded character came
+// from, so a match in the folded text can be marked in the original
+function foldWithOffsets(text) {
+    let folded = '';
+    const starts = [];
+    const ends = [];
+    let offset = 0;
+    for (const char of text) {
+        const part = normalizeSearchText(char);
+        for (let i = 0; i < part.length; i++) {
+            starts.push(offset);
+            ends.push(offset + char.length);
+        }
+        folded += part;
+        offset += char.length;
+        // A combining accent folds to nothing; it stays with the letter before it
+        if (!part && ends.length > 0) ends[ends.length - 1] = offset;
+    }
+    return { folded, starts, ends };
+}
+
+class IgniteTable {
+    constructor(table, options = {}) {
+        this.table = table;
+        this.tbody = table.querySelector('tbody');
+        this.headers = Array.from(table.tHead ? table.tHead.rows[0].cells : []);
+        this.pageSize = options.pageSize ?? IGNITE_TABLE_DEFAULTS.pageSize;
+        this.columnFilters = options.columnFilters ?? IGNITE_TABLE_DEFAULTS.columnFilters;
+        this.debounce = options.debounce ?? IGNITE_TABLE_DEFAULTS.debounce;
+        this.fuzzy = options.fuzzy ?? IGNITE_TABLE_DEFAULTS.fuzzy;
+        this.exportName = options.exportName || table.id || 'table';
+
+        // Same backup igniteFilterTable makes, so both work on the full set of rows
+        if (!('igniteFilterOriginalRows' in this.tbody)) {
+            this.tbody.igniteFilterOriginalRows = Array.from(this.tbody.rows);
+        }
+        this.rows = this.tbody.igniteFilterOriginalRows;
+        this.rows.forEach((row, index) => {
+            row.igniteTableIndex = index;
+        });
+
+        this.types = this.headers.map((header, index) => header.dataset.type || this.detectType(index));
+        this.columns = tableColumnKeys(table);
+        this.state = { query: '', filters: this.headers.map(() => ''), sort: [], page: 1 };
+        this.query = parseTableQuery('');
+        this.scores = new Map();
+        this.visibleRows = [];
+        this.highlightedRows = new Set();
+
+        this.createHeaders();
+        this.createControls();
+        table.igniteTable = this;
+        table.classList.add('ignite-table');
+        this.render();
+    }
+
+    // data- attributes on the table override the defaults
+    static fromTable(table) {
+        const data = table.dataset;
+        const options = {};
+        if (data.pageSize !== undefined) options.pageSize = parseInt(data.pageSize, 10) || 0;
+        if (data.columnFilters === 'false') options.columnFilters = false;
+        if (data.exportName) options.exportName = data.exportName;
+        if (data.fuzzy !== undefined) options.fuzzy = data.fuzzy !== 'false';
+        return new IgniteTable(table, options);
+    }
+
+    static enhanceAll(root = document) {
+        return Array.from(root.querySelectorAll('table[data-ignite-table]'))
+            .filter(table => !table.igniteTable && table.tBodies.length > 0)
+            .map(table => IgniteTable.fromTable(table));
+    }
+
+    // SECTION: Values
+
+    cellText(row, index) {
+        const cell = row.cells[index];
+        if (!cell) return '';
+        return (cell.dataset.sortValue ?? cell.textContent).trim();
+    }
+
+    detectType(index) {
+        const values = this.rows.map(row => this.cellText(row, index)).filter(Boolean);
+        if (values.length === 0) return 'text';
+        if (values.every(value => parseTableNumber(value) !== null)) return 'number';
+        if (values.every(value => parseTableDate(value) !== null)) return 'date';
+        return 'text';
+    }
+
+    compareCells(a, b, index) {
+        const first = this.cellText(a, index);
+        const second = this.cellText(b, index);
+        // Empty cells sort last in both directions; render() doesn't flip this case
+        if (!first || !second) return (first ? 0 : 1) - (second ? 0 : 1);
+
+        const type = this.types[index];
+        if (type === 'number') return parseTableNumber(first) - parseTableNumber(second);
+        if (type === 'date') return parseTableDate(first) - parseTableDate(second);
+        return tableCollator.compare(first, second);
+    }
+
+    // SECTION: Controls
+
+    createHeaders() {
+        this.headers.forEach((header, index) => {
+            if (header.dataset.sortable === 'false') return;
+
+            // A real button makes the header focusable and announces it as clickable
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'ignite-table-sort';
+            button.append(...header.childNodes);
+            header.appendChild(button);
+            header.setAttribute('aria-sort', 'none');
+
+            button.addEventListener('click', (e) => this.sortBy(index, { add: e.shiftKey }));
+        });
+
+        if (!this.columnFilters || this.headers.length === 0) return;
+
+        const filterRow = this.table.tHead.insertRow();
+        filterRow.className = 'ignite-table-filters';
+        this.headers.forEach((header, index) => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'search';
+            input.className = 'form-control form-control-sm';
+            input.setAttribute('aria-label', `Filter ${header.textContent.trim()}`);
+            input.addEventListener('input', this.debounced(() => {
+                this.update({ filters: this.state.filters.map((value, i) => (i === index ? input.value.trim() : value)) });
+            }));
+            cell.appendChild(input);
+            filterRow.appendChild(cell);
+        });
+    }
+
+    createControls() {
+        this.toolbar = html.fragment(html`
+            <div class="ignite-table-toolbar">
+                <input type="search" class="form-control ignite-table-search" placeholder="Search" aria-label="Search table" />
+                <div class="ignite-table-export">
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-export="csv">Export CSV</button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-export="json">Export JSON</button>
+                </div>
+            </div>
+        `).firstElementChild;
+
+        this.footer = html.fragment(html`
+            <div class="ignite-table-footer">
+                <p class="ignite-table-summary" role="status" aria-live="polite"></p>
+                <nav class="ignite-table-pages" aria-label="Table pages">
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-page="previous">Previous</button>
+                    <span class="ignite-table-page"></span>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-page="next">Next</button>
+                </nav>
+            </div>
+        `).firstElementChild;
+
+        this.table.before(this.toolbar);
+        this.table.after(this.footer);
+
+        this.searchInput = this.toolbar.querySelector('.ignite-table-search');
+        this.searchInput.addEventListener('input', this.debounced(() => this.setQuery(this.searchInput.value)));
+
+        this.toolbar.querySelector('[data-export="csv"]').addEventListener('click', () => this.exportCSV());
+        this.toolbar.querySelector('[data-export="json"]').addEventListener('click', () => this.exportJSON());
+
+        this.footer.querySelector('[data-page="previous"]').addEventListener('click', () => this.goToPage(this.state.page - 1));
+        this.footer.querySelector('[data-page="next"]').addEventListener('click', () => this.goToPage(this.state.page + 1));
+    }
+
+    debounced(callback) {
+        let timer;
+        return () => {
+            clearTimeout(timer);
+            timer = setTimeout(callback, this.debounce);
+        };
+    }
+
+    // SECTION: State
+
+    update(changes) {
+        this.state = { ...this.state, page: 1, ...changes };
+        this.query = parseTableQuery(this.state.query);
+        this.table.igniteFilterQuery = this.query;
+        this.render();
+    }
+
+    setQuery(text) {
+        const query = String(text).trim();
+        if (this.searchInput.value.trim() !== query) this.searchInput.value = query;
+        this.update({ query });
+    }
+
+    setColumnFilter(index, text) {
+        const filters = this.state.filters.slice();
+        filters[index] = String(text).trim();
+        const input = this.table.querySelectorAll('.ignite-table-filters input')[index];
+        if (input) input.value = filters[index];
+        this.update({ filters });
+    }
+
+    // Click: sort by this column only, flipping direction on repeat clicks.
+    // Shift+click: add it as the next tie-breaker, or flip it if it is one already.
+    sortBy(index, { add = false, direction } = {}) {
+        const existing = this.state.sort.find(item => item.index === index);
+        const next = direction || (existing && existing.direction === 'ascending' ? 'descending' : 'ascending');
+
+        let sort;
+        if (add) {
+            sort = existing
+                ? this.state.sort.map(item => (item.index === index ? { index, direction: next } : item))
+                : [...this.state.sort, { index, direction: next }];
+        } else {
+            sort = [{ index, direction: next }];
+        }
+        this.update({ sort });
+    }
+
+    goToPage(page) {
+        this.state.page = Math.min(Math.max(page, 1), this.pageCount());
+        this.render();
+    }
+
+    pageCount() {
+        return this.pageSize > 0 ? Math.max(Math.ceil(this.matches.length / this.pageSize), 1) : 1;
+    }
+
+    // SECTION: Filtering
+
+    // 0 when the row is filtered out, otherwise how well it matched the search
+    scoreRow(row) {
+        const options = { columns: this.columns, fuzzy: this.fuzzy };
+        const score = matchTableRow(row, this.query, options);
+        if (score === 0) return 0;
+
+        const filtered = this.state.filters.every((filter, index) =>
+            !filter || matchTableRow(row, parseTableQuery(filter, index), options) > 0);
+        return filtered ? score : 0;
+    }
+
+    // SECTION: Rendering
+
+    render() {
+        this.scores.clear();
+        this.rows.forEach(row => {
+            const score = this.scoreRow(row);
+            if (score > 0) this.scores.set(row, score);
+        });
+        this.matches = this.rows.filter(row => this.scores.has(row));
+
+        if (this.state.sort.length > 0) {
+            this.matches.sort((a, b) => {
+                for (const { index, direction } of this.state.sort) {
+                    const result = this.compareCells(a, b, index);
+                    if (result !== 0) {
+                        const emptyLast = !this.cellText(a, index) || !this.cellText(b, index);
+                        return emptyLast || direction === 'ascending' ? result : -result;
+                    }
+                }
+                // Stable: equal rows keep their original order
+                return a.igniteTableIndex - b.igniteTableIndex;
+            });
+        } else if (this.fuzzy && this.query.clauses.length > 0) {
+            // No column sort chosen, so the closest matches come first
+            this.matches.sort((a, b) => this.scores.get(b) - this.scores.get(a) || a.igniteTableIndex - b.igniteTableIndex);
+        }
+
+        const pages = this.pageCount();
+        this.state.page = Math.min(this.state.page, pages);
+        const start = this.pageSize > 0 ? (this.state.page - 1) * this.pageSize : 0;
+        this.visibleRows = this.pageSize > 0 ? this.matches.slice(start, start + this.pageSize) : this.matches;
+
+        // Detach everything and re-append only what shows; Bootstrap re-stripes the rows
+        this.tbody.innerHTML = '';
+        this.visibleRows.forEach(row => this.tbody.appendChild(row));
+
+        this.highlight();
+        this.renderHeaders();
+        this.renderFooter(start, pages);
+    }
+
+    renderHeaders() {
+        const [primary] = this.state.sort;
+        this.headers.forEach((header, index) => {
+            if (header.dataset.sortable === 'false') return;
+            const position = this.state.sort.findIndex(item => item.index === index);
+
+            // aria-sort belongs on one header only: the primary sort
+            header.setAttribute('aria-sort', primary && primary.index === index ? primary.direction : 'none');
+            // The button shows the direction, and the position when several columns sort
+            const button = header.querySelector('.ignite-table-sort');
+            if (position >= 0) {
+                button.dataset.sortDirection = this.state.sort[position].direction;
+                button.dataset.sortOrder = this.state.sort.length > 1 ? position + 1 : '';
+            } else {
+                delete button.dataset.sortDirection;
+                delete button.dataset.sortOrder;
+            }
+        });
+    }
+
+    renderFooter(start, pages) {
+        const total = this.matches.length;
+        const summary = total === 0
+            ? 'No matching rows'
+            : `Showing ${start + 1}–${start + this.visibleRows.length} of ${total} row${total === 1 ? '' : 's'}`;
+        this.footer.querySelector('.ignite-table-summary').textContent =
+            total < this.rows.length ? `${summary} (filtered from ${this.rows.length})` : summary;
+
+        const nav = this.footer.querySelector('.ignite-table-pages');
+        nav.hidden = pages <= 1;
+        nav.querySelector('.ignite-table-page').textContent = `Page ${this.state.page} of ${pages}`;
+        nav.querySelector('[data-page="previous"]').disabled = this.state.page <= 1;
+        nav.querySelector('[data-page="next"]').disabled = this.state.page >= pages;
+    }
+
+    // Wraps matched terms in <mark> inside text nodes only, so links and markup in cells survive
+    highlight() {
+        this.highlightedRows.forEach(row => this.clearHighlight(row));
+        this.highlightedRows.clear();
+
+        const terms = this.highlightTerms();
+        if (terms.every(list => list.length === 0)) return;
+
+        this.visibleRows.forEach(row => {
+            Array.from(row.cells).forEach((cell, index) => {
+                if (terms[index] && terms[index].length > 0) this.highlightCell(cell, terms[index]);
+            });
+            this.highlightedRows.add(row);
+        });
+    }
+
+    // Words to mark in each column. Only what matched literally: exclusions, comparisons and
+    // fuzzy near-misses have nothing exact to point at.
+    highlightTerms() {
+        const terms = this.headers.map(() => []);
+        const queries = [this.query, ...this.state.filters.map((filter, index) => parseTableQuery(filter, index))];
+        queries.forEach(query => {
+            query.clauses.forEach(clause => {
+                if (clause.type !== 'match' || clause.negated) return;
+                let index = typeof clause.column === 'number' ? clause.column : null;
+                if (typeof clause.column === 'string') index = this.columns[normalizeSearchText(clause.column)] ?? null;
+                const value = typeof clause.column === 'string' && index === null ? clause.raw : clause.value;
+                terms.forEach((list, i) => {
+                    if (index === null || index === i) list.push(value);
+                });
+            });
+        });
+        return terms;
+    }
+
+    // Matches like matchTableRow does, ignoring case and accents, so "cafe" marks "Café"
+    highlightCell(cell, terms) {
+        const escaped = terms
+            .map(term => normalizeSearchText(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .filter(Boolean);
+        if (escaped.length === 0) return;
+        const pattern = new RegExp(escaped.join('|'), 'g');
+        const walker = document.createTreeWalker(cell, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        nodes.forEach(node => {
+            const text = node.nodeValue;
+            const { folded, starts, ends } = foldWithOffsets(text);
+            const matches = Array.from(folded.matchAll(pattern));
+            if (matches.length === 0) return;
+
+            const fragment = document.createDocumentFragment();
+            let position = 0;
+            matches.forEach(match => {
+                const start = starts[match.index];
+                const end = ends[match.index + match[0].length - 1];
+                if (start > position) fragment.appendChild(document.createTextNode(text.slice(position, start)));
+                const mark = document.createElement('mark');
+                mark.className = 'ignite-table-match';
+                mark.textContent = text.slice(start, end);
+                fragment.appendChild(mark);
+                position = end;
+            });
+            if (position < text.length) fragment.appendChild(document.createTextNode(text.slice(position)));
+            node.replaceWith(fragment);
+        });
+    }
+
+    clearHighlight(row) {
+        row.querySelectorAll('mark.ignite-table-match').forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(mark.textContent);
+            parent.normalize();
+        });
+    }
+
+    // SECTION: Export
+
+    // The rows on screen right now: filtered, sorted and on the current page
+    getVisibleData() {
+        const columns = this.headers.map(header => header.textContent.trim());
+        const rows = this.visibleRows.map(row => columns.map((column, index) => (row.cells[index] ? row.cells[index].textContent.trim() : '')));
+        return { columns, rows };
+    }
+
+    exportCSV() {
+        const { columns, rows } = this.getVisibleData();
+        const csv = [columns, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+        this.download(`${csv}\r\n`, 'text/csv', 'csv');
+    }
+
+    exportJSON() {
+        const { columns, rows } = this.getVisibleData();
+        const records = rows.map(row => Object.fromEntries(columns.map((column, index) => [column, row[index]])));
+        this.download(JSON.stringify(records, null, 2), 'application/json', 'json');
+    }
+
+    download(contents, type, extension) {
+        const blob = new Blob([contents], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.exportName}.${extension}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    IgniteTable.enhanceAll();
+});
+
+// Tables on pages the page router swaps in
+document.addEventListener('pagechange', (e) => {
+    IgniteTable.enhanceAll(e.detail.content);
+});
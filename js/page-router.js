@@ -0,0 +1,264 @@
+//
+//  page-router.js
+//  Moves between the site's pages without a full reload, opted into with <html data-router>
+//
+//  Same-origin links to pages are fetched and only .ig-main-content is swapped in, so the
+//  scripts, PortfolioApp and everything it has already loaded stay put. The swap runs inside
+//  a view transition where the browser has them (and motion isn't reduced); the title,
+//  description, Open Graph/Twitter tags and canonical link come from the new page.
+//
+//  Each swap dispatches `pagechange` on document with { url, previousUrl, content, source };
+//  code that sets up page content on DOMContentLoaded should do it again then.
+//
+//  Anything unusual gets an ordinary page load: modifier keys, target or download, another
+//  site, a file, a page that needs scripts or stylesheets this one didn't load, a failed
+//  fetch. Links (or their containers) with data-router="false" are always left alone.
+//
+
+const PAGE_ROUTER_SETTINGS = {
+    contentSelector: '.ig-main-content',
+    // Head elements that describe the page rather than the site
+    headSelectors: [
+        'title',
+        'meta[name="description"]',
+        'meta[property^="og:"]',
+        'meta[name^="twitter:"]',
+        'link[rel="canonical"]'
+    ],
+    transitions: true,
+    // How long scrolling has to pause before the position is written to history
+    scrollSaveDelay: 150
+};
+
+class PageRouter {
+    constructor(settings = PAGE_ROUTER_SETTINGS) {
+        this.settings = { ...PAGE_ROUTER_SETTINGS, ...settings };
+        this.url = new URL(window.location.href);
+        this.controller = null;
+        this.scrollTimer = null;
+        this.init();
+    }
+
+    static isSupported() {
+        return 'fetch' in window && 'DOMParser' in window && Boolean(history.pushState);
+    }
+
+    // null unless the page opts in; data-router-transitions="false" keeps the plain swap
+    static fromDocument(root = document.documentElement, settings = PAGE_ROUTER_SETTINGS) {
+        const data = root.dataset;
+        if (data.router === undefined || data.router === 'false' || !PageRouter.isSupported()) return null;
+
+        const merged = { ...settings };
+        if (data.routerTransitions === 'false') merged.transitions = false;
+        return new PageRouter(merged);
+    }
+
+    init() {
+        // Scroll positions live in history.state, restored once the old page is back in. With
+        // the browser's restoring off, a reload or a return from another site is restored here too.
+        const savedScrollY = history.state && history.state.scrollY;
+        history.scrollRestoration = 'manual';
+        if (savedScrollY > 0) this.restoreSavedScroll(savedScrollY);
+        else this.saveScroll();
+
+        // On window, so document-level handlers (smooth scrolling, site search) decide first
+        window.addEventListener('click', (e) => this.handleClick(e));
+        window.addEventListener('popstate', (e) => this.handlePopState(e));
+        window.addEventListener('scroll', () => {
+            clearTimeout(this.scrollTimer);
+            this.scrollTimer = setTimeout(() => this.saveScroll(), this.settings.scrollSaveDelay);
+        }, { passive: true });
+        // Leaving for another site and coming back restores the position too
+        window.addEventListener('pagehide', () => this.saveScroll());
+    }
+
+    saveScroll() {
+        // Keep what's there: the projects and blog filters store their own state alongside
+        history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+    }
+
+    // Once images and the rest have loaded, so the page is about as tall as when it was left
+    restoreSavedScroll(scrollY) {
+        const restore = () => window.scrollTo({ top: scrollY, left: 0, behavior: 'instant' });
+        if (document.readyState === 'complete') restore();
+        else window.addEventListener('load', restore, { once: true });
+    }
+
+    // SECTION: Links
+
+    isPageLink(link) {
+        if (link.target && link.target !== '_self') return false;
+        if (link.hasAttribute('download') || link.closest('[data-router="false"]')) return false;
+
+        const url = new URL(link.href, window.location.href);
+        if (url.origin !== window.location.origin) return false;
+        // Anchors on this page scroll as they always have
+        if (url.hash && url.pathname === this.url.pathname && url.search === this.url.search) return false;
+
+        // Files (/data/*.json, a PDF) aren't pages; /about and /about/index.html are
+        const name = url.pathname.split('/').pop();
+        return !name.includes('.') || name.endsWith('.html');
+    }
+
+    handleClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest && e.target.closest('a[href]');
+        if (!link || !this.isPageLink(link)) return;
+
+        e.preventDefault();
+        this.navigate(link.href);
+    }
+
+    handlePopState(e) {
+        const url = new URL(window.location.href);
+        // Filters change the query and anchors the hash; only a different path is another page
+        if (url.pathname === this.url.pathname) {
+            this.url = url;
+            return;
+        }
+        this.navigate(url.href, { source: 'popstate', scrollY: (e.state && e.state.scrollY) || 0 });
+    }
+
+    // SECTION: Navigation
+
+    async navigate(href, { source = 'link', scrollY = 0 } = {}) {
+        const url = new URL(href, window.location.href);
+        if (this.controller) this.controller.abort();
+        const controller = this.controller = new AbortController();
+
+        document.documentElement.classList.add('router-loading');
+        let page = null;
+        try {
+            page = await this.fetchPage(url, controller.signal);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            // Offline with nothing cached, most likely: the service worker has a page for that
+        } finally {
+            if (this.controller === controller) {
+                this.controller = null;
+                document.documentElement.classList.remove('router-loading');
+            }
+        }
+
+        if (!page) {
+            this.load(url, source);
+            return;
+        }
+
+        try {
+            await this.render(page, source, scrollY);
+        } catch (error) {
+            window.errorTracker.logError('Page router', error, { url: url.href });
+            this.load(url, source);
+        }
+    }
+
+    // The ordinary way; after popstate the address bar already shows the page to load
+    load(url, source) {
+        if (source === 'popstate') window.location.reload();
+        else window.location.assign(url.href);
+    }
+
+    async fetchPage(url, signal) {
+        const response = await fetch(url.href, {
+            signal,
+            credentials: 'same-origin',
+            // sw.js treats this like a navigation: network first, then the cached page
+            headers: { Accept: 'text/html' }
+        });
+        if (!response.ok || !(response.headers.get('Content-Type') || '').includes('text/html')) return null;
+
+        const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+        if (!this.canSwap(doc)) return null;
+
+        // Where a redirect ended up, e.g. /about to /about/, keeping the link's anchor
+        const finalUrl = new URL(response.redirected && response.url ? response.url : url.href);
+        finalUrl.hash = url.hash;
+        return { doc, url: finalUrl };
+    }
+
+    // Swapped content can't bring its own scripts or stylesheets with it
+    canSwap(doc) {
+        if (!doc.querySelector(this.settings.contentSelector) || !document.querySelector(this.settings.contentSelector)) return false;
+
+        const sources = (root) => new Set(Array.from(
+            root.querySelectorAll('script[src], link[rel="stylesheet"][href]'),
+            element => element.getAttribute('src') || element.getAttribute('href')
+        ));
+        const loaded = sources(document);
+        return Array.from(sources(doc)).every(source => loaded.has(source));
+    }
+
+    async render(page, source, scrollY) {
+        const previousUrl = this.url.href;
+        let content = null;
+        const update = () => {
+            if (source === 'link') {
+                // Following a link to the page already open replaces it rather than stacking
+                const sameEntry = page.url.pathname === this.url.pathname && page.url.search === this.url.search;
+                history[sameEntry ? 'replaceState' : 'pushState']({ scrollY: 0 }, '', page.url.href);
+            }
+            this.url = page.url;
+            content = this.swap(page.doc);
+            this.restoreScroll(source, scrollY);
+        };
+
+        if (this.settings.transitions && document.startViewTransition && !window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            await document.startViewTransition(update).updateCallbackDone;
+        } else {
+            update();
+        }
+
+        this.focus(content);
+        document.dispatchEvent(new CustomEvent('pagechange', {
+            detail: { url: page.url.href, previousUrl, content, source }
+        }));
+    }
+
+    swap(doc) {
+        const content = document.adoptNode(doc.querySelector(this.settings.contentSelector));
+        document.querySelector(this.settings.contentSelector).replaceWith(content);
+
+        this.settings.headSelectors.forEach(selector => {
+            const previous = Array.from(document.head.querySelectorAll(selector));
+            const next = Array.from(doc.head.querySelectorAll(selector), element => document.importNode(element, true));
+            if (previous.length > 0) previous[0].before(...next);
+            else document.head.append(...next);
+            previous.forEach(element => element.remove());
+        });
+
+        const root = doc.documentElement;
+        if (root.lang) document.documentElement.lang = root.lang;
+        // Contact links decode with the key of the build they came from
+        if (root.dataset.protectKey) document.documentElement.dataset.protectKey = root.dataset.protectKey;
+
+        return content;
+    }
+
+    restoreScroll(source, scrollY) {
+        const target = source === 'link' && this.anchorTarget();
+        if (target) target.scrollIntoView();
+        else window.scrollTo({ top: source === 'popstate' ? scrollY : 0, left: 0, behavior: 'instant' });
+    }
+
+    anchorTarget() {
+        if (!this.url.hash) return null;
+        try {
+            return document.getElementById(decodeURIComponent(this.url.hash.slice(1)));
+        } catch {
+            return null;
+        }
+    }
+
+    // Where a screen reader or keyboard user would have started on a fresh load of the page
+    focus(content) {
+        const target = this.anchorTarget() || content.querySelector('h1') || content;
+        if (!target.matches('a[href], button, input, select, textarea, [tabindex]')) {
+            target.setAttribute('tabindex', '-1');
+        }
+        target.focus({ preventScroll: true });
+    }
+}
+
+window.pageRouter = PageRouter.fromDocument();
@@ -5,39 +5,217 @@
 //  Created by Priyank Gandhi on 30/08/25.
 //
 
+// Raised while GitHub's API quota is exhausted; requests are suspended until `resetAt`
+class GitHubRateLimitError extends Error {
+    constructor(resetAt) {
+        super(`GitHub rate limit exceeded until ${new Date(resetAt).toISOString()}`);
+        this.name = 'GitHubRateLimitError';
+        this.resetAt = resetAt;
+    }
+}
+
 // Enhanced GitHub Integration for Ignite
 class GitHubIntegration {
-    constructor(username = 'iosdevpriyank') {
+    constructor(username = 'iosdevpriyank', cache = new CacheStore()) {
         this.username = username;
         this.apiUrl = 'https://api.github.com';
-        this.cache = new Map();
-        this.cacheTimeout = 10 * 60 * 1000; // 10 minutes
+        this.cache = cache;
+        this.snapshotUrl = '/data/repos.json';
+        this.snapshotVersion = 1;
+        this.rateLimitKey = 'github-rate-limit';
+        this.enrichRepositories = false;
+        this.maxPages = 10;
+        this.maxConcurrentRequests = 4;
+        this.maxRetries = 3;
+        this.retryDelay = 1000;
+        this.memoryResetAt = 0;
+        this.dataTimestamps = {};
+    }
+    
+    async fetchWithCache(url, cacheKey, options = {}) {
+        const entry = await this.fetchEntryWithCache(url, cacheKey, options);
+        return entry ? entry.data : null;
+    }
+    
+    async fetchEntryWithCache(url, cacheKey, options = {}) {
+        const entry = await this.cache.tryFetchEntry(url, {
+            key: `github:${cacheKey}`,
+            source: 'github',
+            keepHeaders: options.keepHeaders,
+            optional: options.optional,
+            fetch: (input, init) => this.request(input, init),
+            errorType: 'GitHub API',
+            expected: error => error instanceof GitHubRateLimitError
+        });
+        if (entry) this.dataTimestamps[cacheKey] = entry.timestamp;
+        return entry;
+    }
+    
+    // fetch() wrapper that honours GitHub's rate-limit headers and retries 5xx responses
+    async request(url, init = {}) {
+        for (let attempt = 0; ; attempt++) {
+            const resetAt = this.getRateLimitReset();
+            if (resetAt) throw new GitHubRateLimitError(resetAt);
+            
+            const response = await fetch(url, init);
+            this.updateRateLimit(response);
+            
+            if (response.status === 403 || response.status === 429) {
+                const suspendedUntil = this.getRateLimitReset();
+                if (suspendedUntil) throw new GitHubRateLimitError(suspendedUntil);
+            }
+            
+            if (response.status >= 500 && attempt < this.maxRetries) {
+                await new Promise(resolve => setTimeout(resolve, this.getBackoffDelay(attempt)));
+                continue;
+            }
+            
+            return response;
+        }
     }
     
-    async fetchWithCache(url, cacheKey) {
-        const cached = this.cache.get(cacheKey);
-        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-            return cached.data;
+    updateRateLimit(response) {
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+        if (!isNaN(retryAfter)) {
+            this.suspendUntil(Date.now() + retryAfter * 1000);
+            return;
         }
         
+        const remaining = response.headers.get('X-RateLimit-Remaining');
+        const reset = parseInt(response.headers.get('X-RateLimit-Reset'), 10);
+        if (remaining === '0' && !isNaN(reset)) {
+            this.suspendUntil(reset * 1000);
+        }
+    }
+    
+    // Exponential backoff with full jitter
+    getBackoffDelay(attempt) {
+        return Math.random() * this.retryDelay * Math.pow(2, attempt);
+    }
+    
+    // Persisted so other pages (and reloads) don't spend requests we don't have
+    suspendUntil(resetAt) {
         try {
-            const response = await fetch(url);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            const data = await response.json();
-            this.cache.set(cacheKey, { data, timestamp: Date.now() });
-            return data;
-        } catch (error) {
-            console.error(`Error fetching ${cacheKey}:`, error);
-            return cached ? cached.data : null;
+            localStorage.setItem(this.rateLimitKey, JSON.stringify({ resetAt }));
+        } catch {
+            // Storage unavailable; the suspension only lasts for this page
+        }
+        this.memoryResetAt = resetAt;
+    }
+    
+    getRateLimitReset() {
+        let resetAt = this.memoryResetAt || 0;
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.rateLimitKey));
+            resetAt = Math.max(resetAt, stored?.resetAt || 0);
+            if (resetAt && resetAt <= Date.now()) localStorage.removeItem(this.rateLimitKey);
+        } catch {
+            // Ignore malformed or unavailable storage
         }
+        
+        if (resetAt && resetAt <= Date.now()) {
+            this.memoryResetAt = 0;
+            return 0;
+        }
+        return resetAt;
     }
     
-    async fetchRepositories() {
-        const repos = await this.fetchWithCache(
-            `${this.apiUrl}/users/${this.username}/repos?sort=updated&per_page=12&type=owner`,
+    isRateLimited() {
+        return this.getRateLimitReset() > 0;
+    }
+    
+    getDataTimestamp(cacheKey) {
+        return this.dataTimestamps[cacheKey] || null;
+    }
+    
+    async fetchRepositories(options = {}) {
+        const repos = await this.fetchAllPages(
+            `${this.apiUrl}/users/${this.username}/repos?sort=updated&per_page=100&type=owner`,
             'repositories'
         );
-        return repos ? repos.filter(repo => !repo.fork && !repo.private) : [];
+        if (!repos) return [];
+        
+        const owned = repos.filter(repo => !repo.fork && !repo.private);
+        const enrich = options.enrich ?? this.enrichRepositories;
+        if (!enrich) return owned.map(repo => this.normalizeRepository(repo));
+        
+        return this.mapConcurrently(owned, repo => this.enrichRepository(repo));
+    }
+    
+    // Build-time snapshot written by scripts/build-data.js; costs no API quota
+    async fetchSnapshot() {
+        const entry = await this.cache.tryFetchEntry(this.snapshotUrl, {
+            key: 'github:snapshot',
+            source: 'snapshot',
+            optional: true,
+            errorType: 'GitHub snapshot'
+        });
+        const snapshot = entry && entry.data;
+        if (!snapshot || snapshot.version !== this.snapshotVersion || !Array.isArray(snapshot.items)) return null;
+        
+        this.dataTimestamps.snapshot = Date.parse(snapshot.generatedAt) || entry.timestamp;
+        return snapshot.items.map(repo => this.normalizeRepository(repo));
+    }
+    
+    // Follows `Link: <...>; rel="next"` headers; each page is cached (and revalidated) on its own
+    async fetchAllPages(url, cacheKey) {
+        const items = [];
+        let nextUrl = url;
+        
+        for (let page = 1; nextUrl && page <= this.maxPages; page++) {
+            const key = page === 1 ? cacheKey : `${cacheKey}:page${page}`;
+            const entry = await this.fetchEntryWithCache(nextUrl, key, { keepHeaders: ['Link'] });
+            if (!entry) return page === 1 ? null : items;
+            
+            items.push(...entry.data);
+            nextUrl = this.parseNextLink(entry.headers?.link);
+        }
+        
+        return items;
+    }
+    
+    parseNextLink(linkHeader) {
+        if (!linkHeader) return null;
+        const match = linkHeader.split(',').map(part => part.match(/<([^>]+)>;\s*rel="([^"]+)"/))
+            .find(parts => parts && parts[2] === 'next');
+        return match ? match[1] : null;
+    }
+    
+    normalizeRepository(repo) {
+        return {
+            ...repo,
+            topics: repo.topics || [],
+            openIssues: repo.open_issues_count ?? 0
+        };
+    }
+    
+    // Adds the full language byte breakdown and latest release tag (two requests per repo)
+    async enrichRepository(repo) {
+        const [languages, release] = await Promise.all([
+            this.fetchWithCache(`${this.apiUrl}/repos/${repo.full_name}/languages`, `languages:${repo.full_name}`),
+            this.fetchWithCache(`${this.apiUrl}/repos/${repo.full_name}/releases/latest`, `release:${repo.full_name}`, { optional: true })
+        ]);
+        
+        return {
+            ...this.normalizeRepository(repo),
+            languages: languages || (repo.language ? { [repo.language]: repo.size } : {}),
+            latestRelease: release ? release.tag_name : null
+        };
+    }
+    
+    async mapConcurrently(items, mapper) {
+        const results = new Array(items.length);
+        let nextIndex = 0;
+        
+        const worker = async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                results[index] = await mapper(items[index], index);
+            }
+        };
+        
+        await Promise.all(Array.from({ length: Math.min(this.maxConcurrentRequests, items.length) }, worker));
+        return results;
     }
     
     async fetchUserStats() {
@@ -87,55 +265,123 @@ class GitHubIntegration {
 
 // Enhanced Medium Integration
 class MediumIntegration {
-    constructor(username = '@priyankgandhi') {
+    constructor(username = '@priyankgandhi', cache = new CacheStore(), options = {}) {
         this.username = username;
-        this.cache = new Map();
-        this.cacheTimeout = 15 * 60 * 1000; // 15 minutes
-        this.proxyUrl = 'https://api.rss2json.com/v1/api.json?rss_url=';
+        this.cache = cache;
         this.feedUrl = `https://medium.com/feed/${this.username}`;
+        this.parser = new FeedParser();
+        this.maxItems = options.maxItems || 20;
+        
+        // Tried in order: 'direct' fetches the feed itself, 'proxy' goes through
+        // `options.proxy` (a function or a URL template containing {url}) and
+        // 'snapshot' reads a pre-built JSON file served with the site.
+        // medium.com sends no CORS headers, so 'direct' is opt-in (for feeds that do);
+        // the snapshot is built on every deploy by .github/workflows/pages.yml.
+        // No proxy is set up, so posts only come from the snapshot and live refresh
+        // (fetchLiveBlogs) does nothing until one is: pass `options.proxy` and add its
+        // origin to CONNECT_SOURCES in scripts/build-csp.js.
+        this.transports = options.transports || ['snapshot', 'proxy'];
+        this.proxy = options.proxy || null;
+        this.snapshotUrl = options.snapshotUrl || '/data/posts.json';
+        this.snapshotVersion = 1;
     }
     
-    async fetchWithCache(url, cacheKey) {
-        const cached = this.cache.get(cacheKey);
-        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-            return cached.data;
+    async fetchBlogs(options = {}) {
+        for (const transport of options.transports || this.transports) {
+            try {
+                const blogs = await this.fetchFrom(transport);
+                if (blogs && blogs.length > 0) {
+                    return blogs.slice(0, this.maxItems);
+                }
+            } catch (error) {
+                window.errorTracker.logError('Medium feed', error, { transport });
+            }
         }
         
-        try {
-            const response = await fetch(url);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            const data = await response.json();
-            this.cache.set(cacheKey, { data, timestamp: Date.now() });
-            return data;
-        } catch (error) {
-            console.error(`Error fetching Medium blogs:`, error);
-            return cached ? cached.data : this.getFallbackBlogs();
+        return options.fallback === false ? null : this.getFallbackBlogs();
+    }
+    
+    get liveTransports() {
+        return this.transports.filter(transport => transport === 'direct' || (transport === 'proxy' && this.proxy));
+    }
+    
+    // Whether fetchLiveBlogs has any way to reach the feed
+    canFetchLive() {
+        return this.liveTransports.length > 0;
+    }
+    
+    // Skips the snapshot and resolves to null (not the placeholder posts) on failure
+    fetchLiveBlogs() {
+        return this.fetchBlogs({ transports: this.liveTransports, fallback: false });
+    }
+    
+    async fetchFrom(transport) {
+        switch (transport) {
+            case 'direct':
+                return this.fetchFeed(this.feedUrl, 'feed');
+            case 'proxy':
+                return this.proxy ? this.fetchFeed(this.getProxyUrl(), 'feed') : null;
+            case 'snapshot':
+                return this.fetchSnapshot();
+            default:
+                throw new Error(`Unknown feed transport "${transport}"`);
         }
     }
     
-    async fetchBlogs() {
-        const url = `${this.proxyUrl}${encodeURIComponent(this.feedUrl)}`;
-        const data = await this.fetchWithCache(url, 'medium-blogs');
-        
-        if (data && data.status === 'ok' && data.items) {
-            return data.items.slice(0, 6).map(item => ({
-                title: item.title,
-                link: item.link,
-                description: this.stripHtml(item.description).substring(0, 150) + '...',
-                pubDate: new Date(item.pubDate),
-                categories: item.categories || [],
-                thumbnail: this.extractThumbnail(item.description) || this.getDefaultThumbnail(),
-                readTime: this.estimateReadTime(item.description)
-            }));
+    getProxyUrl() {
+        if (typeof this.proxy === 'function') {
+            return this.proxy(this.feedUrl);
         }
+        return this.proxy.replace('{url}', encodeURIComponent(this.feedUrl));
+    }
+    
+    async fetchFeed(url, cacheKey) {
+        const xml = await this.cache.tryFetchJSON(url, {
+            key: `medium:${cacheKey}`,
+            source: 'medium',
+            responseType: 'text',
+            errorType: 'Medium feed'
+        });
+        if (!xml) return null;
+        
+        return this.parser.parse(xml).items.map(item => this.normalizeItem(item));
+    }
+    
+    // Snapshot items are already normalized; only dates need reviving
+    async fetchSnapshot() {
+        const snapshot = await this.cache.tryFetchJSON(this.snapshotUrl, {
+            key: 'medium:snapshot',
+            source: 'snapshot',
+            optional: true,
+            errorType: 'Medium feed'
+        });
+        if (!snapshot || snapshot.version !== this.snapshotVersion || !Array.isArray(snapshot.items)) return null;
         
-        return this.getFallbackBlogs();
+        return snapshot.items.map(item => ({
+            ...item,
+            pubDate: new Date(item.pubDate),
+            thumbnail: item.thumbnail || this.getDefaultThumbnail()
+        }));
+    }
+    
+    normalizeItem(item) {
+        const html = item.content || item.description || '';
+        const image = item.enclosures.find(enclosure => (enclosure.type || '').startsWith('image/'));
+        
+        return {
+            title: item.title,
+            link: item.link,
+            description: this.stripHtml(item.description || html).substring(0, 150) + '...',
+            pubDate: new Date(item.pubDate),
+            categories: item.categories || [],
+            thumbnail: item.thumbnail || (image && image.url) || this.extractThumbnail(html) || this.getDefaultThumbnail(),
+            readTime: this.estimateReadTime(html)
+        };
     }
     
     stripHtml(html) {
-        const div = document.createElement('div');
-        div.innerHTML = html;
-        return div.textContent || div.innerText || '';
+        // Feed markup is untrusted; a live element would fetch its images and run their handlers
+        return htmlToText(html);
     }
     
     extractThumbnail(description) {
@@ -229,54 +475,76 @@ class NavigationManager {
     }
     
     setupSmoothScrolling() {
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-            anchor.addEventListener('click', function (e) {
-                e.preventDefault();
-                const target = document.querySelector(this.getAttribute('href'));
-                if (target) {
-                    const navHeight = 100;
-                    const targetPosition = target.offsetTop - navHeight;
-                    
-                    window.scrollTo({
-                        top: targetPosition,
-                        behavior: 'smooth'
-                    });
-                }
-            });
+        // Delegated, so anchors in content the page router swaps in scroll the same way
+        document.addEventListener('click', (e) => {
+            const anchor = e.target.closest && e.target.closest('a[href^="#"]');
+            if (!anchor) return;
+            
+            e.preventDefault();
+            // By id rather than as a selector: "#" alone, or "#2024", isn't a valid one
+            const target = document.getElementById(decodeURIComponent(anchor.getAttribute('href').slice(1)));
+            if (target) {
+                const navHeight = 100;
+                const targetPosition = target.offsetTop - navHeight;
+                
+                window.scrollTo({
+                    top: targetPosition,
+                    behavior: 'smooth'
+                });
+            }
         });
     }
     
     setupActiveStates() {
-        // Set active navigation state based on current page
-        const setActiveNav = () => {
-            const currentPath = window.location.pathname;
-            document.querySelectorAll('.nav-link').forEach(link => {
-                link.classList.remove('active');
-                
-                const href = link.getAttribute('href');
-                if (href === currentPath ||
-                    (currentPath === '/' && href === '/') ||
-                    (currentPath === '/index.html' && href === '/')) {
-                    link.classList.add('active');
-                }
-            });
-        };
-        
-        setActiveNav();
-        window.addEventListener('popstate', setActiveNav);
+        this.updateActiveNav();
+        // Only the router changes the page without a reload; popstate alone never did
+        document.addEventListener('pagechange', () => this.updateActiveNav());
+    }
+    
+    // Set active navigation state based on current page. Links are /about, the address
+    // can be /about/ or /about/index.html
+    updateActiveNav() {
+        const normalize = path => path.replace(/index\.html$/, '').replace(/(.)\/$/, '$1');
+        const currentPath = normalize(window.location.pathname);
+        document.querySelectorAll('.nav-link').forEach(link => {
+            const href = link.getAttribute('href');
+            const active = Boolean(href) && href.startsWith('/') && normalize(href) === currentPath;
+            link.classList.toggle('active', active);
+            if (active) link.setAttribute('aria-current', 'page');
+            else link.removeAttribute('aria-current');
+        });
     }
 }
 
 // Main Portfolio Application for Ignite
 class PortfolioApp {
-    constructor() {
-        this.github = new GitHubIntegration('iosdevpriyank');
-        this.medium = new MediumIntegration('@priyankgandhi');
+    constructor(options = {}) {
+        // With build-time snapshots in /data, only talk to GitHub/Medium when asked to.
+        // Medium posts are only refreshed when MediumIntegration has a proxy.
+        this.liveRefresh = options.liveRefresh ?? false;
+        
+        // One persistent cache shared by both integrations across page loads
+        this.cache = new CacheStore({
+            ttls: {
+                github: 10 * 60 * 1000, // 10 minutes
+                medium: 15 * 60 * 1000 // 15 minutes
+            }
+        });
+        this.github = new GitHubIntegration('iosdevpriyank', this.cache);
+        this.medium = new MediumIntegration('@priyankgandhi', this.cache);
         this.navigationManager = new NavigationManager();
+        
+        // What's on screen, kept for the next page the router swaps in
+        this.repos = null;
+        this.blogs = null;
         this.init();
     }
     
     async init() {
+        this.setupServiceWorker();
+        this.setupInstallPrompt();
+        this.setupThumbnailFallback();
+        document.addEventListener('pagechange', () => this.handlePageChange());
         await this.loadDynamicContent();
         this.setupAnimations();
         this.setupThemeToggle();
@@ -290,59 +558,141 @@ class PortfolioApp {
         ]);
     }
     
+    // The router swapped the page: render what's already loaded instead of fetching it again
+    handlePageChange() {
+        // Both were bound to containers that are gone now, and still listen for popstate
+        if (this.projectsExplorer) this.projectsExplorer.destroy();
+        if (this.blogFilter) this.blogFilter.destroy();
+        this.projectsExplorer = null;
+        this.blogFilter = null;
+        
+        const projectsContainer = document.getElementById('github-projects');
+        if (projectsContainer && this.repos) this.renderProjects(projectsContainer, this.repos);
+        else if (projectsContainer) this.loadGitHubProjects();
+        
+        const blogsContainer = document.getElementById('medium-blogs');
+        if (blogsContainer && this.blogs) this.renderBlogs(blogsContainer, this.blogs);
+        else if (blogsContainer) this.loadMediumBlogs();
+        
+        this.setupAnimations();
+    }
+    
     async loadGitHubProjects() {
         const projectsContainer = document.getElementById('github-projects');
         if (!projectsContainer) return;
         
-        // Show loading state
-        projectsContainer.innerHTML = this.createProjectLoadingSkeleton();
+        // Show loading state (refreshes keep the explorer's current results on screen)
+        if (!this.projectsExplorer) {
+            html.render(projectsContainer, this.createProjectLoadingSkeleton());
+        }
         
         try {
+            const snapshot = await this.github.fetchSnapshot();
+            if (snapshot && snapshot.length > 0) {
+                this.renderProjects(projectsContainer, snapshot);
+                if (!this.liveRefresh) return;
+            }
+            
             const repos = await this.github.fetchRepositories();
             if (repos.length > 0) {
-                projectsContainer.innerHTML = repos.slice(0, 6).map(repo =>
-                    this.createProjectCard(repo)
-                ).join('');
+                this.renderProjects(projectsContainer, repos);
+                return;
+            } else if (this.projectsExplorer) {
+                // Keep the snapshot on screen; the notice explains a rate limit if there is one
+                this.projectsExplorer.render();
+                return;
+            } else if (this.github.isRateLimited()) {
+                // Say why there is nothing to show rather than presenting made-up repos
+                html.render(projectsContainer, this.createRateLimitNotice());
             } else {
-                projectsContainer.innerHTML = this.createFallbackProjects();
+                html.render(projectsContainer, this.createFallbackProjects());
             }
         } catch (error) {
-            console.error('Error loading GitHub projects:', error);
-            projectsContainer.innerHTML = this.createFallbackProjects();
+            window.errorTracker.logError('GitHub projects', error);
+            html.render(projectsContainer, this.createFallbackProjects());
         }
         
         this.animateElements('.project-card');
     }
     
+    renderProjects(projectsContainer, repos) {
+        this.repos = repos;
+        // A load that finished after the router left its page
+        if (!projectsContainer.isConnected) return;
+        
+        if (!this.projectsExplorer) {
+            this.projectsExplorer = new ProjectsExplorer(projectsContainer, {
+                renderCard: repo => this.createProjectCard(repo),
+                renderNotice: () => this.createRateLimitNotice(),
+                onRender: () => this.animateElements('.project-card')
+            });
+        }
+        this.projectsExplorer.setRepos(repos);
+    }
+    
     async loadMediumBlogs() {
         const blogsContainer = document.getElementById('medium-blogs');
         if (!blogsContainer) return;
         
         // Show loading state
-        blogsContainer.innerHTML = this.createBlogLoadingSkeleton();
+        html.render(blogsContainer, this.createBlogLoadingSkeleton());
         
         try {
-            const blogs = await this.medium.fetchBlogs();
-            blogsContainer.innerHTML = blogs.map(blog =>
-                this.createBlogCard(blog)
-            ).join('');
+            const snapshot = await this.medium.fetchSnapshot();
+            if (snapshot && snapshot.length > 0) {
+                this.renderBlogs(blogsContainer, snapshot);
+                if (!this.liveRefresh || !this.medium.canFetchLive()) return;
+                
+                const blogs = await this.medium.fetchLiveBlogs();
+                if (blogs) this.renderBlogs(blogsContainer, blogs);
+                return;
+            }
+            
+            this.renderBlogs(blogsContainer, await this.medium.fetchBlogs());
         } catch (error) {
-            console.error('Error loading Medium blogs:', error);
-            blogsContainer.innerHTML = this.createFallbackBlogs();
+            window.errorTracker.logError('Medium blogs', error);
+            html.render(blogsContainer, this.createFallbackBlogs());
+            this.setupBlogFilter(blogsContainer);
+            this.animateElements('.blog-card');
         }
+    }
+    
+    renderBlogs(blogsContainer, blogs) {
+        this.blogs = blogs;
+        if (!blogsContainer.isConnected) return;
         
+        html.render(blogsContainer, html`${blogs.map(blog => this.createBlogCard(blog))}`);
+        
+        this.setupBlogFilter(blogsContainer);
         this.animateElements('.blog-card');
     }
     
+    // A thumbnail that fails to load leaves the card's gradient showing (no inline onerror under CSP).
+    // On the document, so it covers blog grids the router swaps in too.
+    setupThumbnailFallback() {
+        document.addEventListener('error', (e) => {
+            if (e.target.classList && e.target.classList.contains('blog-thumbnail')) e.target.hidden = true;
+        }, true);
+    }
+    
+    setupBlogFilter(blogsContainer) {
+        if (!this.blogFilter) {
+            this.blogFilter = new BlogFilter(blogsContainer);
+        }
+        this.blogFilter.refresh();
+    }
+    
     createProjectCard(repo) {
         const language = repo.language || 'Swift';
         const icon = this.github.getLanguageIcon(language);
         const updatedDate = new Date(repo.updated_at).toLocaleDateString();
+        const topics = (repo.topics || []).slice(0, 4);
         
-        return `
+        // Everything from the API goes through html``: text is escaped, links are scheme-checked
+        return html`
             <div class="project-card" data-type="${language.toLowerCase()}">
-                <div class="project-image" style="background: var(--gradient-primary); display: flex; align-items: center; justify-content: center; height: 180px;">
-                    <div style="font-size: 4rem; opacity: 0.8; color: white;">${icon}</div>
+                <div class="project-image">
+                    <div class="project-icon">${icon}</div>
                 </div>
                 <div class="project-content">
                     <div class="project-header">
@@ -350,9 +700,14 @@ class PortfolioApp {
                         <span class="project-language">${language}</span>
                     </div>
                     <p class="project-description">${repo.description || 'iOS development project showcasing modern Swift development practices.'}</p>
+                    ${topics.length > 0 ? html`<div class="project-topics">
+                        ${topics.map(topic => html`<span class="project-topic">${topic}</span>`)}
+                    </div>` : ''}
                     <div class="project-stats">
                         <span>⭐ ${repo.stargazers_count}</span>
                         <span>🔀 ${repo.forks_count}</span>
+                        ${repo.openIssues ? html`<span>🐞 ${repo.openIssues}</span>` : ''}
+                        ${repo.latestRelease ? html`<span>🏷️ ${repo.latestRelease}</span>` : ''}
                         <span>📅 ${updatedDate}</span>
                         <span>📊 ${(repo.size / 1024).toFixed(1)}MB</span>
                     </div>
@@ -360,7 +715,7 @@ class PortfolioApp {
                         <a href="${repo.html_url}" class="project-link" target="_blank" rel="noopener">
                             <span>📱</span> View Code
                         </a>
-                        ${repo.homepage ? `<a href="${repo.homepage}" class="project-link" target="_blank" rel="noopener">
+                        ${repo.homepage ? html`<a href="${repo.homepage}" class="project-link" target="_blank" rel="noopener">
                             <span>🚀</span> Live Demo
                         </a>` : ''}
                     </div>
@@ -369,13 +724,31 @@ class PortfolioApp {
         `;
     }
     
+    createRateLimitNotice() {
+        if (!this.github.isRateLimited()) return html``;
+        
+        const formatTime = timestamp => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const asOf = this.github.getDataTimestamp('repositories') || this.github.getDataTimestamp('snapshot');
+        const message = asOf
+            ? `Data as of ${formatTime(asOf)}, GitHub rate-limited`
+            : `GitHub rate-limited, projects will load after ${formatTime(this.github.getRateLimitReset())}`;
+        
+        return html`
+            <div class="projects-notice" role="status">
+                <span>⏳</span> ${message}
+            </div>
+        `;
+    }
+    
     createBlogCard(blog) {
         const categories = blog.categories.slice(0, 2);
-        const categoryString = categories.join(',').toLowerCase();
+        const categoryList = blog.categories.map(category => encodeURIComponent(category)).join(',');
+        const date = isNaN(blog.pubDate) ? '' : blog.pubDate.toISOString();
         
-        return `
-            <div class="blog-card" data-category="${categoryString}">
-                <div class="blog-image" style="background-image: url('${blog.thumbnail}'); background-size: cover; background-position: center;">
+        return html`
+            <div class="blog-card" data-categories="${categoryList}" data-date="${date}">
+                <div class="blog-image">
+                    <img class="blog-thumbnail" src="${blog.thumbnail}" alt="" loading="lazy" />
                     <div class="blog-overlay">
                         <span class="read-time">📖 ${blog.readTime} min read</span>
                     </div>
@@ -383,7 +756,7 @@ class PortfolioApp {
                 <div class="blog-content">
                     <div class="blog-meta">
                         <span class="blog-date">📅 ${this.medium.formatDate(blog.pubDate)}</span>
-                        ${categories.length > 0 ? `<span class="blog-category">#${categories[0]}</span>` : ''}
+                        ${categories.length > 0 ? html`<span class="blog-category">#${categories[0]}</span>` : ''}
                     </div>
                     <h3 class="blog-title">${blog.title}</h3>
                     <p class="blog-description">${blog.description}</p>
@@ -392,7 +765,7 @@ class PortfolioApp {
                             <span>📝</span> Read Article
                         </a>
                         <div class="blog-tags">
-                            ${categories.map(tag => `<span class="blog-tag">${tag}</span>`).join('')}
+                            ${categories.map(tag => html`<span class="blog-tag">${tag}</span>`)}
                         </div>
                     </div>
                 </div>
@@ -401,30 +774,30 @@ class PortfolioApp {
     }
     
     createProjectLoadingSkeleton() {
-        return Array(3).fill().map(() => `
+        return html`${Array(3).fill().map(() => html`
             <div class="project-card">
-                <div class="project-image loading-skeleton" style="height: 180px;"></div>
+                <div class="project-image loading-skeleton"></div>
                 <div class="project-content">
-                    <div class="loading-skeleton" style="height: 1.5rem; margin-bottom: 1rem;"></div>
-                    <div class="loading-skeleton" style="height: 1rem; margin-bottom: 0.5rem;"></div>
-                    <div class="loading-skeleton" style="height: 1rem; width: 80%; margin-bottom: 1rem;"></div>
-                    <div class="loading-skeleton" style="height: 2rem; width: 60%;"></div>
+                    <div class="loading-skeleton skeleton-title"></div>
+                    <div class="loading-skeleton skeleton-line"></div>
+                    <div class="loading-skeleton skeleton-line skeleton-line-last"></div>
+                    <div class="loading-skeleton skeleton-button"></div>
                 </div>
             </div>
-        `).join('');
+        `)}`;
     }
     
     createBlogLoadingSkeleton() {
-        return Array(3).fill().map(() => `
+        return html`${Array(3).fill().map(() => html`
             <div class="blog-card">
-                <div class="blog-image loading-skeleton" style="height: 220px;"></div>
+                <div class="blog-image loading-skeleton"></div>
                 <div class="blog-content">
-                    <div class="loading-skeleton" style="height: 1.5rem; margin-bottom: 1rem;"></div>
-                    <div class="loading-skeleton" style="height: 1rem; margin-bottom: 0.5rem;"></div>
-                    <div class="loading-skeleton" style="height: 1rem; width: 70%;"></div>
+                    <div class="loading-skeleton skeleton-title"></div>
+                    <div class="loading-skeleton skeleton-line"></div>
+                    <div class="loading-skeleton skeleton-line skeleton-line-last"></div>
                 </div>
             </div>
-        `).join('');
+        `)}`;
     }
     
     createFallbackProjects() {
@@ -464,7 +837,7 @@ class PortfolioApp {
             }
         ];
         
-        return fallbackRepos.map(repo => this.createProjectCard(repo)).join('');
+        return html`${fallbackRepos.map(repo => this.createProjectCard(repo))}`;
     }
     
     createFallbackBlogs() {
@@ -498,7 +871,7 @@ class PortfolioApp {
             }
         ];
         
-        return fallbackBlogs.map(blog => this.createBlogCard(blog)).join('');
+        return html`${fallbackBlogs.map(blog => this.createBlogCard(blog))}`;
     }
     
     setupAnimations() {
@@ -537,118 +910,202 @@ class PortfolioApp {
     }
     
     setupThemeToggle() {
-        // Initialize theme from localStorage or default to light
-        const savedTheme = localStorage.getItem('theme') || 'light';
-        document.documentElement.setAttribute('data-theme', savedTheme);
-        
-        // Update theme toggle button
-        const themeToggle = document.querySelector('.theme-toggle');
-        if (themeToggle) {
-            themeToggle.textContent = savedTheme === 'dark' ? '☀️' : '🌙';
+        // ThemeManager owns the theme; this button only reflects and cycles it
+        let themeToggle = document.querySelector('.theme-toggle');
+        if (!themeToggle) {
+            themeToggle = this.createThemeToggle();
         }
         
-        // Create theme toggle if it doesn't exist
-        if (!themeToggle) {
-            this.createThemeToggle();
+        themeToggle.addEventListener('click', () => window.themeManager.toggle());
+        document.addEventListener('themechange', () => this.updateThemeToggle(themeToggle));
+        this.updateThemeToggle(themeToggle);
+        
+        if (window.customThemes) {
+            this.createThemeCustomizeButton();
         }
     }
     
+    createThemeCustomizeButton() {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'theme-customize';
+        button.textContent = '🎨';
+        button.setAttribute('aria-label', 'Customize theme');
+        button.title = 'Customize theme';
+        button.addEventListener('click', () => {
+            this.themeBuilder = this.themeBuilder || new ThemeBuilder(window.customThemes);
+            this.themeBuilder.open();
+        });
+        document.body.appendChild(button);
+    }
+    
     createThemeToggle() {
         const button = document.createElement('button');
+        button.type = 'button';
         button.className = 'theme-toggle';
-        button.innerHTML = document.documentElement.getAttribute('data-theme') === 'dark' ? '☀️' : '🌙';
-        button.onclick = () => this.toggleTheme();
-        button.setAttribute('aria-label', 'Toggle theme');
         document.body.appendChild(button);
+        return button;
     }
     
-    toggleTheme() {
-        const current = document.documentElement.getAttribute('data-theme');
-        const next = current === 'dark' ? 'light' : 'dark';
-        
-        document.documentElement.setAttribute('data-theme', next);
-        localStorage.setItem('theme', next);
+    updateThemeToggle(button) {
+        const { theme } = window.themeManager;
+        const icons = { light: '🌙', dark: '☀️', auto: '🌓' };
+        const labels = { light: 'Light', dark: 'Dark', auto: 'Auto' };
+        const label = labels[theme] || window.customThemes?.get(theme)?.name || theme;
         
-        const button = document.querySelector('.theme-toggle');
-        if (button) {
-            button.textContent = next === 'dark' ? '☀️' : '🌙';
-        }
+        button.textContent = icons[theme] || '🎨';
+        button.setAttribute('aria-label', `Theme: ${label}. Switch theme`);
+        button.title = `Theme: ${label} (Alt+T)`;
     }
     
     setupAutoRefresh() {
         // Refresh data every 15 minutes
         setInterval(async () => {
+            if (this.github.isRateLimited()) {
+                // Leave the projects grid alone until GitHub's quota resets
+                await this.loadMediumBlogs();
+                return;
+            }
             await this.loadDynamicContent();
-            console.log('Portfolio data refreshed');
         }, 900000);
     }
-}
-
-// Blog Filter Functionality
-function filterBlogs(category) {
-    // Update active button
-    document.querySelectorAll('.filter-btn').forEach(btn => btn.classList.remove('active'));
-    event.target.classList.add('active');
-    
-    // Filter blog cards
-    const cards = document.querySelectorAll('.blog-card');
-    cards.forEach(card => {
-        const cardCategory = card.getAttribute('data-category') || '';
-        if (category === 'all' || cardCategory.includes(category)) {
-            card.style.display = 'block';
-            card.style.animation = 'slideInUp 0.4s ease-out';
+    
+    setupServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        const register = () => {
+            navigator.serviceWorker.register('/sw.js')
+                .then(registration => {
+                    // A worker already waiting from an earlier visit
+                    if (registration.waiting && navigator.serviceWorker.controller) {
+                        this.showUpdatePrompt(registration.waiting);
+                    }
+                    
+                    registration.addEventListener('updatefound', () => {
+                        const worker = registration.installing;
+                        if (!worker) return;
+                        
+                        worker.addEventListener('statechange', () => {
+                            // No controller means this is the first install, not an update
+                            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                                this.showUpdatePrompt(worker);
+                            }
+                        });
+                    });
+                })
+                .catch(error => {
+                    window.errorTracker.logError('Service Worker registration', error);
+                });
+        };
+        
+        // Reload once the new worker takes over, never in a loop
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!this.updateRequested || reloading) return;
+            reloading = true;
+            window.location.reload();
+        });
+        
+        if (document.readyState === 'complete') {
+            register();
         } else {
-            card.style.display = 'none';
+            window.addEventListener('load', register);
         }
-    });
+    }
+    
+    showUpdatePrompt(worker) {
+        if (document.querySelector('.update-prompt')) return;
+        
+        const prompt = document.createElement('div');
+        prompt.className = 'update-prompt';
+        prompt.setAttribute('role', 'status');
+        prompt.innerHTML = `
+            <span>Update available</span>
+            <button type="button" class="btn btn-primary btn-sm">Reload</button>
+        `;
+        
+        prompt.querySelector('button').addEventListener('click', () => {
+            this.updateRequested = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        });
+        
+        document.body.appendChild(prompt);
+    }
+    
+    setupInstallPrompt() {
+        // Launched from the home screen: nothing left to offer
+        if (window.matchMedia && window.matchMedia('(display-mode: standalone)').matches) {
+            this.setInstallState('installed');
+        }
+        
+        window.addEventListener('beforeinstallprompt', (event) => {
+            event.preventDefault();
+            // Installed or turned down once; don't keep asking
+            if (this.getInstallState()) return;
+            
+            this.installPrompt = event;
+            this.showInstallButton();
+        });
+        
+        window.addEventListener('appinstalled', () => {
+            this.setInstallState('installed');
+            this.hideInstallButton();
+        });
+    }
+    
+    // Remembered in memory too, so a page without storage still asks only once
+    getInstallState() {
+        try {
+            return localStorage.getItem('pwa-install') || this.installState;
+        } catch {
+            return this.installState;
+        }
+    }
+    
+    setInstallState(state) {
+        this.installState = state;
+        try {
+            localStorage.setItem('pwa-install', state);
+        } catch {
+            // Storage unavailable; only this page remembers the answer
+        }
+    }
+    
+    showInstallButton() {
+        if (document.querySelector('.install-button')) return;
+        
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'install-button';
+        button.textContent = '📲 Install app';
+        button.setAttribute('aria-label', 'Install this site as an app');
+        button.addEventListener('click', () => this.promptInstall());
+        document.body.appendChild(button);
+    }
+    
+    hideInstallButton() {
+        this.installPrompt = null;
+        document.querySelector('.install-button')?.remove();
+    }
+    
+    async promptInstall() {
+        const installPrompt = this.installPrompt;
+        if (!installPrompt) return;
+        
+        // The event can only be used once, whatever the outcome
+        this.hideInstallButton();
+        installPrompt.prompt();
+        const { outcome } = await installPrompt.userChoice;
+        this.setInstallState(outcome === 'accepted' ? 'installed' : 'dismissed');
+    }
 }
 
-async function handleContactForm(event) {
-  event.preventDefault();
-  const form = event.target;
-  const formData = new FormData(form);
-  const data = Object.fromEntries(formData.entries());
-
-  // validation
-  if (!data['contact-name'] || !data['contact-email'] || !data['contact-subject'] || !data['contact-message']) {
-    alert('Please fill in all required fields.');
-    return;
-  }
-
-  const serviceID = 'service_esv4plm';                 // replace if different
-  const autoTemplateID = 'template_m0evb99';        // replace with your actual template ID
-  const notifyTemplateID = 'template_aqumjmb';    // replace with your actual template ID
-
-  // template params for auto-reply (visitor)
-  const autoParams = {
-    to_email: data['contact-email'],     // maps to {{to_email}} in Auto-reply template
-    contact_name: data['contact-name'],
-    contact_subject: data['contact-subject'],
-    contact_message: data['contact-message']
-  };
-
-  // template params for owner notification
-  const notifyParams = {
-    contact_name: data['contact-name'],
-    contact_email: data['contact-email'],
-    contact_subject: data['contact-subject'],
-    contact_message: data['contact-message'],
-    reply_to: data['contact-email']      // maps to {{reply_to}} in Notification template for Reply-To header
-  };
-
-  try {
-    // send both at once
-    await Promise.all([
-      emailjs.send(serviceID, autoTemplateID, autoParams),
-      emailjs.send(serviceID, notifyTemplateID, notifyParams)
-    ]);
-
-    alert('Thank you — a confirmation email has been sent to you.');
-    form.reset();
-  } catch (err) {
-    console.error('Email send error', err);
-    alert('Failed to send email. Check console and EmailJS dashboard logs.');
-  }
+// Kept for pages that still call filterBlogs('tag') from markup; BlogFilter does the work
+function filterBlogs(category) {
+    const blogFilter = window.portfolioApp?.blogFilter;
+    if (blogFilter) {
+        blogFilter.setTags(category === 'all' ? [] : [category]);
+    }
 }
 
 // Smooth scroll to section
@@ -665,32 +1122,58 @@ function scrollToSection(sectionId) {
     }
 }
 
+// Setup contact form if it exists; again whenever the page router brings one in
+function setupContactForm() {
+    const contactForm = document.querySelector('form#contact-form');
+    if (!contactForm) {
+        window.contactForm = null;
+        return;
+    }
+    
+    const delivery = ContactDelivery.fromForm(contactForm);
+    const outbox = window.contactOutbox;
+    // Fetch the EmailJS SDK once the visitor starts on the form, not on every page
+    contactForm.addEventListener('focusin', () => delivery.prepare(), { once: true });
+    window.contactForm = new ContactForm(contactForm, {
+        send: (message, options) => delivery.send(message, options),
+        outbox: outbox && {
+            add: message => outbox.add(message, delivery.settings),
+            cancel: key => outbox.cancel(key)
+        }
+    });
+    
+    // Still waiting from an earlier visit
+    outbox?.getAll().then(entries => {
+        if (entries.length > 0 && !navigator.onLine) {
+            window.contactForm.showQueued(entries[entries.length - 1]);
+        }
+    }).catch(() => {});
+}
+
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize portfolio app
     window.portfolioApp = new PortfolioApp();
 
-    // Setup contact form if it exists
-    const contactForm = document.querySelector('form#contact-form');
-    if (contactForm) {
-        contactForm.addEventListener('submit', handleContactForm);
+    // Messages queued while offline are sent from whichever page is open when we're back
+    if (ContactOutbox.isSupported()) {
+        window.contactOutbox = new ContactOutbox({
+            onSent: () => window.contactForm?.setStatus('success', 'Your queued message has been sent. Thank you!'),
+            onFailed: () => window.contactForm?.setStatus('error', 'Your queued message could not be delivered. Please try again.')
+        });
+        window.contactOutbox.listen();
+        window.contactOutbox.flush();
     }
-
-    // Initialize EmailJS SDK
-    (function() {
-        var script = document.createElement('script');
-        script.src = 'https://cdn.jsdelivr.net/npm/@emailjs/browser@4/dist/email.min.js';
-        script.onload = function() {
-            emailjs.init('sucKAvw4vDdHnhCvA');
-        };
-        document.head.appendChild(script);
-    })();
+    
+    setupContactForm();
+    document.addEventListener('pagechange', setupContactForm);
 
     // Setup navigation highlighting on scroll
-    const sections = document.querySelectorAll('section[id]');
     const navLinks = document.querySelectorAll('.nav-link');
 
     window.addEventListener('scroll', () => {
         let currentSection = '';
+        // Looked up each time: the page router replaces the sections
+        const sections = document.querySelectorAll('section[id]');
 
         sections.forEach(section => {
             const sectionTop = section.offsetTop - 150;
@@ -709,13 +1192,6 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }, { passive: true });
 
-    // Add click handlers for external links
-    document.querySelectorAll('a[target="_blank"]').forEach(link => {
-        link.addEventListener('click', (e) => {
-            console.log('External link clicked:', link.href);
-        });
-    });
-
     // Setup keyboard navigation
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
@@ -728,8 +1204,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
         if (e.altKey && e.key === 't') {
             e.preventDefault();
-            if (window.portfolioApp) {
-                window.portfolioApp.toggleTheme();
+            if (window.themeManager) {
+                window.themeManager.toggle();
             }
         }
     });
@@ -769,60 +1245,6 @@ document.addEventListener('visibilitychange', () => {
     }
 });
 
-// Error handling for failed image loads
-document.addEventListener('error', (e) => {
-    if (e.target.tagName === 'IMG') {
-        // Replace failed image with placeholder
-        e.target.src = 'https://via.placeholder.com/400x220/6c757d/ffffff?text=Image+Not+Found';
-        e.target.alt = 'Image not available';
-    }
-}, true);
-
-// Performance monitoring
-if ('performance' in window) {
-    window.addEventListener('load', () => {
-        const perfData = performance.getEntriesByType('navigation')[0];
-        const loadTime = perfData.loadEventEnd - perfData.loadEventStart;
-        
-        console.log('Performance Metrics:');
-        console.log('- Page load time:', loadTime, 'ms');
-        console.log('- DNS lookup:', perfData.domainLookupEnd - perfData.domainLookupStart, 'ms');
-        console.log('- TCP connection:', perfData.connectEnd - perfData.connectStart, 'ms');
-        console.log('- First paint:', perfData.responseStart - perfData.requestStart, 'ms');
-        console.log('- DOM content loaded:', perfData.domContentLoadedEventEnd - perfData.domContentLoadedEventStart, 'ms');
-        
-        // Log performance warnings
-        if (loadTime > 3000) {
-            console.warn('Page load time is above 3 seconds. Consider optimization.');
-        }
-        
-        // Track Core Web Vitals if available
-        if ('PerformanceObserver' in window) {
-            const observer = new PerformanceObserver((list) => {
-                for (const entry of list.getEntries()) {
-                    if (entry.entryType === 'largest-contentful-paint') {
-                        console.log('LCP (Largest Contentful Paint):', entry.startTime, 'ms');
-                    }
-                    
-                    if (entry.entryType === 'first-input') {
-                        console.log('FID (First Input Delay):', entry.processingStart - entry.startTime, 'ms');
-                    }
-                    
-                    if (entry.entryType === 'layout-shift') {
-                        console.log('CLS (Cumulative Layout Shift):', entry.value);
-                    }
-                }
-            });
-            
-            try {
-                observer.observe({ entryTypes: ['largest-contentful-paint', 'first-input', 'layout-shift'] });
-            } catch (e) {
-                console.log('Performance Observer not fully supported');
-            }
-        }
-    });
-}
-
 // Memory usage monitoring (if available)
 if ('memory' in performance) {
     setInterval(() => {
@@ -839,15 +1261,8 @@ if ('memory' in performance) {
 // Network status monitoring
 if ('connection' in navigator) {
     const connection = navigator.connection;
-    console.log('Network Info:', {
-        effectiveType: connection.effectiveType,
-        downlink: connection.downlink + 'Mbps',
-        rtt: connection.rtt + 'ms'
-    });
     
     connection.addEventListener('change', () => {
-        console.log('Network changed:', connection.effectiveType);
-        
         // Adjust image quality based on connection
         if (connection.effectiveType === 'slow-2g' || connection.effectiveType === '2g') {
             document.documentElement.classList.add('slow-connection');
@@ -931,24 +1346,8 @@ class FrostedGlassManager {
         const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
         
         if (prefersReducedMotion) {
+            // Styles for .reduced-motion live in portfolio.css; no <style> injection under CSP
             document.documentElement.classList.add('reduced-motion');
-            
-            // Disable backdrop-filter animations but keep the effect
-            const style = document.createElement('style');
-            style.textContent = `
-                .reduced-motion * {
-                    transition-duration: 0.01ms !important;
-                    animation-duration: 0.01ms !important;
-                    animation-iteration-count: 1 !important;
-                }
-                
-                .reduced-motion .skill-card,
-                .reduced-motion .project-card,
-                .reduced-motion .blog-card {
-                    backdrop-filter: var(--glass-blur) var(--glass-saturation) !important;
-                }
-            `;
-            document.head.appendChild(style);
         }
     }
 }
@@ -1021,68 +1420,13 @@ class ResourceOptimizer {
             const connection = navigator.connection;
             
             if (connection.effectiveType === 'slow-2g' || connection.effectiveType === '2g') {
-                // Disable heavy animations on slow connections
+                // Disable heavy animations and reduce backdrop-filter intensity (see .slow-connection in portfolio.css)
                 document.documentElement.classList.add('slow-connection');
-                
-                // Reduce backdrop-filter intensity
-                const style = document.createElement('style');
-                style.textContent = `
-                    .slow-connection .skill-card,
-                    .slow-connection .project-card,
-                    .slow-connection .blog-card,
-                    .slow-connection .main-nav {
-                        backdrop-filter: blur(5px) !important;
-                    }
-                `;
-                document.head.appendChild(style);
             }
         }
     }
 }
 
-// Error tracking and logging
-class ErrorTracker {
-    constructor() {
-        this.errors = [];
-        this.init();
-    }
-    
-    init() {
-        window.addEventListener('error', (event) => {
-            this.logError('JavaScript Error', event.error, {
-                filename: event.filename,
-                lineno: event.lineno,
-                colno: event.colno
-            });
-        });
-        
-        window.addEventListener('unhandledrejection', (event) => {
-            this.logError('Unhandled Promise Rejection', event.reason);
-        });
-    }
-    
-    logError(type, error, details = {}) {
-        const errorInfo = {
-            type,
-            message: error?.message || error,
-            timestamp: new Date().toISOString(),
-            url: window.location.href,
-            userAgent: navigator.userAgent,
-            ...details
-        };
-        
-        this.errors.push(errorInfo);
-        console.error('Error logged:', errorInfo);
-        
-        // In production, you might want to send this to an error tracking service
-        // this.sendErrorToService(errorInfo);
-    }
-    
-    getErrors() {
-        return this.errors;
-    }
-}
-
 // Initialize all managers when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize frosted glass manager
@@ -1091,22 +1435,10 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize resource optimizer
     window.resourceOptimizer = new ResourceOptimizer();
     
-    // Initialize error tracker
-    window.errorTracker = new ErrorTracker();
-    
-    console.log('Portfolio utilities initialized');
-});
-
-// Service Worker registration for caching (if available)
-if ('serviceWorker' in navigator) {
-    window.addEventListener('load', () => {
-        navigator.serviceWorker.register('/sw.js')
-            .then(registration => {
-                console.log('SW registered: ', registration);
-            })
-            .catch(registrationError => {
-                console.log('SW registration failed: ', registrationError);
-            });
+    // The page router swaps in cards and images without another DOMContentLoaded
+    document.addEventListener('pagechange', () => {
+        window.frostedGlassManager.preserveGlassEffects();
+        window.frostedGlassManager.setupGlassHovers();
+        window.resourceOptimizer.lazyLoadImages();
     });
-}
-           
+});
@@ -0,0 +1,245 @@
+//
+//  projects-explorer.js
+//  Search, sort, facets and paging for the GitHub projects grid
+//
+//  renderCard and renderNotice return html`` templates (safe-html.js); strings are escaped as text.
+//
+
+class ProjectsExplorer {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.renderCard = options.renderCard;
+        this.renderNotice = options.renderNotice || (() => '');
+        this.onRender = options.onRender || (() => {});
+        this.pageSize = options.pageSize || 6;
+        this.maxTopics = options.maxTopics || 12;
+        this.repos = [];
+
+        this.sortOptions = {
+            updated: { label: 'Recently updated', compare: (a, b) => new Date(b.updated_at) - new Date(a.updated_at) },
+            stars: { label: 'Most stars', compare: (a, b) => b.stargazers_count - a.stargazers_count },
+            forks: { label: 'Most forks', compare: (a, b) => b.forks_count - a.forks_count },
+            name: { label: 'Name', compare: (a, b) => a.name.localeCompare(b.name) }
+        };
+
+        this.state = this.readState();
+        this.createControls();
+
+        this.handlePopState = () => {
+            this.state = this.readState();
+            this.syncControls();
+            this.render();
+        };
+        window.addEventListener('popstate', this.handlePopState);
+    }
+
+    // For when the grid goes away without a page load (page-router.js); nothing fires afterwards
+    destroy() {
+        window.removeEventListener('popstate', this.handlePopState);
+        clearTimeout(this.searchTimer);
+        this.controls.remove();
+        this.loadMoreButton.remove();
+    }
+
+    setRepos(repos) {
+        this.repos = repos;
+        this.render();
+    }
+
+    // SECTION: URL state
+
+    readState() {
+        const params = new URLSearchParams(window.location.search);
+        const list = name => (params.get(name) || '').split(',').filter(Boolean);
+        const sort = params.get('sort');
+
+        return {
+            query: params.get('q') || '',
+            sort: this.sortOptions[sort] ? sort : 'updated',
+            languages: list('lang'),
+            topics: list('topic'),
+            page: Math.max(1, parseInt(params.get('page'), 10) || 1)
+        };
+    }
+
+    // Discrete changes (sort, facets) get their own history entry; typing and paging don't
+    writeState(push) {
+        const params = new URLSearchParams(window.location.search);
+        const set = (name, value, isDefault) => {
+            if (isDefault) {
+                params.delete(name);
+            } else {
+                params.set(name, value);
+            }
+        };
+
+        set('q', this.state.query, !this.state.query);
+        set('sort', this.state.sort, this.state.sort === 'updated');
+        set('lang', this.state.languages.join(','), this.state.languages.length === 0);
+        set('topic', this.state.topics.join(','), this.state.topics.length === 0);
+        set('page', this.state.page, this.state.page === 1);
+
+        const search = params.toString();
+        const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+        if (push) {
+            history.pushState(history.state, '', url);
+        } else {
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    update(changes, push = true) {
+        this.state = { ...this.state, page: 1, ...changes };
+        this.writeState(push);
+        this.render();
+    }
+
+    // SECTION: Controls
+
+    createControls() {
+        this.controls = document.createElement('div');
+        this.controls.className = 'projects-explorer';
+        this.controls.innerHTML = `
+            <div class="projects-explorer-bar">
+                <input type="search" class="projects-search" placeholder="Search projects" aria-label="Search projects" />
+                <select class="projects-sort" aria-label="Sort projects">
+                    ${Object.entries(this.sortOptions).map(([value, option]) =>
+                        `<option value="${value}">${option.label}</option>`
+                    ).join('')}
+                </select>
+            </div>
+            <fieldset class="projects-facet" data-facet="languages">
+                <legend>Languages</legend>
+                <div class="projects-facet-options"></div>
+            </fieldset>
+            <fieldset class="projects-facet" data-facet="topics">
+                <legend>Topics</legend>
+                <div class="projects-facet-options"></div>
+            </fieldset>
+            <p class="projects-summary" role="status" aria-live="polite"></p>
+        `;
+
+        this.searchInput = this.controls.querySelector('.projects-search');
+        this.sortSelect = this.controls.querySelector('.projects-sort');
+        this.summary = this.controls.querySelector('.projects-summary');
+
+        this.searchTimer = null;
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.update({ query: this.searchInput.value.trim() }, false), 250);
+        });
+
+        this.sortSelect.addEventListener('change', () => this.update({ sort: this.sortSelect.value }));
+
+        this.controls.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('input[type="checkbox"][data-value]');
+            if (!checkbox) return;
+
+            const facet = checkbox.closest('[data-facet]').dataset.facet;
+            const selected = new Set(this.state[facet]);
+            if (checkbox.checked) {
+                selected.add(checkbox.dataset.value);
+            } else {
+                selected.delete(checkbox.dataset.value);
+            }
+            this.update({ [facet]: Array.from(selected) });
+        });
+
+        this.loadMoreButton = document.createElement('button');
+        this.loadMoreButton.type = 'button';
+        this.loadMoreButton.className = 'btn btn-primary projects-load-more';
+        this.loadMoreButton.textContent = 'Load more';
+        this.loadMoreButton.addEventListener('click', () => {
+            this.state.page += 1;
+            this.writeState(false);
+            this.render();
+        });
+
+        this.container.before(this.controls);
+        this.container.after(this.loadMoreButton);
+        this.syncControls();
+    }
+
+    syncControls() {
+        this.searchInput.value = this.state.query;
+        this.sortSelect.value = this.state.sort;
+    }
+
+    renderFacet(facet, counts) {
+        const options = this.controls.querySelector(`[data-facet="${facet}"] .projects-facet-options`);
+        const selected = this.state[facet];
+        const limit = facet === 'topics' ? this.maxTopics : Infinity;
+
+        // Keep selected values visible even when the other filters leave them with no matches
+        const values = Array.from(new Set([...selected, ...counts.keys()]))
+            .sort((a, b) => (counts.get(b) || 0) - (counts.get(a) || 0) || a.localeCompare(b))
+            .filter((value, index) => index < limit || selected.includes(value));
+
+        options.closest('fieldset').hidden = values.length === 0;
+        html.render(options, values.map(value => html`
+            <label class="projects-facet-option">
+                <input type="checkbox" data-value="${value}" ${selected.includes(value) ? html.raw('checked') : ''} />
+                <span>${value}</span>
+                <span class="projects-facet-count">${counts.get(value) || 0}</span>
+            </label>
+        `));
+    }
+
+    // SECTION: Filtering
+
+    getLanguages(repo) {
+        const languages = repo.languages ? Object.keys(repo.languages) : [];
+        if (repo.language && !languages.includes(repo.language)) languages.unshift(repo.language);
+        return languages;
+    }
+
+    matchesQuery(repo) {
+        if (!this.state.query) return true;
+
+        const haystack = [
+            repo.name,
+            repo.description,
+            ...this.getLanguages(repo),
+            ...(repo.topics || [])
+        ].join(' ').toLowerCase();
+
+        return this.state.query.toLowerCase().split(/\s+/).every(term => haystack.includes(term));
+    }
+
+    matchesFacet(values, selected) {
+        return selected.length === 0 || selected.some(value => values.includes(value));
+    }
+
+    countFacet(repos, valuesFor) {
+        const counts = new Map();
+        repos.forEach(repo => {
+            valuesFor(repo).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        });
+        return counts;
+    }
+
+    render() {
+        const byQuery = this.repos.filter(repo => this.matchesQuery(repo));
+        const byLanguage = byQuery.filter(repo => this.matchesFacet(this.getLanguages(repo), this.state.languages));
+        const byTopic = byQuery.filter(repo => this.matchesFacet(repo.topics || [], this.state.topics));
+
+        // Each facet is counted against the other facet's selection so counts show what a click would yield
+        this.renderFacet('languages', this.countFacet(byTopic, repo => this.getLanguages(repo)));
+        this.renderFacet('topics', this.countFacet(byLanguage, repo => repo.topics || []));
+
+        const matches = byLanguage
+            .filter(repo => this.matchesFacet(repo.topics || [], this.state.topics))
+            .sort(this.sortOptions[this.state.sort].compare);
+        const visible = matches.slice(0, this.state.page * this.pageSize);
+
+        html.render(this.container, html`${this.renderNotice()}${visible.length > 0
+            ? visible.map(repo => this.renderCard(repo))
+            : html`<p class="projects-empty">No projects match your search.</p>`}`);
+
+        this.summary.textContent = `Showing ${visible.length} of ${matches.length} projects`;
+        this.loadMoreButton.hidden = visible.length >= matches.length;
+        this.onRender(visible);
+    }
+}
@@ -0,0 +1,105 @@
+//
+//  safe-html.js
+//  Escaping tagged templates for markup built from remote data (GitHub, feeds, snapshots)
+//
+//  html`<a href="${url}">${title}</a>` escapes every interpolated value as text. Values in
+//  URL positions (href/src/action attributes and CSS url()) must also use an allowed scheme,
+//  otherwise they become SAFE_URL_FALLBACK. Nested html`` results, and arrays of them, are
+//  inserted as-is (in URL positions only if they hold an allowed URL); html.raw() marks
+//  trusted static markup.
+//
+
+const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:'];
+const SAFE_URL_FALLBACK = '#';
+
+// Attribute or CSS positions whose value is a URL
+const URL_ATTRIBUTE_CONTEXT = /\s(?:href|src|action|formaction|poster|xlink:href)\s*=\s*["']?$/i;
+const CSS_URL_CONTEXT = /url\(\s*["']?$/i;
+
+class SafeHTML {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Relative URLs resolve against this site; absolute ones must use an allowed scheme
+function safeUrl(value) {
+    if (value === null || value === undefined) return SAFE_URL_FALLBACK;
+    const url = String(value).trim();
+    // Browsers drop tabs/newlines and control characters before reading a scheme, so check without them
+    const normalized = url.replace(/[\u0000- \u007f-\u009f]/g, '');
+    if (!normalized) return SAFE_URL_FALLBACK;
+
+    try {
+        const parsed = new URL(normalized, window.location.href);
+        return SAFE_URL_SCHEMES.includes(parsed.protocol) ? url : SAFE_URL_FALLBACK;
+    } catch {
+        return SAFE_URL_FALLBACK;
+    }
+}
+
+// Inside url('...'): also keep quotes, parentheses and backslashes from ending the token
+function safeCssUrl(value) {
+    return safeUrl(value).replace(/["'()\\\s]/g, character => `\\${character.charCodeAt(0).toString(16)} `);
+}
+
+function renderValue(value, context) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHTML) {
+        // Nested templates escape remote text but don't check schemes; in a URL position they must still be safe
+        if (context !== 'text' && safeUrl(value.markup) === SAFE_URL_FALLBACK) return SAFE_URL_FALLBACK;
+        return value.markup;
+    }
+    if (Array.isArray(value)) return value.map(item => renderValue(item, context)).join('');
+
+    if (context === 'url') return escapeHTML(safeUrl(value));
+    if (context === 'css-url') return escapeHTML(safeCssUrl(value));
+    return escapeHTML(value);
+}
+
+function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, index) => {
+        const context = URL_ATTRIBUTE_CONTEXT.test(markup) ? 'url'
+            : CSS_URL_CONTEXT.test(markup) ? 'css-url'
+            : 'text';
+        markup += renderValue(value, context) + strings[index + 1];
+    });
+    return new SafeHTML(markup);
+}
+
+// Trusted, static markup only; never remote data
+html.raw = markup => new SafeHTML(String(markup));
+
+// Builds nodes from a template, or an array of them, without running anything in it (template content is inert)
+html.fragment = template => {
+    const element = document.createElement('template');
+    element.innerHTML = [].concat(template).join('');
+    return element.content;
+};
+
+// Replaces `container`'s children with the rendered template
+html.render = (container, template) => {
+    container.replaceChildren(html.fragment(template));
+};
+
+// Plain text from untrusted markup, parsed in an inert document so nothing loads or runs
+function htmlToText(markup) {
+    const doc = new DOMParser().parseFromString(String(markup || ''), 'text/html');
+    // textContent would include their source, which isn't text anyone reads
+    doc.body.querySelectorAll('script, style, template, noscript').forEach(element => element.remove());
+    return doc.body.textContent || '';
+}
@@ -0,0 +1,39 @@
+//
+//  script-loader.js
+//  Loads third-party scripts on demand in a way a strict Content Security Policy accepts
+//
+//  Pages are meant to run under script-src 'self' plus the hosts scripts/build-csp.js lists.
+//  When the host serves a nonce-based policy instead, the nonce on this file's own script tag
+//  is copied to every script loaded here, so they inherit its permission to run.
+//
+
+// Browsers hide the nonce attribute after parsing, but the property stays readable
+const SCRIPT_NONCE = (document.currentScript && document.currentScript.nonce) || '';
+
+const loadedScripts = new Map();
+
+// Resolves once the script has run; the same URL is only ever requested once
+function loadScript(src, options = {}) {
+    if (!loadedScripts.has(src)) {
+        const promise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.async = true;
+            if (SCRIPT_NONCE) script.nonce = SCRIPT_NONCE;
+            if (options.integrity) {
+                script.integrity = options.integrity;
+                script.crossOrigin = 'anonymous';
+            }
+            script.onload = () => resolve(script);
+            script.onerror = () => {
+                // Let a later call try again, e.g. after the connection comes back
+                loadedScripts.delete(src);
+                script.remove();
+                reject(new Error(`Script failed to load: ${src}`));
+            };
+            document.head.appendChild(script);
+        });
+        loadedScripts.set(src, promise);
+    }
+    return loadedScripts.get(src);
+}
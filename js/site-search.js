@@ -0,0 +1,355 @@
+//
+//  site-search.js
+//  Search across the pages, projects and posts, opened with "/" or Ctrl+K (Cmd+K on macOS)
+//
+//  Searches the index scripts/build-search.js writes to /data/search-index.json. Nothing is
+//  downloaded until the search is first opened. Each query word must match a word in the
+//  document exactly, as the start of one ("swi" finds "SwiftUI"), or with a typo or two;
+//  exact matches and words in titles rank highest.
+//
+//  Any element with data-site-search opens the search too; one is added to the navbar.
+//  Tokens are cut the way the build script cuts them, using normalizeSearchText() and
+//  editDistance() from table-query.js.
+//
+
+const SITE_SEARCH_SETTINGS = {
+    indexUrl: '/data/search-index.json',
+    indexVersion: 1,
+    maxResults: 8,
+    snippetLength: 160,
+    debounce: 120
+};
+
+const SEARCH_TYPE_LABELS = { page: 'Page', project: 'Project', post: 'Post' };
+
+// How much a query word is worth when it only matches an index word loosely
+const SEARCH_MATCH_QUALITY = { exact: 1, prefix: 0.7, fuzzy: 0.5 };
+
+const SEARCH_WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+function tokenize(text, stopWords = new Set()) {
+    return normalizeSearchText(text)
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 1 && !stopWords.has(token));
+}
+
+// SECTION: Index
+
+class SearchIndex {
+    constructor(data) {
+        this.stopWords = new Set(data.stopWords || []);
+        this.documents = data.documents.map(([type, title, url, text], id) => ({ id, type, title, url, text }));
+        this.terms = data.terms;
+        this.termList = Object.keys(data.terms);
+    }
+
+    // Index words a query word stands for, with how closely each matched
+    expand(token) {
+        const matches = new Map();
+        // Short words have to be exact, or everything would match everything
+        const allowed = token.length <= 3 ? 0 : token.length <= 6 ? 1 : 2;
+
+        this.termList.forEach(term => {
+            let quality = 0;
+            if (term === token) {
+                quality = SEARCH_MATCH_QUALITY.exact;
+            } else if (term.startsWith(token)) {
+                quality = SEARCH_MATCH_QUALITY.prefix;
+            } else if (allowed > 0 && Math.abs(term.length - token.length) <= allowed) {
+                const distance = editDistance(token, term);
+                if (distance <= allowed) quality = SEARCH_MATCH_QUALITY.fuzzy * (1 - distance / (token.length + 1));
+            }
+            if (quality > 0) matches.set(term, quality);
+        });
+        return matches;
+    }
+
+    // Documents matching every query word, best first, with the index words that matched
+    search(query, limit = SITE_SEARCH_SETTINGS.maxResults) {
+        const tokens = Array.from(new Set(tokenize(query, this.stopWords)));
+        if (tokens.length === 0) return [];
+
+        const found = new Map();
+        tokens.forEach(token => {
+            const best = new Map();
+            this.expand(token).forEach((quality, term) => {
+                const postings = this.terms[term];
+                for (let i = 0; i < postings.length; i += 2) {
+                    const id = postings[i];
+                    const entry = best.get(id) || { score: 0, terms: new Set() };
+                    // A word counts once per document, through its closest match
+                    entry.score = Math.max(entry.score, postings[i + 1] * quality);
+                    entry.terms.add(term);
+                    best.set(id, entry);
+                }
+            });
+
+            best.forEach(({ score, terms }, id) => {
+                const entry = found.get(id) || { score: 0, matched: 0, terms: new Set() };
+                entry.score += score;
+                entry.matched++;
+                terms.forEach(term => entry.terms.add(term));
+                found.set(id, entry);
+            });
+        });
+
+        return Array.from(found.entries())
+            .filter(([, entry]) => entry.matched === tokens.length)
+            .sort((a, b) => b[1].score - a[1].score || a[0] - b[0])
+            .slice(0, limit)
+            .map(([id, entry]) => ({ document: this.documents[id], score: entry.score, terms: entry.terms }));
+    }
+}
+
+// SECTION: Overlay
+
+class SiteSearch {
+    constructor(settings = SITE_SEARCH_SETTINGS) {
+        this.settings = settings;
+        this.index = null;
+        this.loading = null;
+        this.dialog = null;
+        this.results = [];
+        this.active = -1;
+        this.opener = null;
+        this.init();
+    }
+
+    init() {
+        document.addEventListener('keydown', (e) => {
+            if (this.dialog && this.dialog.open) return;
+            const shortcut = (e.key === 'k' || e.key === 'K') && (e.ctrlKey || e.metaKey) && !e.altKey;
+            const slash = e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !this.isTyping(e.target);
+            if (!shortcut && !slash) return;
+            e.preventDefault();
+            this.open();
+        });
+
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest && e.target.closest('[data-site-search]');
+            if (!trigger) return;
+            e.preventDefault();
+            this.open();
+        });
+
+        document.addEventListener('DOMContentLoaded', () => this.addNavButton());
+        // A result the page router opened leaves this page's dialog behind
+        document.addEventListener('pagechange', () => this.close());
+    }
+
+    // "/" is a character like any other in a text field
+    isTyping(element) {
+        return Boolean(element && element.closest && (element.isContentEditable || element.closest('input, textarea, select, [contenteditable]')));
+    }
+
+    addNavButton() {
+        const nav = document.querySelector('.navbar-nav');
+        if (!nav || nav.querySelector('[data-site-search]')) return;
+        const mac = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+        nav.appendChild(html.fragment(html`
+            <li class="nav-item">
+                <button type="button" class="nav-link text-nowrap site-search-toggle" data-site-search aria-keyshortcuts="/ Control+K Meta+K">
+                    <i class="bi-search" aria-hidden="true"></i> Search <kbd class="site-search-key">${mac ? '⌘K' : 'Ctrl K'}</kbd>
+                </button>
+            </li>
+        `));
+    }
+
+    // Fetched once; a failed load is retried the next time search opens
+    load() {
+        if (!this.loading) {
+            this.loading = fetch(this.settings.indexUrl)
+                .then(response => {
+                    if (!response.ok) throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
+                    return response.json();
+                })
+                .then(data => {
+                    if (!data || data.version !== this.settings.indexVersion) throw new Error('Unsupported search index version');
+                    this.index = new SearchIndex(data);
+                    return this.index;
+                })
+                .catch(error => {
+                    this.loading = null;
+                    window.errorTracker.logError('Site search', error);
+                    throw error;
+                });
+        }
+        return this.loading;
+    }
+
+    createDialog() {
+        this.dialog = html.fragment(html`
+            <dialog class="site-search" aria-label="Search the site">
+                <div class="site-search-box">
+                    <input type="search" class="form-control site-search-input" placeholder="Search pages, projects and posts"
+                        role="combobox" aria-expanded="false" aria-controls="site-search-results" aria-autocomplete="list" autocomplete="off" />
+                    <ul id="site-search-results" class="site-search-results" role="listbox" aria-label="Search results"></ul>
+                    <p class="site-search-status" role="status" aria-live="polite"></p>
+                </div>
+            </dialog>
+        `).firstElementChild;
+        document.body.appendChild(this.dialog);
+
+        this.input = this.dialog.querySelector('.site-search-input');
+        this.list = this.dialog.querySelector('.site-search-results');
+        this.status = this.dialog.querySelector('.site-search-status');
+
+        let timer;
+        this.input.addEventListener('input', () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => this.run(), this.settings.debounce);
+        });
+        this.input.addEventListener('keydown', (e) => this.handleKey(e));
+
+        // A click on the backdrop lands on the dialog itself
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) this.close();
+        });
+        this.list.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.setActive(Number(option.dataset.index));
+        });
+        this.dialog.addEventListener('close', () => {
+            if (this.opener && this.opener.isConnected) this.opener.focus();
+            this.opener = null;
+        });
+    }
+
+    open() {
+        if (!this.dialog) this.createDialog();
+        if (this.dialog.open) return;
+
+        this.opener = document.activeElement;
+        if (this.dialog.showModal) this.dialog.showModal();
+        else this.dialog.setAttribute('open', '');
+        this.input.focus();
+        this.input.select();
+
+        if (!this.index) this.status.textContent = 'Loading search…';
+        this.load().then(() => this.run(), () => {
+            this.status.textContent = 'Search isn\'t available right now.';
+        });
+    }
+
+    close() {
+        if (!this.dialog || !this.dialog.open) return;
+        if (this.dialog.close) this.dialog.close();
+        else {
+            this.dialog.removeAttribute('open');
+            this.dialog.dispatchEvent(new Event('close'));
+        }
+    }
+
+    // SECTION: Results
+
+    run() {
+        if (!this.index) return;
+        const query = this.input.value.trim();
+        this.results = query ? this.index.search(query, this.settings.maxResults) : [];
+        this.render(query);
+    }
+
+    render(query) {
+        html.render(this.list, this.results.map(({ document, terms }, index) => html`
+            <li id="site-search-option-${index}" class="site-search-option" role="option" aria-selected="false" data-index="${index}">
+                <a class="site-search-result" href="${document.url}" tabindex="-1">
+                    <span class="site-search-type">${SEARCH_TYPE_LABELS[document.type] || document.type}</span>
+                    <span class="site-search-title">${this.highlight(document.title, terms)}</span>
+                    <span class="site-search-snippet">${this.snippet(document.text, terms)}</span>
+                </a>
+            </li>
+        `));
+
+        this.input.setAttribute('aria-expanded', String(this.results.length > 0));
+        this.setActive(this.results.length > 0 ? 0 : -1);
+
+        const count = this.results.length;
+        this.status.textContent = !query ? ''
+            : count === 0 ? `No results for "${query}"`
+            : `${count} result${count === 1 ? '' : 's'}`;
+    }
+
+    // Marks the words whose normalized form is one of the matched index words
+    highlight(text, terms) {
+        const parts = [];
+        let last = 0;
+        for (const match of text.matchAll(SEARCH_WORD_PATTERN)) {
+            if (!terms.has(normalizeSearchText(match[0]))) continue;
+            parts.push(text.slice(last, match.index), html`<mark>${match[0]}</mark>`);
+            last = match.index + match[0].length;
+        }
+        parts.push(text.slice(last));
+        return parts;
+    }
+
+    // About snippetLength characters of text, starting a little before the first match
+    snippet(text, terms) {
+        const length = this.settings.snippetLength;
+        const first = Array.from(text.matchAll(SEARCH_WORD_PATTERN)).find(match => terms.has(normalizeSearchText(match[0])));
+
+        let start = first ? Math.max(0, first.index - Math.floor(length / 3)) : 0;
+        if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+        let end = Math.min(text.length, start + length);
+        if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+        return html`${start > 0 ? '…' : ''}${this.highlight(text.slice(start, end), terms)}${end < text.length ? '…' : ''}`;
+    }
+
+    // SECTION: Keyboard
+
+    setActive(index) {
+        const options = this.list.querySelectorAll('[role="option"]');
+        options.forEach((option, i) => option.setAttribute('aria-selected', String(i === index)));
+        this.active = index;
+
+        if (index >= 0 && options[index]) {
+            this.input.setAttribute('aria-activedescendant', options[index].id);
+            options[index].scrollIntoView({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    // Focus stays in the input; arrows move the highlighted result (aria-activedescendant)
+    handleKey(e) {
+        const count = this.results.length;
+        switch (e.key) {
+            case 'ArrowDown':
+                if (count === 0) return;
+                this.setActive((this.active + 1) % count);
+                break;
+            case 'ArrowUp':
+                if (count === 0) return;
+                this.setActive((this.active - 1 + count) % count);
+                break;
+            case 'Home':
+            case 'End':
+                // With Ctrl they move through the results; alone they move the caret
+                if (!e.ctrlKey || count === 0) return;
+                this.setActive(e.key === 'Home' ? 0 : count - 1);
+                break;
+            case 'Enter': {
+                const option = this.list.querySelectorAll('[role="option"]')[this.active];
+                if (!option) return;
+                // A real click on the link, so Ctrl/Cmd/Shift+Enter open tabs and windows as links do
+                option.querySelector('a').dispatchEvent(new MouseEvent('click', {
+                    bubbles: true,
+                    cancelable: true,
+                    ctrlKey: e.ctrlKey,
+                    metaKey: e.metaKey,
+                    shiftKey: e.shiftKey
+                }));
+                break;
+            }
+            case 'Escape':
+                // Without showModal() support the browser won't close it for us
+                this.close();
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+}
+
+window.siteSearch = new SiteSearch();
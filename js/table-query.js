@@ -0,0 +1,193 @@
+//
+//  table-query.js
+//  The search language behind igniteFilterTable and ignite-table.js
+//
+//  A query is whitespace-separated clauses, all of which a row must match, in any order:
+//    swift ui              both words, anywhere in the row
+//    "core data"           the exact phrase
+//    -archived             rows without this word
+//    language:swift        only the Language column
+//    stars>10  stars<=5    numeric (or date) comparison on a column: > >= < <= =
+//  Columns are named by header text, lowercased with spaces as dashes ("last-updated"),
+//  or by a <th data-column="..."> alias. An unknown column makes the clause plain text,
+//  so pasting "https://..." still searches for it.
+//
+//  Matching ignores case and accents. With fuzzy on, words also match with a typo or two
+//  and rows are ranked by how closely they matched.
+//
+//  Callers get the parsed query back from parseTableQuery(), igniteFilterTable() and
+//  table.igniteFilterQuery, e.g. to show "filtered by language" chips.
+//
+
+const QUERY_OPERATORS = ['>=', '<=', '>', '<', '='];
+
+// "1,234", "$12.50", "-3", "45%"; not "2024-01-05" (a date) or "v2" (text)
+function parseTableNumber(text) {
+    if (!/^[-+]?[$€£¥]?\s*(?:\d{1,3}(?:,\d{3})+|\d+)?(?:\.\d+)?\s*%?$/.test(text) || !/\d/.test(text)) return null;
+    return parseFloat(text.replace(/[^\d.+-]/g, ''));
+}
+
+function parseTableDate(text) {
+    if (!/\d{4}|\d{1,2}[/.-]\d{1,2}/.test(text)) return null;
+    const time = Date.parse(text);
+    return isNaN(time) ? null : time;
+}
+
+// "Café" and "cafe" compare equal
+function normalizeSearchText(text) {
+    return String(text).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+// SECTION: Parsing
+
+// Returns { text, clauses } where each clause is
+//   { type: 'match', column, value, phrase, negated }  or
+//   { type: 'compare', column, operator, value, negated }
+// and carries `raw`, the token as typed. `column` is null for whole-row clauses.
+//
+// With a `defaultColumn` (a name or cell index) unscoped clauses apply to that column, and
+// a bare ">10" compares it: this is how a column filter reads its input.
+function parseTableQuery(text, defaultColumn = null) {
+    const query = { text: String(text || '').trim(), clauses: [] };
+    const tokens = query.text.match(/-?(?:[^\s":<>=]+(?::|[<>]=?|=))?"[^"]*"?|\S+/g) || [];
+
+    tokens.forEach(raw => {
+        let token = raw;
+        const negated = token.length > 1 && token.startsWith('-');
+        if (negated) token = token.slice(1);
+
+        let column = defaultColumn;
+        let operator = ':';
+        const scoped = token.match(/^([^\s":<>=]+)(:?(?:[<>]=?|=)|:)(.*)$/);
+        const bare = defaultColumn !== null && token.match(/^()([<>]=?|=)(.*)$/);
+        if (scoped || bare) {
+            [, column, operator, token] = scoped || bare;
+            column = scoped ? column.toLowerCase() : defaultColumn;
+            if (operator.length > 1 && operator.startsWith(':')) operator = operator.slice(1);
+        }
+
+        const phrase = token.startsWith('"');
+        const value = phrase ? token.replace(/^"|"$/g, '') : token;
+        if (!value) return;
+
+        if (column !== null && QUERY_OPERATORS.includes(operator)) {
+            query.clauses.push({ type: 'compare', column, operator, value, negated, raw });
+        } else {
+            query.clauses.push({ type: 'match', column, value, phrase, negated, raw });
+        }
+    });
+
+    return query;
+}
+
+// Column names a query can use, mapped to their cell index
+function tableColumnKeys(table) {
+    const keys = {};
+    const headers = table.tHead ? Array.from(table.tHead.rows[0].cells) : [];
+    headers.forEach((header, index) => {
+        const name = normalizeSearchText(header.textContent.trim()).replace(/\s+/g, '-');
+        if (name) keys[name] = index;
+        if (header.dataset.column) keys[normalizeSearchText(header.dataset.column)] = index;
+    });
+    return keys;
+}
+
+// SECTION: Matching
+
+// Optimal string alignment distance: edits plus swapped neighbours, so "siwft" is one typo
+function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows[i] = [i];
+        for (let j = 1; j <= b.length; j++) {
+            if (i === 0) {
+                rows[i][j] = j;
+                continue;
+            }
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+// 1 for a substring match, less for each typo, 0 for no match. Both arguments normalized.
+function fuzzyScore(term, text) {
+    if (text.includes(term)) return 1;
+
+    // Short words have to be exact, or everything would match everything
+    const allowed = term.length <= 3 ? 0 : term.length <= 6 ? 1 : 2;
+    if (allowed === 0) return 0;
+
+    let best = Infinity;
+    text.split(/[^\p{L}\p{N}]+/u).forEach(word => {
+        if (word.length < term.length - allowed) return;
+        // Against the whole word and its start, so "swiftu" still finds "swiftui"
+        best = Math.min(best, editDistance(term, word), editDistance(term, word.slice(0, term.length)));
+    });
+    return best <= allowed ? 1 - best / (term.length + 1) : 0;
+}
+
+function compareClause(cellText, clause) {
+    const text = cellText.trim();
+    let actual = parseTableNumber(text);
+    let expected = parseTableNumber(clause.value);
+    if (actual === null || expected === null) {
+        actual = parseTableDate(text);
+        expected = parseTableDate(clause.value);
+    }
+    if (actual === null || expected === null) return false;
+
+    switch (clause.operator) {
+        case '>': return actual > expected;
+        case '>=': return actual >= expected;
+        case '<': return actual < expected;
+        case '<=': return actual <= expected;
+        default: return actual === expected;
+    }
+}
+
+function clauseScore(row, clause, columns, fuzzy) {
+    let index;
+    if (typeof clause.column === 'number') index = clause.column;
+    else if (clause.column !== null) index = columns[normalizeSearchText(clause.column)];
+
+    if (clause.column !== null && index === undefined) {
+        // Not a column of this table: search for the token as typed
+        return clauseScore(row, { type: 'match', column: null, value: clause.raw.replace(/^-/, ''), phrase: false }, columns, fuzzy);
+    }
+
+    const cell = index === undefined ? row : row.cells[index];
+    if (!cell) return 0;
+    // Compared like ignite-table.js sorts: by data-sort-value when a cell has one
+    if (clause.type === 'compare') return compareClause(cell.dataset.sortValue ?? cell.textContent, clause) ? 1 : 0;
+
+    // Cells joined with spaces: a row's textContent runs the last word of one into the next
+    const content = cell.cells ? Array.from(cell.cells, item => item.textContent).join(' ') : cell.textContent;
+    const text = normalizeSearchText(content);
+    const term = normalizeSearchText(clause.value);
+    if (!fuzzy || clause.phrase) return text.includes(term) ? 1 : 0;
+    return fuzzyScore(term, text);
+}
+
+// A score above 0 when the row matches every clause; higher is a closer match
+function matchTableRow(row, query, { columns = {}, fuzzy = false } = {}) {
+    let total = 0;
+    let counted = 0;
+
+    for (const clause of query.clauses) {
+        // Exclusions stay exact: "-beta" shouldn't also hide "meta"
+        const score = clauseScore(row, clause, columns, fuzzy && !clause.negated);
+        if (clause.negated) {
+            if (score > 0) return 0;
+            continue;
+        }
+        if (score === 0) return 0;
+        total += score;
+        counted++;
+    }
+    return counted > 0 ? total / counted : 1;
+}
@@ -0,0 +1,516 @@
+//
+//  theme-builder.js
+//  Named custom themes on top of portfolio.css, plus the in-page editor that makes them
+//
+//  A custom theme is applied the way Ignite applies any custom theme: its ID goes into
+//  data-bs-theme and the `custom-theme` key (via ThemeManager). Its colors are then set
+//  as CSS variables on <html> through CSSOM, starting from the light or dark palette it
+//  was based on. Saved themes live in localStorage under `custom-themes`.
+//
+
+const THEME_EXPORT_VERSION = 1;
+
+// Editable settings and their limits; everything else is derived from these
+const THEME_SETTINGS = {
+    accentPrimary: { type: 'color', label: 'Accent', variable: '--accent-primary' },
+    accentSecondary: { type: 'color', label: 'Secondary accent', variable: '--accent-secondary' },
+    accentTertiary: { type: 'color', label: 'Tertiary accent', variable: '--accent-tertiary' },
+    bgPrimary: { type: 'color', label: 'Background', variable: '--bg-primary' },
+    bgSecondary: { type: 'color', label: 'Secondary background', variable: '--bg-secondary' },
+    textPrimary: { type: 'color', label: 'Text', variable: '--text-primary' },
+    textSecondary: { type: 'color', label: 'Secondary text', variable: '--text-secondary' },
+    glassTint: { type: 'color', label: 'Glass tint' },
+    glassOpacity: { type: 'range', label: 'Glass opacity', min: 0, max: 0.6, step: 0.01 },
+    glassBlur: { type: 'range', label: 'Glass blur (px)', min: 0, max: 40, step: 1 },
+    glassSaturation: { type: 'range', label: 'Glass saturation (%)', min: 50, max: 250, step: 5 },
+    gradientAngle: { type: 'range', label: 'Gradient angle (deg)', min: 0, max: 360, step: 5 }
+};
+
+// Text/background pairs that must meet WCAG AA for normal text (4.5:1)
+const CONTRAST_PAIRS = [
+    ['textPrimary', 'bgPrimary'],
+    ['textSecondary', 'bgPrimary'],
+    ['textPrimary', 'bgSecondary']
+];
+const WCAG_AA_NORMAL = 4.5;
+
+// SECTION: Color helpers
+
+function parseColor(value) {
+    const color = (value || '').trim();
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        return { r: parseInt(digits.slice(0, 2), 16), g: parseInt(digits.slice(2, 4), 16), b: parseInt(digits.slice(4, 6), 16), a: 1 };
+    }
+
+    const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/i.exec(color);
+    if (rgb) {
+        return { r: +rgb[1], g: +rgb[2], b: +rgb[3], a: rgb[4] === undefined ? 1 : +rgb[4] };
+    }
+    return null;
+}
+
+function toHex({ r, g, b }) {
+    return '#' + [r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('');
+}
+
+function relativeLuminance(color) {
+    const [r, g, b] = [color.r, color.g, color.b].map(channel => {
+        const value = channel / 255;
+        return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(foreground, background) {
+    const a = relativeLuminance(parseColor(foreground));
+    const b = relativeLuminance(parseColor(background));
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+// SECTION: Store
+
+class CustomThemeStore {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'custom-themes';
+        this.root = document.documentElement;
+        this.appliedVariables = [];
+
+        // Applies the saved theme before first paint; ThemeManager has already set the ID
+        this.applyTheme(window.themeManager?.theme);
+        document.addEventListener('themechange', (event) => this.applyTheme(event.detail.theme));
+
+        window.addEventListener('storage', (event) => {
+            if (event.key === this.storageKey && window.themeManager) {
+                this.applyTheme(window.themeManager.theme);
+            }
+        });
+    }
+
+    getAll() {
+        try {
+            const themes = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return themes && typeof themes === 'object' ? themes : {};
+        } catch {
+            return {};
+        }
+    }
+
+    get(themeID) {
+        return this.getAll()[themeID] || null;
+    }
+
+    save(theme) {
+        const themes = this.getAll();
+        themes[theme.id] = theme;
+        localStorage.setItem(this.storageKey, JSON.stringify(themes));
+        return theme;
+    }
+
+    delete(themeID) {
+        const themes = this.getAll();
+        delete themes[themeID];
+        localStorage.setItem(this.storageKey, JSON.stringify(themes));
+    }
+
+    // IDs share data-bs-theme with Bootstrap's own, so keep them out of its namespace
+    createID(name) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme';
+        let id = `custom-${slug}`;
+        for (let n = 2; this.get(id); n++) {
+            id = `custom-${slug}-${n}`;
+        }
+        return id;
+    }
+
+    // The palette portfolio.css declares for `base`: :root, plus the dark overrides.
+    // Read from the rules rather than computed style, which already carries the active theme.
+    readBaseVariables(base) {
+        this.palettes = this.palettes || {};
+        if (this.palettes[base]) return { ...this.palettes[base] };
+
+        const selectors = base === 'dark' ? [':root', '[data-bs-theme="dark"]'] : [':root'];
+        const variables = {};
+        selectors.forEach(selector => {
+            this.rulesFor(selector).forEach(rule => {
+                Array.from(rule.style).forEach(name => {
+                    if (name.startsWith('--')) variables[name] = rule.style.getPropertyValue(name).trim();
+                });
+            });
+        });
+
+        this.palettes[base] = variables;
+        return { ...variables };
+    }
+
+    rulesFor(selector) {
+        const rules = [];
+        Array.from(document.styleSheets).forEach(sheet => {
+            let sheetRules;
+            try {
+                sheetRules = sheet.cssRules;
+            } catch {
+                return; // Cross-origin stylesheet
+            }
+            Array.from(sheetRules || []).forEach(rule => {
+                if (rule.selectorText === selector) rules.push(rule);
+            });
+        });
+        return rules;
+    }
+
+    defaultSettings(base) {
+        const variables = this.readBaseVariables(base);
+        const settings = {};
+
+        Object.entries(THEME_SETTINGS).forEach(([key, setting]) => {
+            if (setting.variable) {
+                const color = parseColor(variables[setting.variable]);
+                settings[key] = color ? toHex(color) : '#000000';
+            }
+        });
+
+        const glass = parseColor(variables['--glass-bg-primary']) || { r: 255, g: 255, b: 255, a: 0.15 };
+        settings.glassTint = toHex(glass);
+        settings.glassOpacity = glass.a;
+        settings.glassBlur = parseFloat((/blur\(([\d.]+)px\)/.exec(variables['--glass-blur'] || '') || [])[1]) || 10;
+        settings.glassSaturation = parseFloat((/saturate\(([\d.]+)%\)/.exec(variables['--glass-saturation'] || '') || [])[1]) || 120;
+        settings.gradientAngle = parseFloat((/(\d+)deg/.exec(variables['--gradient-primary'] || '') || [])[1]) || 135;
+        return settings;
+    }
+
+    toVariables(theme) {
+        const { settings } = theme;
+        const variables = this.readBaseVariables(theme.base);
+
+        Object.entries(THEME_SETTINGS).forEach(([key, setting]) => {
+            if (setting.variable) variables[setting.variable] = settings[key];
+        });
+
+        const tint = parseColor(settings.glassTint);
+        const accent = parseColor(settings.accentPrimary);
+        variables['--glass-bg-primary'] = `rgba(${tint.r}, ${tint.g}, ${tint.b}, ${settings.glassOpacity})`;
+        variables['--glass-blur'] = `blur(${settings.glassBlur}px)`;
+        variables['--glass-saturation'] = `saturate(${settings.glassSaturation}%)`;
+        variables['--accent-primary-soft'] = `rgba(${accent.r}, ${accent.g}, ${accent.b}, 0.1)`;
+        variables['--accent-primary-medium'] = `rgba(${accent.r}, ${accent.g}, ${accent.b}, 0.2)`;
+        variables['--gradient-primary'] = `linear-gradient(${settings.gradientAngle}deg, ${settings.accentPrimary} 0%, ${settings.accentSecondary} 50%, ${settings.accentTertiary} 100%)`;
+        return variables;
+    }
+
+    // Inline custom properties on <html>; CSSOM writes stay allowed under a strict CSP
+    setVariables(variables) {
+        this.clearVariables();
+        Object.entries(variables).forEach(([name, value]) => {
+            this.root.style.setProperty(name, value);
+        });
+        this.appliedVariables = Object.keys(variables);
+    }
+
+    clearVariables() {
+        this.appliedVariables.forEach(name => this.root.style.removeProperty(name));
+        this.appliedVariables = [];
+    }
+
+    applyTheme(themeID) {
+        const theme = themeID ? this.get(themeID) : null;
+        if (!theme) {
+            this.clearVariables();
+            return;
+        }
+
+        this.preview(theme);
+    }
+
+    // Also used by the editor for unsaved changes
+    preview(theme) {
+        this.setVariables({ ...this.toVariables(theme), 'color-scheme': theme.base });
+    }
+
+    // Imported JSON is untrusted: keep known settings with values of the right shape
+    validate(theme) {
+        if (!theme || typeof theme !== 'object' || typeof theme.name !== 'string' || !theme.settings) {
+            throw new Error('Not a theme');
+        }
+
+        const base = theme.base === 'dark' ? 'dark' : 'light';
+        const settings = this.defaultSettings(base);
+        Object.entries(THEME_SETTINGS).forEach(([key, setting]) => {
+            const value = theme.settings[key];
+            if (setting.type === 'color' && typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) {
+                settings[key] = value.toLowerCase();
+            } else if (setting.type === 'range' && Number.isFinite(value)) {
+                settings[key] = Math.min(Math.max(value, setting.min), setting.max);
+            }
+        });
+
+        return { name: theme.name.trim().slice(0, 40) || 'Imported theme', base, settings };
+    }
+
+    export(themeIDs) {
+        const themes = themeIDs.map(id => this.get(id)).filter(Boolean);
+        return JSON.stringify({ version: THEME_EXPORT_VERSION, themes }, null, 2);
+    }
+
+    import(json) {
+        const data = JSON.parse(json);
+        const themes = Array.isArray(data.themes) ? data.themes : [data];
+        return themes.map(theme => {
+            const valid = this.validate(theme);
+            return this.save({ id: this.createID(valid.name), ...valid });
+        });
+    }
+}
+
+// SECTION: Editor
+
+class ThemeBuilder {
+    constructor(store) {
+        this.store = store;
+        this.dialog = null;
+        this.editingID = null;
+        this.base = 'light';
+        this.settings = null;
+    }
+
+    open() {
+        if (!this.dialog) {
+            this.dialog = this.createDialog();
+            document.body.appendChild(this.dialog);
+        }
+
+        const current = window.themeManager.theme;
+        const theme = this.store.get(current);
+        if (theme) {
+            this.edit(theme);
+        } else {
+            this.startNew(window.themeManager.resolved === 'dark' ? 'dark' : 'light');
+        }
+
+        this.dialog.showModal();
+    }
+
+    startNew(base) {
+        this.editingID = null;
+        this.base = base;
+        this.settings = this.store.defaultSettings(base);
+        this.dialog.querySelector('[name="name"]').value = '';
+        this.sync();
+    }
+
+    edit(theme) {
+        this.editingID = theme.id;
+        this.base = theme.base;
+        this.settings = { ...this.store.defaultSettings(theme.base), ...theme.settings };
+        this.dialog.querySelector('[name="name"]').value = theme.name;
+        this.sync();
+    }
+
+    createDialog() {
+        const dialog = document.createElement('dialog');
+        dialog.className = 'theme-builder';
+        dialog.setAttribute('aria-labelledby', 'theme-builder-title');
+
+        const fields = Object.entries(THEME_SETTINGS).map(([key, setting]) => {
+            const attributes = setting.type === 'range'
+                ? `type="range" min="${setting.min}" max="${setting.max}" step="${setting.step}"`
+                : 'type="color"';
+            return `
+                <label class="theme-builder-field">
+                    <span>${setting.label}</span>
+                    <input ${attributes} name="${key}">
+                    ${setting.type === 'range' ? `<output data-for="${key}"></output>` : ''}
+                </label>
+            `;
+        }).join('');
+
+        dialog.innerHTML = `
+            <form method="dialog" class="theme-builder-form">
+                <header class="theme-builder-header">
+                    <h2 id="theme-builder-title">Customize theme</h2>
+                    <button type="submit" value="cancel" class="theme-builder-close" aria-label="Close">✕</button>
+                </header>
+                <div class="theme-builder-row">
+                    <label class="theme-builder-field">
+                        <span>Edit</span>
+                        <select name="theme"></select>
+                    </label>
+                    <label class="theme-builder-field">
+                        <span>Based on</span>
+                        <select name="base">
+                            <option value="light">Light</option>
+                            <option value="dark">Dark</option>
+                        </select>
+                    </label>
+                    <label class="theme-builder-field">
+                        <span>Name</span>
+                        <input type="text" name="name" maxlength="40" required placeholder="My theme">
+                    </label>
+                </div>
+                <div class="theme-builder-grid">${fields}</div>
+                <ul class="theme-builder-contrast" aria-live="polite"></ul>
+                <p class="theme-builder-message" role="status"></p>
+                <footer class="theme-builder-actions">
+                    <button type="button" class="btn btn-primary" data-action="save">Save &amp; apply</button>
+                    <button type="button" class="btn" data-action="export">Export</button>
+                    <button type="button" class="btn" data-action="import">Import</button>
+                    <button type="button" class="btn" data-action="delete">Delete</button>
+                    <input type="file" accept="application/json,.json" hidden>
+                </footer>
+            </form>
+        `;
+
+        const form = dialog.querySelector('form');
+
+        form.addEventListener('input', (event) => {
+            const { name, value, type } = event.target;
+            if (!(name in THEME_SETTINGS)) return;
+            this.settings[name] = type === 'range' ? parseFloat(value) : value;
+            this.preview();
+        });
+
+        form.querySelector('[name="base"]').addEventListener('change', (event) => {
+            const name = form.querySelector('[name="name"]').value;
+            this.startNew(event.target.value);
+            form.querySelector('[name="name"]').value = name;
+        });
+
+        form.querySelector('[name="theme"]').addEventListener('change', (event) => {
+            const theme = this.store.get(event.target.value);
+            if (theme) {
+                this.edit(theme);
+            } else {
+                this.startNew(this.base);
+            }
+        });
+
+        dialog.querySelector('[data-action="save"]').addEventListener('click', () => this.save());
+        dialog.querySelector('[data-action="export"]').addEventListener('click', () => this.exportThemes());
+        dialog.querySelector('[data-action="delete"]').addEventListener('click', () => this.deleteTheme());
+
+        const fileInput = dialog.querySelector('input[type="file"]');
+        dialog.querySelector('[data-action="import"]').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => this.importThemes(fileInput));
+
+        // Closing without saving drops the preview
+        dialog.addEventListener('close', () => {
+            this.store.applyTheme(window.themeManager.theme);
+        });
+
+        return dialog;
+    }
+
+    // Pushes the current settings into the form controls and preview
+    sync() {
+        const form = this.dialog.querySelector('form');
+        form.querySelector('[name="base"]').value = this.base;
+
+        const select = form.querySelector('[name="theme"]');
+        select.replaceChildren(new Option('New theme', ''));
+        Object.values(this.store.getAll()).forEach(theme => {
+            select.add(new Option(theme.name, theme.id));
+        });
+        select.value = this.editingID || '';
+
+        Object.keys(THEME_SETTINGS).forEach(key => {
+            form.querySelector(`[name="${key}"]`).value = this.settings[key];
+        });
+
+        this.dialog.querySelector('[data-action="delete"]').hidden = !this.editingID;
+        this.setMessage('');
+        this.preview();
+    }
+
+    preview() {
+        this.store.preview({ base: this.base, settings: this.settings });
+
+        this.dialog.querySelectorAll('output[data-for]').forEach(output => {
+            output.textContent = this.settings[output.dataset.for];
+        });
+
+        const results = this.checkContrast();
+        const list = this.dialog.querySelector('.theme-builder-contrast');
+        list.replaceChildren(...results.map(result => {
+            const item = document.createElement('li');
+            item.className = result.passes ? 'passes' : 'fails';
+            item.textContent = `${result.passes ? '✓' : '✗'} ${THEME_SETTINGS[result.foreground].label} on ${THEME_SETTINGS[result.background].label.toLowerCase()}: ${result.ratio.toFixed(2)}:1`;
+            return item;
+        }));
+
+        this.dialog.querySelector('[data-action="save"]').disabled = results.some(result => !result.passes);
+    }
+
+    checkContrast() {
+        return CONTRAST_PAIRS.map(([foreground, background]) => {
+            const ratio = contrastRatio(this.settings[foreground], this.settings[background]);
+            return { foreground, background, ratio, passes: ratio >= WCAG_AA_NORMAL };
+        });
+    }
+
+    save() {
+        const nameInput = this.dialog.querySelector('[name="name"]');
+        const name = nameInput.value.trim();
+        if (!name) {
+            nameInput.focus();
+            this.setMessage('Give the theme a name first.');
+            return;
+        }
+
+        const id = this.editingID || this.store.createID(name);
+        this.store.save({ id, name, base: this.base, settings: { ...this.settings } });
+        this.editingID = id;
+
+        // Same path as any Ignite custom theme: custom-theme key + data-bs-theme
+        window.themeManager.setTheme(id);
+        this.sync();
+        this.setMessage(`Saved “${name}”.`);
+    }
+
+    deleteTheme() {
+        if (!this.editingID) return;
+        const id = this.editingID;
+        this.store.delete(id);
+        if (window.themeManager.theme === id) {
+            window.themeManager.setTheme('auto');
+        }
+        this.startNew(this.base);
+        this.setMessage('Theme deleted.');
+    }
+
+    exportThemes() {
+        const ids = this.editingID ? [this.editingID] : Object.keys(this.store.getAll());
+        if (ids.length === 0) {
+            this.setMessage('Save a theme before exporting it.');
+            return;
+        }
+
+        const blob = new Blob([this.store.export(ids)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = this.editingID ? `${this.editingID}.json` : 'custom-themes.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    async importThemes(fileInput) {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        try {
+            const imported = this.store.import(await file.text());
+            this.edit(imported[0]);
+            this.setMessage(`Imported ${imported.length} theme${imported.length === 1 ? '' : 's'}.`);
+        } catch (error) {
+            console.warn('Theme import failed:', error);
+            this.setMessage('That file is not a theme export.');
+        }
+    }
+
+    setMessage(message) {
+        this.dialog.querySelector('.theme-builder-message').textContent = message;
+    }
+}
+
+window.customThemes = new CustomThemeStore();
@@ -0,0 +1,111 @@
+//
+//  theme-manager.js
+//  Single owner of the page theme: light, dark, auto or a custom theme ID
+//
+//  Loaded from <head>, so it also sets the first-paint theme that Ignite's inline head script
+//  used to (inline scripts don't run under the site's CSP). Same attributes and storage key:
+//    data-theme-state  the visitor's selection (light/dark/auto/<custom>)
+//    data-bs-theme     what is actually applied (auto resolves to light or dark)
+//    custom-theme      localStorage key; absent means auto
+//
+//  Every change dispatches `themechange` on document with { theme, resolved, source }.
+//
+
+class ThemeManager {
+    constructor(options = {}) {
+        this.root = options.root || document.documentElement;
+        this.storageKey = options.storageKey || 'custom-theme';
+        this.media = window.matchMedia('(prefers-color-scheme: dark)');
+
+        this.migrateLegacyPreference();
+        this.theme = this.readPreference();
+        this.apply('init');
+
+        // Ignite's syntax-theme helper loads at the end of body, too late for the apply() above
+        document.addEventListener('DOMContentLoaded', () => this.applySyntaxTheme(), { once: true });
+
+        this.media.addEventListener('change', () => {
+            if (this.theme === 'auto') this.apply('system');
+        });
+
+        // Another tab switched themes
+        window.addEventListener('storage', (event) => {
+            if (event.key !== this.storageKey && event.key !== null) return;
+            const theme = this.readPreference();
+            if (theme === this.theme) return;
+            this.theme = theme;
+            this.apply('storage');
+        });
+    }
+
+    // The old portfolio toggle stored light/dark under `theme`
+    migrateLegacyPreference() {
+        const legacy = localStorage.getItem('theme');
+        if (legacy === null) return;
+        if (localStorage.getItem(this.storageKey) === null && (legacy === 'light' || legacy === 'dark')) {
+            localStorage.setItem(this.storageKey, legacy);
+        }
+        localStorage.removeItem('theme');
+    }
+
+    readPreference() {
+        return localStorage.getItem(this.storageKey) || 'auto';
+    }
+
+    get lightTheme() {
+        return this.root.getAttribute('data-light-theme') || 'light';
+    }
+
+    get darkTheme() {
+        return this.root.getAttribute('data-dark-theme') || 'dark';
+    }
+
+    // The theme actually on screen: auto resolves against prefers-color-scheme
+    get resolved() {
+        if (this.theme !== 'auto') return this.theme;
+        return this.media.matches ? this.darkTheme : this.lightTheme;
+    }
+
+    isCustom(themeID = this.theme) {
+        return !['light', 'dark', 'auto'].includes(themeID);
+    }
+
+    setTheme(themeID) {
+        const theme = themeID || 'auto';
+        if (theme === 'auto') {
+            localStorage.removeItem(this.storageKey);
+        } else {
+            localStorage.setItem(this.storageKey, theme);
+        }
+
+        this.theme = theme;
+        this.apply('user');
+    }
+
+    // light → dark → auto; a custom theme goes back to light
+    toggle() {
+        const next = { light: 'dark', dark: 'auto', auto: 'light' };
+        this.setTheme(next[this.theme] || 'light');
+    }
+
+    apply(source) {
+        const resolved = this.resolved;
+        this.root.setAttribute('data-bs-theme', resolved);
+        this.root.setAttribute('data-theme-state', this.theme);
+
+        this.applySyntaxTheme();
+
+        document.dispatchEvent(new CustomEvent('themechange', {
+            detail: { theme: this.theme, resolved, source }
+        }));
+    }
+
+    // Enables the code-highlighting stylesheet the theme names; a no-op until ignite-core.js loads
+    applySyntaxTheme() {
+        if (typeof igniteApplySyntaxTheme === 'function') {
+            igniteApplySyntaxTheme();
+        }
+    }
+}
+
+window.themeManager = new ThemeManager();
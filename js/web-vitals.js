@@ -0,0 +1,462 @@
+//
+//  web-vitals.js
+//  Measures Core Web Vitals (LCP, INP, CLS) plus FCP and TTFB and reports them to sinks
+//
+//  Configure with WEB_VITALS_SETTINGS below or data- attributes on <html>:
+//    data-vitals-endpoint="https://..."   where the beacon sink POSTs metrics
+//    data-vitals-debug                    also logs every metric to the console
+//
+//  Each metric is { name, value, delta, rating, id, navigationType, attribution, final }.
+//  LCP, CLS and INP keep changing while the page is open; they are final once the page is
+//  hidden (or, for LCP, once the visitor first interacts), and only final values reach the
+//  sinks unless reportAllChanges is set. Add ?vitals to a URL to show a live overlay.
+//
+
+const WEB_VITALS_SETTINGS = {
+    sinks: ['beacon'],          // plus 'console' with data-vitals-debug
+    endpoint: null,             // beacon sink stays idle until this is set
+    reportAllChanges: false,
+    overlayParam: 'vitals'
+};
+
+// [good, poor] boundaries from web.dev; values in between "need improvement"
+const WEB_VITALS_THRESHOLDS = {
+    LCP: [2500, 4000],
+    INP: [200, 500],
+    CLS: [0.1, 0.25],
+    FCP: [1800, 3000],
+    TTFB: [800, 1800]
+};
+
+function rateMetric(name, value) {
+    const [good, poor] = WEB_VITALS_THRESHOLDS[name];
+    if (value <= good) return 'good';
+    return value <= poor ? 'needs-improvement' : 'poor';
+}
+
+function formatMetric(name, value) {
+    return name === 'CLS' ? value.toFixed(3) : `${Math.round(value)} ms`;
+}
+
+// Short CSS path such as "main > div.projects-grid > div.project-card", enough to find the element
+function selectorFor(node) {
+    const parts = [];
+    while (node && node.nodeType === Node.ELEMENT_NODE && parts.length < 4) {
+        let part = node.tagName.toLowerCase();
+        if (node.id) {
+            parts.unshift(`${part}#${node.id}`);
+            break;
+        }
+        if (node.classList.length > 0) part += `.${node.classList[0]}`;
+        parts.unshift(part);
+        if (part === 'body') break;
+        node = node.parentElement;
+    }
+    return parts.join(' > ');
+}
+
+// SECTION: Sinks
+
+class ConsoleVitalsSink {
+    send(metric) {
+        console.log(`Web Vitals ${metric.name}: ${formatMetric(metric.name, metric.value)} (${metric.rating})`, metric.attribution);
+    }
+}
+
+// Queues final metrics and sends them in one beacon when the page is hidden
+class BeaconVitalsSink {
+    constructor(settings) {
+        this.endpoint = settings.endpoint;
+        this.queue = [];
+    }
+
+    send(metric) {
+        if (this.endpoint) this.queue.push(metric);
+    }
+
+    flush() {
+        if (!this.endpoint || this.queue.length === 0) return;
+
+        // Path only: query strings can carry personal data
+        const body = JSON.stringify({ page: window.location.pathname, metrics: this.queue.splice(0) });
+        const type = 'text/plain;charset=UTF-8';
+        const queued = navigator.sendBeacon && navigator.sendBeacon(this.endpoint, new Blob([body], { type }));
+        if (!queued) {
+            fetch(this.endpoint, { method: 'POST', body, headers: { 'Content-Type': type }, keepalive: true })
+                .catch(() => {});
+        }
+    }
+}
+
+// On-page panel with every metric as it changes; `live` asks for non-final values too
+class VitalsOverlay {
+    constructor() {
+        this.live = true;
+        this.rows = new Map();
+
+        this.element = document.createElement('aside');
+        this.element.className = 'vitals-overlay';
+        this.element.setAttribute('aria-label', 'Web Vitals');
+
+        const title = document.createElement('strong');
+        title.className = 'vitals-overlay-title';
+        title.textContent = 'Web Vitals';
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'vitals-overlay-close';
+        close.setAttribute('aria-label', 'Hide Web Vitals');
+        close.textContent = '×';
+        close.addEventListener('click', () => this.element.remove());
+
+        this.list = document.createElement('dl');
+        this.element.append(title, close, this.list);
+        Object.keys(WEB_VITALS_THRESHOLDS).forEach(name => this.row(name));
+
+        const attach = () => document.body.appendChild(this.element);
+        if (document.body) attach();
+        else document.addEventListener('DOMContentLoaded', attach);
+    }
+
+    row(name) {
+        if (!this.rows.has(name)) {
+            const term = document.createElement('dt');
+            term.textContent = name;
+            const value = document.createElement('dd');
+            value.className = 'vitals-overlay-value';
+            value.textContent = '…';
+            const detail = document.createElement('dd');
+            detail.className = 'vitals-overlay-detail';
+            this.list.append(term, value, detail);
+            this.rows.set(name, { value, detail });
+        }
+        return this.rows.get(name);
+    }
+
+    send(metric) {
+        const { value, detail } = this.row(metric.name);
+        value.textContent = `${formatMetric(metric.name, metric.value)}${metric.final ? '' : ' …'}`;
+        value.dataset.rating = metric.rating;
+
+        const attribution = metric.attribution;
+        detail.textContent = attribution.element || attribution.target || attribution.url || '';
+        detail.title = JSON.stringify(attribution, null, 2);
+    }
+}
+
+const WEB_VITALS_SINKS = {
+    console: ConsoleVitalsSink,
+    beacon: BeaconVitalsSink
+};
+
+// SECTION: Collector
+
+class WebVitals {
+    constructor(settings = WEB_VITALS_SETTINGS) {
+        this.settings = settings;
+        this.sinks = settings.sinks
+            .filter(name => {
+                if (WEB_VITALS_SINKS[name]) return true;
+                console.warn(`Unknown Web Vitals sink "${name}"`);
+                return false;
+            })
+            .map(name => new WEB_VITALS_SINKS[name](settings));
+
+        this.navigation = performance.getEntriesByType('navigation')[0] || null;
+        this.activationStart = (this.navigation && this.navigation.activationStart) || 0;
+        // Metrics only count while the page was visible; a background tab paints whenever it likes
+        this.firstHiddenTime = document.visibilityState === 'hidden' ? 0 : Infinity;
+        this.pageID = `v1-${Date.now()}-${Math.floor(Math.random() * 1e12)}`;
+        this.lastReported = {};
+        this.observers = [];
+
+        this.init();
+    }
+
+    // data- attributes on <html> override the matching settings, ?vitals turns on the overlay
+    static fromDocument(root = document.documentElement, settings = WEB_VITALS_SETTINGS) {
+        const merged = { ...settings };
+        if (root.dataset.vitalsEndpoint) merged.endpoint = root.dataset.vitalsEndpoint;
+        const debug = root.dataset.vitalsDebug;
+        if (debug !== undefined && debug !== 'false' && !merged.sinks.includes('console')) {
+            merged.sinks = [...merged.sinks, 'console'];
+        }
+
+        const vitals = new WebVitals(merged);
+        const param = new URLSearchParams(window.location.search).get(merged.overlayParam);
+        if (param !== null && param !== '0' && param !== 'false') vitals.addSink(new VitalsOverlay());
+        return vitals;
+    }
+
+    init() {
+        if (!('PerformanceObserver' in window)) return;
+
+        this.observeTTFB();
+        this.observeFCP();
+        this.observeLCP();
+        this.observeCLS();
+        this.observeINP();
+
+        // Capture phase, so this runs before other listeners that might still change the layout
+        document.addEventListener('visibilitychange', (event) => {
+            if (document.visibilityState !== 'hidden') return;
+            this.firstHiddenTime = Math.min(this.firstHiddenTime, event.timeStamp);
+            this.finalize();
+        }, true);
+        window.addEventListener('pagehide', () => this.finalize(), true);
+    }
+
+    addSink(sink) {
+        this.sinks.push(sink);
+        // Catch up a sink added late, e.g. the overlay, on what has been measured so far
+        Object.values(this.lastReported).forEach(metric => sink.send(metric));
+    }
+
+    // Unsupported entry types throw in some browsers and are silently ignored in others
+    observe(type, callback, options = {}) {
+        try {
+            if (!PerformanceObserver.supportedEntryTypes.includes(type)) return null;
+            const observer = new PerformanceObserver(list => callback(list.getEntries()));
+            observer.observe({ type, buffered: true, ...options });
+            this.observers.push({ observer, callback });
+            return observer;
+        } catch {
+            return null;
+        }
+    }
+
+    report(name, value, attribution, final) {
+        const previous = this.lastReported[name];
+        if (previous && previous.final && previous.value === value) return;
+
+        const metric = {
+            name,
+            value,
+            delta: value - (previous && previous.final ? previous.value : 0),
+            rating: rateMetric(name, value),
+            id: `${this.pageID}-${name}`,
+            navigationType: this.navigation ? this.navigation.type : 'navigate',
+            attribution,
+            final
+        };
+        // Intermediate values don't move the baseline the next final delta is measured from
+        if (final || !previous || !previous.final) this.lastReported[name] = metric;
+
+        this.sinks.forEach(sink => {
+            if (!final && !sink.live && !this.settings.reportAllChanges) return;
+            try {
+                sink.send(metric);
+            } catch (error) {
+                console.warn('Web Vitals sink failed:', error);
+            }
+        });
+    }
+
+    // Reads what the observers haven't delivered yet, reports final values and sends the beacons
+    finalize() {
+        this.observers.forEach(({ observer, callback }) => {
+            const pending = observer.takeRecords();
+            if (pending.length > 0) callback(pending);
+        });
+
+        this.finalizeLCP();
+        if (this.cls) this.report('CLS', this.cls.value, this.clsAttribution(), true);
+        if (this.longestInteractions && this.longestInteractions.length > 0) this.reportINP(true);
+
+        this.sinks.forEach(sink => {
+            if (typeof sink.flush === 'function') sink.flush();
+        });
+    }
+
+    // SECTION: TTFB and FCP
+
+    observeTTFB() {
+        const nav = this.navigation;
+        if (!nav || nav.responseStart <= 0) return;
+
+        this.report('TTFB', Math.max(nav.responseStart - this.activationStart, 0), {
+            waitingTime: Math.max(nav.domainLookupStart - this.activationStart, 0),
+            dnsTime: nav.domainLookupEnd - nav.domainLookupStart,
+            connectionTime: nav.connectEnd - nav.connectStart,
+            requestTime: nav.responseStart - nav.requestStart
+        }, true);
+    }
+
+    observeFCP() {
+        const observer = this.observe('paint', entries => {
+            const entry = entries.find(item => item.name === 'first-contentful-paint');
+            if (!entry) return;
+            observer && observer.disconnect();
+            if (entry.startTime >= this.firstHiddenTime) return;
+
+            const ttfb = this.navigation ? Math.max(this.navigation.responseStart - this.activationStart, 0) : 0;
+            const value = Math.max(entry.startTime - this.activationStart, 0);
+            this.report('FCP', value, {
+                timeToFirstByte: ttfb,
+                firstByteToFCP: value - ttfb,
+                loadState: document.readyState
+            }, true);
+        });
+    }
+
+    // SECTION: LCP
+
+    observeLCP() {
+        this.lcpEntry = null;
+        this.lcpFinal = false;
+
+        this.lcpObserver = this.observe('largest-contentful-paint', entries => {
+            if (this.lcpFinal) return;
+            entries.forEach(entry => {
+                if (entry.startTime < this.firstHiddenTime) this.lcpEntry = entry;
+            });
+            if (this.lcpEntry) this.report('LCP', this.lcpValue(), this.lcpAttribution(), false);
+        });
+        if (!this.lcpObserver) return;
+
+        // The browser stops looking for larger paints once the visitor interacts
+        const stop = () => {
+            setTimeout(() => this.finalizeLCP(), 0);
+        };
+        ['keydown', 'click'].forEach(type => {
+            document.addEventListener(type, stop, { once: true, capture: true });
+        });
+    }
+
+    lcpValue() {
+        return Math.max(this.lcpEntry.startTime - this.activationStart, 0);
+    }
+
+    lcpAttribution() {
+        const entry = this.lcpEntry;
+        const resource = entry.url
+            ? performance.getEntriesByType('resource').find(item => item.name === entry.url)
+            : null;
+        const ttfb = this.navigation ? Math.max(this.navigation.responseStart - this.activationStart, 0) : 0;
+        const lcp = this.lcpValue();
+
+        const attribution = {
+            element: entry.element ? selectorFor(entry.element) : (entry.id ? `#${entry.id}` : ''),
+            url: entry.url || '',
+            size: entry.size,
+            timeToFirstByte: ttfb
+        };
+        // Where the time went for an image LCP: finding it, downloading it, then painting it
+        if (resource) {
+            const loadStart = Math.max(resource.requestStart || resource.startTime, this.activationStart) - this.activationStart;
+            const loadEnd = Math.max(resource.responseEnd - this.activationStart, loadStart);
+            attribution.resourceLoadDelay = Math.max(loadStart - ttfb, 0);
+            attribution.resourceLoadDuration = loadEnd - loadStart;
+            attribution.elementRenderDelay = Math.max(lcp - loadEnd, 0);
+        } else {
+            attribution.elementRenderDelay = Math.max(lcp - ttfb, 0);
+        }
+        return attribution;
+    }
+
+    finalizeLCP() {
+        if (this.lcpFinal || !this.lcpObserver) return;
+        const pending = this.lcpObserver.takeRecords();
+        pending.forEach(entry => {
+            if (entry.startTime < this.firstHiddenTime) this.lcpEntry = entry;
+        });
+
+        this.lcpFinal = true;
+        this.lcpObserver.disconnect();
+        if (this.lcpEntry) this.report('LCP', this.lcpValue(), this.lcpAttribution(), true);
+    }
+
+    // SECTION: CLS
+
+    // CLS is the worst session window: shifts less than 1s apart, at most 5s in total
+    observeCLS() {
+        let sessionValue = 0;
+        let sessionEntries = [];
+
+        const observer = this.observe('layout-shift', entries => {
+            entries.forEach(entry => {
+                // Shifts right after input are expected (the visitor caused them)
+                if (entry.hadRecentInput) return;
+
+                const first = sessionEntries[0];
+                const last = sessionEntries[sessionEntries.length - 1];
+                if (sessionValue && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+                    sessionValue += entry.value;
+                    sessionEntries.push(entry);
+                } else {
+                    sessionValue = entry.value;
+                    sessionEntries = [entry];
+                }
+
+                if (sessionValue > this.cls.value) {
+                    this.cls = { value: sessionValue, entries: sessionEntries.slice() };
+                    this.report('CLS', this.cls.value, this.clsAttribution(), false);
+                }
+            });
+        });
+        if (observer) this.cls = { value: 0, entries: [] };
+    }
+
+    clsAttribution() {
+        if (this.cls.entries.length === 0) return {};
+        const largest = this.cls.entries.reduce((a, b) => (b.value > a.value ? b : a));
+        const source = (largest.sources || []).find(item => item.node && item.node.nodeType === Node.ELEMENT_NODE);
+        return {
+            element: source ? selectorFor(source.node) : '',
+            largestShiftValue: largest.value,
+            largestShiftTime: largest.startTime,
+            shifts: this.cls.entries.length,
+            loadState: document.readyState
+        };
+    }
+
+    // SECTION: INP
+
+    // INP is roughly the 98th-percentile interaction: the slowest, ignoring one in every 50
+    observeINP() {
+        this.interactions = new Map();
+        this.longestInteractions = [];
+
+        const handle = entries => {
+            entries.forEach(entry => {
+                if (!entry.interactionId) return;
+
+                const existing = this.interactions.get(entry.interactionId);
+                if (existing && existing.duration >= entry.duration) return;
+                this.interactions.set(entry.interactionId, entry);
+
+                this.longestInteractions = this.longestInteractions
+                    .filter(item => item.interactionId !== entry.interactionId)
+                    .concat(entry)
+                    .sort((a, b) => b.duration - a.duration)
+                    .slice(0, 10);
+            });
+
+            if (this.longestInteractions.length > 0) this.reportINP(false);
+        };
+
+        // 40ms keeps quick taps out; first-input fills in the first interaction if it was faster
+        if (this.observe('event', handle, { durationThreshold: 40 })) {
+            this.observe('first-input', handle);
+        }
+    }
+
+    reportINP(final) {
+        const count = performance.interactionCount || this.interactions.size;
+        const index = Math.min(this.longestInteractions.length - 1, Math.floor(count / 50));
+        const entry = this.longestInteractions[index];
+        const processingStart = entry.processingStart || entry.startTime;
+        const processingEnd = entry.processingEnd || processingStart;
+
+        this.report('INP', entry.duration, {
+            target: entry.target ? selectorFor(entry.target) : '',
+            type: entry.name,
+            inputDelay: processingStart - entry.startTime,
+            processingDuration: processingEnd - processingStart,
+            presentationDelay: Math.max(entry.startTime + entry.duration - processingEnd, 0),
+            loadState: document.readyState
+        }, final);
+    }
+}
+
+window.webVitals = WebVitals.fromDocument();
@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+//
+//  build-csp.js
+//  Generates the site's Content Security Policy and checks that nothing inline creeps back in
+//
+//  Usage:
+//    node scripts/build-csp.js            writes the policy into each page's CSP <meta>
+//    node scripts/build-csp.js --check    exits 1 on inline scripts/styles or an out-of-date policy
+//    node scripts/build-csp.js --print    prints the header and <meta> values without writing
+//
+//  The pages carry the policy as <meta http-equiv>; hosts that can set headers should send
+//  the --print header value instead, which adds the header-only directives.
+//
+//  style-src is 'self' plus the stylesheet CDNs, with nothing inline: style="" attributes,
+//  in the pages or in markup from JavaScript, fail --check. Give the element a class in
+//  css/portfolio.css instead (a Bootstrap utility where one fits).
+//
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { SITE_ROOT, listPages } = require('./lib/site');
+
+// Pages that aren't an index.html but are served as documents
+const EXTRA_PAGES = ['offline.html'];
+
+// Origins the runtime fetches from: GitHubIntegration, MediumIntegration
+const CONNECT_SOURCES = ['https://api.github.com', 'https://medium.com'];
+
+// Where each contact backend sends messages (contact-delivery.js)
+const BACKEND_CONNECT_SOURCES = {
+    emailjs: ['https://api.emailjs.com']
+};
+
+const BASE_POLICY = {
+    'default-src': ["'self'"],
+    'script-src': ["'self'"],
+    'style-src': ["'self'"],
+    // Post thumbnails come from whichever host the feed links; Bootstrap uses data: SVGs
+    'img-src': ["'self'", 'data:', 'https:'],
+    'font-src': ["'self'"],
+    'connect-src': ["'self'"],
+    'manifest-src': ["'self'"],
+    'worker-src': ["'self'"],
+    'object-src': ["'none'"],
+    'base-uri': ["'self'"],
+    'form-action': ["'self'"]
+};
+
+// Ignored in <meta>, so only part of the header value
+const HEADER_ONLY_POLICY = {
+    'frame-ancestors': ["'none'"]
+};
+
+const META_PATTERN = /[ \t]*<meta http-equiv="Content-Security-Policy" content="[^"]*" \/>\n/;
+
+function parseArgs(argv) {
+    const options = { mode: 'write' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--check': options.mode = 'check'; break;
+            case '--print': options.mode = 'print'; break;
+            default: throw new Error(`Unknown option ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function readPages(root = SITE_ROOT) {
+    const pages = listPages(root).map(page => ({ file: page.file, html: page.html }));
+    EXTRA_PAGES.forEach(name => {
+        const file = path.join(root, name);
+        if (fs.existsSync(file)) pages.push({ file, html: fs.readFileSync(file, 'utf8') });
+    });
+    return pages;
+}
+
+function listScripts(root = SITE_ROOT) {
+    const dir = path.join(root, 'js');
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.js') && !name.endsWith('.min.js'))
+        .map(name => path.join(dir, name))
+        .concat(path.join(root, 'sw.js'));
+}
+
+// Hosts of <link rel="stylesheet"> and <script src> tags that point off-site
+function readExternalOrigins(pages) {
+    const styles = new Set();
+    const scripts = new Set();
+    pages.forEach(page => {
+        for (const [tag] of page.html.matchAll(/<link\b[^>]*>/g)) {
+            const href = (tag.match(/\shref="(https?:\/\/[^"]+)"/) || [])[1];
+            if (href && /\srel="stylesheet"/.test(tag)) styles.add(new URL(href).origin);
+        }
+        for (const [, src] of page.html.matchAll(/<script\b[^>]*\ssrc="(https?:\/\/[^"]+)"/g)) {
+            scripts.add(new URL(src).origin);
+        }
+    });
+    return { styles: Array.from(styles), scripts: Array.from(scripts) };
+}
+
+// Evaluates just the `const NAME = { ... };` literal, not the browser code around it
+function readSettings(file, name) {
+    const code = fs.readFileSync(file, 'utf8');
+    const match = code.match(new RegExp(`^const ${name} = (\\{[\\s\\S]*?\\n\\});`, 'm'));
+    if (!match) throw new Error(`${name} not found in ${path.basename(file)}`);
+    return vm.runInNewContext(`(${match[1]})`, {});
+}
+
+// Beacon endpoints: the setting in each file, or a page's <html data-...-endpoint> override
+const REPORTING_SETTINGS = [
+    { file: 'error-tracker.js', name: 'ERROR_REPORTING_SETTINGS', attribute: 'data-error-endpoint' },
+    { file: 'web-vitals.js', name: 'WEB_VITALS_SETTINGS', attribute: 'data-vitals-endpoint' }
+];
+
+function readReportingEndpoints(pages, root = SITE_ROOT) {
+    const endpoints = new Set();
+    REPORTING_SETTINGS.forEach(({ file, name, attribute }) => {
+        const settings = readSettings(path.join(root, 'js', file), name);
+        if (settings.endpoint) endpoints.add(new URL(settings.endpoint).origin);
+        pages.forEach(page => {
+            const endpoint = (page.html.match(new RegExp(`<html\\b[^>]*\\s${attribute}="([^"]+)"`)) || [])[1];
+            if (endpoint) endpoints.add(new URL(endpoint).origin);
+        });
+    });
+    return Array.from(endpoints);
+}
+
+// form#contact-form can pick its own backends and webhook; see ContactDelivery.fromForm
+function readContactForms(pages) {
+    const forms = [];
+    pages.forEach(page => {
+        for (const [tag] of page.html.matchAll(/<form\b[^>]*>/g)) {
+            if (!/\sid="contact-form"/.test(tag)) continue;
+            const attribute = name => (tag.match(new RegExp(`\\s${name}="([^"]+)"`)) || [])[1];
+            forms.push({ backends: attribute('data-backends'), endpoint: attribute('data-endpoint') });
+        }
+    });
+    return forms;
+}
+
+function buildPolicy(root = SITE_ROOT) {
+    const pages = readPages(root);
+    const policy = {};
+    Object.entries(BASE_POLICY).forEach(([directive, sources]) => {
+        policy[directive] = [...sources];
+    });
+    const add = (directive, sources) => {
+        sources.forEach(source => {
+            if (!policy[directive].includes(source)) policy[directive].push(source);
+        });
+    };
+
+    // Icon fonts come from the same CDN as their stylesheet
+    const external = readExternalOrigins(pages);
+    add('style-src', external.styles);
+    add('font-src', external.styles);
+    add('script-src', external.scripts);
+
+    add('connect-src', CONNECT_SOURCES);
+    add('connect-src', readReportingEndpoints(pages, root));
+    const contact = readSettings(path.join(root, 'js', 'contact-delivery.js'), 'CONTACT_DELIVERY_SETTINGS');
+    const deliveries = [{ backends: contact.backends, endpoint: contact.webhook.url }];
+    readContactForms(pages).forEach(form => deliveries.push({
+        backends: form.backends ? form.backends.split(/[\s,]+/).filter(Boolean) : contact.backends,
+        endpoint: form.endpoint || contact.webhook.url
+    }));
+    deliveries.forEach(({ backends, endpoint }) => {
+        backends.forEach(backend => {
+            add('connect-src', BACKEND_CONNECT_SOURCES[backend] || []);
+            if (backend === 'emailjs' && contact.emailjs.sdkUrl) add('script-src', [new URL(contact.emailjs.sdkUrl).origin]);
+            if (backend === 'webhook' && endpoint) add('connect-src', [new URL(endpoint).origin]);
+        });
+    });
+
+    return policy;
+}
+
+function serialize(policy) {
+    return Object.entries(policy)
+        .map(([directive, sources]) => `${directive} ${sources.join(' ')}`)
+        .join('; ');
+}
+
+function buildMeta(policy) {
+    return `<meta http-equiv="Content-Security-Policy" content="${serialize(policy)}" />`;
+}
+
+function buildHeader(policy) {
+    return serialize({ ...policy, ...HEADER_ONLY_POLICY });
+}
+
+// The policy must come before any script or stylesheet it governs, so it sits right after charset
+function writeMeta(html, meta) {
+    const existing = html.match(META_PATTERN);
+    if (existing) return html.replace(META_PATTERN, `${existing[0].match(/^[ \t]*/)[0]}${meta}\n`);
+
+    const charset = html.match(/([ \t]*)<meta charset="[^"]*" \/>\n/);
+    if (!charset) throw new Error('No <meta charset> to place the policy after');
+    return html.replace(charset[0], `${charset[0]}${charset[1]}${meta}\n`);
+}
+
+function lineOf(text, index) {
+    return text.slice(0, index).split('\n').length;
+}
+
+function findPatterns(file, text, rules) {
+    const problems = [];
+    rules.forEach(({ pattern, message }) => {
+        for (const match of text.matchAll(pattern)) {
+            problems.push(`${path.relative(SITE_ROOT, file)}:${lineOf(text, match.index)}  ${message}`);
+        }
+    });
+    return problems;
+}
+
+const PAGE_RULES = [
+    { pattern: /<script\b(?![^>]*\ssrc=)(?![^>]*\stype="application\/(?:ld\+)?json")[^>]*>/g, message: 'inline <script>' },
+    { pattern: /<style\b/g, message: 'inline <style> element' },
+    { pattern: /<[^>]*\sstyle="/g, message: 'style attribute; use a class in css/portfolio.css' },
+    { pattern: /<[^>]*\son[a-z]+="/g, message: 'inline event handler attribute' },
+    { pattern: /\s(?:href|src|action)="\s*javascript:/gi, message: 'javascript: URL' }
+];
+
+// Markup built in JavaScript, plus the APIs CSP blocks outright
+const SCRIPT_RULES = [
+    { pattern: /\sstyle=["'\\]/g, message: 'style attribute in generated markup; use a class' },
+    { pattern: /createElement\(\s*['"]style['"]\s*\)/g, message: '<style> element injected; put the rules in a stylesheet' },
+    { pattern: /setAttribute\(\s*['"]style['"]/g, message: 'style attribute set; use a class or element.style' },
+    { pattern: /<script\b/g, message: '<script> in generated markup; use loadScript()' },
+    { pattern: /\son[a-z]+=["'\\]/g, message: 'inline event handler in generated markup; use addEventListener' },
+    { pattern: /\beval\(|\bnew Function\(/g, message: 'eval() needs unsafe-eval' },
+    { pattern: /javascript:/gi, message: 'javascript: URL' }
+];
+
+function check(root, policy) {
+    const meta = buildMeta(policy);
+    const problems = [];
+
+    readPages(root).forEach(page => {
+        problems.push(...findPatterns(page.file, page.html, PAGE_RULES));
+        const current = page.html.match(META_PATTERN);
+        if (!current || current[0].trim() !== meta) {
+            problems.push(`${path.relative(SITE_ROOT, page.file)}  CSP <meta> is missing or out of date; run node scripts/build-csp.js`);
+        }
+    });
+
+    listScripts(root).forEach(file => {
+        problems.push(...findPatterns(file, fs.readFileSync(file, 'utf8'), SCRIPT_RULES));
+    });
+
+    return problems;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const policy = buildPolicy();
+
+    if (options.mode === 'print') {
+        console.log(`Content-Security-Policy: ${buildHeader(policy)}\n`);
+        console.log(buildMeta(policy));
+        return;
+    }
+
+    if (options.mode === 'check') {
+        const problems = check(SITE_ROOT, policy);
+        problems.forEach(problem => console.error(problem));
+        if (problems.length > 0) {
+            throw new Error(`${problems.length} CSP problem${problems.length === 1 ? '' : 's'}`);
+        }
+        console.log('No inline scripts or styles outside the policy');
+        return;
+    }
+
+    const meta = buildMeta(policy);
+    readPages().forEach(page => {
+        const html = writeMeta(page.html, meta);
+        if (html === page.html) return;
+        fs.writeFileSync(page.file, html);
+        console.log(`Wrote ${path.relative(process.cwd(), page.file)}`);
+    });
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { buildPolicy, buildHeader, buildMeta, check };
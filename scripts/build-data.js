@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+//
+//  build-data.js
+//  Writes the GitHub and Medium snapshots the site loads before (optionally) going live
+//
+//  Usage:
+//    node scripts/build-data.js                          # live APIs, writes ./data
+//    node scripts/build-data.js --fixtures scripts/fixtures --out /tmp/data
+//
+//  Options:
+//    --fixtures <dir>   Answer requests from <dir>/index.json instead of the network
+//    --out <dir>        Output directory (default: data/ at the site root)
+//    --github <user>    GitHub username (default: iosdevpriyank)
+//    --medium <user>    Medium username (default: @priyankgandhi)
+//    --no-enrich        Skip the per-repo /languages and /releases/latest requests
+//
+//  GITHUB_TOKEN, when set, is sent as a bearer token to raise the API quota.
+//
+//  .github/workflows/pages.yml runs this on every deploy; data/ itself isn't committed.
+//  A source that fails (an outage, a rate limit) doesn't fail the deploy: the snapshot
+//  already published for it is kept, or an empty one is written, which the pages skip
+//  in favour of the live APIs.
+//
+
+const fs = require('fs');
+const path = require('path');
+const { fetchRepositories, fetchUser } = require('./lib/github');
+const { parseFeed, normalizePost } = require('./lib/feed');
+const { SITE_URL } = require('./lib/site');
+
+const SNAPSHOT_VERSION = 1;
+const SITE_ROOT = path.resolve(__dirname, '..');
+
+function parseArgs(argv) {
+    const options = {
+        fixtures: null,
+        out: path.join(SITE_ROOT, 'data'),
+        github: 'iosdevpriyank',
+        medium: '@priyankgandhi',
+        enrich: true
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--fixtures': options.fixtures = path.resolve(argv[++i]); break;
+            case '--out': options.out = path.resolve(argv[++i]); break;
+            case '--github': options.github = argv[++i]; break;
+            case '--medium': options.medium = argv[++i]; break;
+            case '--no-enrich': options.enrich = false; break;
+            default: throw new Error(`Unknown option ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function createNetworkTransport() {
+    const headers = { 'User-Agent': 'iosdevpriyank.github.io snapshot builder' };
+    if (process.env.GITHUB_TOKEN) headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+
+    return url => fetch(url, { headers: url.startsWith('https://api.github.com/') ? headers : {} });
+}
+
+// index.json maps request URLs to { file, status?, headers? }; anything unlisted is a 404
+function createFixtureTransport(dir) {
+    const index = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8'));
+
+    return async url => {
+        const fixture = index[url];
+        if (!fixture) {
+            return { status: 404, headers: { get: () => null }, json: async () => null, text: async () => '' };
+        }
+
+        const body = fs.readFileSync(path.join(dir, fixture.file), 'utf8');
+        const headers = fixture.headers || {};
+        return {
+            status: fixture.status || 200,
+            headers: { get: name => headers[name] ?? null },
+            json: async () => JSON.parse(body),
+            text: async () => body
+        };
+    };
+}
+
+async function buildRepos(transport, options) {
+    const [user, repos] = await Promise.all([
+        fetchUser(transport, options.github),
+        fetchRepositories(transport, options.github, { enrich: options.enrich })
+    ]);
+
+    return {
+        version: SNAPSHOT_VERSION,
+        generatedAt: new Date().toISOString(),
+        source: 'github',
+        username: options.github,
+        stats: {
+            publicRepos: user ? user.public_repos : repos.length,
+            followers: user ? user.followers : 0,
+            stars: repos.reduce((sum, repo) => sum + repo.stargazers_count, 0),
+            forks: repos.reduce((sum, repo) => sum + repo.forks_count, 0)
+        },
+        items: repos
+    };
+}
+
+async function buildPosts(transport, options) {
+    const feedUrl = `https://medium.com/feed/${options.medium}`;
+    const response = await transport(feedUrl);
+    if (response.status !== 200) throw new Error(`HTTP ${response.status} for ${feedUrl}`);
+
+    const feed = parseFeed(await response.text());
+    return {
+        version: SNAPSHOT_VERSION,
+        generatedAt: new Date().toISOString(),
+        source: 'medium',
+        feedUrl,
+        title: feed.title,
+        items: feed.items
+            .map(normalizePost)
+            .sort((a, b) => (b.pubDate || '').localeCompare(a.pubDate || ''))
+    };
+}
+
+const SNAPSHOTS = [
+    { name: 'repos.json', source: 'github', build: buildRepos },
+    { name: 'posts.json', source: 'medium', build: buildPosts }
+];
+
+// What the live site serves now, if it's a snapshot this version of the site can read
+async function fetchPublishedSnapshot(transport, name, source) {
+    try {
+        const response = await transport(`${SITE_URL}/data/${name}`);
+        if (response.status !== 200) return null;
+
+        const snapshot = await response.json();
+        const valid = snapshot && snapshot.version === SNAPSHOT_VERSION && snapshot.source === source
+            && Array.isArray(snapshot.items);
+        return valid ? snapshot : null;
+    } catch {
+        return null;
+    }
+}
+
+// Resolves to { 'repos.json': snapshot, 'posts.json': snapshot } whatever the sources do
+async function buildSnapshots(transport, options) {
+    const entries = await Promise.all(SNAPSHOTS.map(async ({ name, source, build }) => {
+        try {
+            return [name, await build(transport, options)];
+        } catch (error) {
+            console.warn(`Could not build ${name}: ${error.message}`);
+        }
+
+        const published = await fetchPublishedSnapshot(transport, name, source);
+        if (published) {
+            console.warn(`Keeping the published ${name} from ${published.generatedAt}`);
+            return [name, published];
+        }
+
+        console.warn(`No published ${name} to keep; writing an empty one`);
+        return [name, { version: SNAPSHOT_VERSION, generatedAt: new Date().toISOString(), source, items: [] }];
+    }));
+    return Object.fromEntries(entries);
+}
+
+function writeSnapshot(dir, name, snapshot) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(snapshot, null, 2) + '\n');
+    console.log(`Wrote ${path.relative(process.cwd(), file)} (${snapshot.items.length} items)`);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const transport = options.fixtures
+        ? createFixtureTransport(options.fixtures)
+        : createNetworkTransport();
+
+    const snapshots = await buildSnapshots(transport, options);
+    Object.entries(snapshots).forEach(([name, snapshot]) => writeSnapshot(options.out, name, snapshot));
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { buildRepos, buildPosts, buildSnapshots, createFixtureTransport, SNAPSHOT_VERSION };
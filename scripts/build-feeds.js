@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+//
+//  build-feeds.js
+//  Generates feed.rss, atom.xml, feed.json and sitemap.xml from the /data snapshots
+//
+//  Usage:
+//    node scripts/build-data.js && node scripts/build-feeds.js
+//
+//  Options:
+//    --data <dir>   Snapshot directory (default: data/ at the site root)
+//    --out <dir>    Where to write the feeds and sitemap (default: the site root)
+//    --limit <n>    Maximum number of posts per feed (default: 20)
+//
+//  Every output is checked against its specification (lib/feed-schema.js) before anything
+//  is written, so a broken feed never ships. .github/workflows/pages.yml runs this on every
+//  deploy; the outputs aren't committed.
+//
+
+const fs = require('fs');
+const path = require('path');
+const { escapeXml } = require('./lib/xml');
+const { validateRSS, validateAtom, validateJSONFeed, validateSitemap } = require('./lib/feed-schema');
+const { SITE_ROOT, SITE_URL, readSiteMetadata, listPages, lastModified, readJSON } = require('./lib/site');
+
+function parseArgs(argv) {
+    const options = {
+        data: path.join(SITE_ROOT, 'data'),
+        out: SITE_ROOT,
+        limit: 20
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--data': options.data = path.resolve(argv[++i]); break;
+            case '--out': options.out = path.resolve(argv[++i]); break;
+            case '--limit': options.limit = parseInt(argv[++i], 10); break;
+            default: throw new Error(`Unknown option ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function cdata(value) {
+    return `<![CDATA[${String(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function element(name, value, attributes = '') {
+    if (value === null || value === undefined || value === '') return '';
+    return `<${name}${attributes}>${escapeXml(value)}</${name}>`;
+}
+
+function latestDate(posts, fallback) {
+    const dates = posts.map(post => post.pubDate).filter(Boolean).sort();
+    return dates.length > 0 ? new Date(dates[dates.length - 1]) : fallback;
+}
+
+// SECTION: RSS 2.0
+
+function buildRSS(site, posts, updated) {
+    const items = posts.map(post => [
+        '<item>',
+        element('title', post.title),
+        element('link', post.link),
+        element('guid', post.link, ' isPermaLink="true"'),
+        post.pubDate ? element('pubDate', new Date(post.pubDate).toUTCString()) : '',
+        element('dc:creator', post.author || site.author),
+        ...post.categories.map(category => element('category', category)),
+        element('description', post.description),
+        post.content ? `<content:encoded>${cdata(post.content)}</content:encoded>` : '',
+        post.thumbnail ? `<enclosure url="${escapeXml(post.thumbnail)}" length="0" type="${imageType(post.thumbnail)}" />` : '',
+        '</item>'
+    ].filter(Boolean).join(''));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8" ?>',
+        '<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+        '<channel>',
+        element('title', site.name),
+        element('description', site.description),
+        element('link', site.url),
+        `<atom:link href="${site.url}/feed.rss" rel="self" type="application/rss+xml" />`,
+        element('language', site.language),
+        element('lastBuildDate', updated.toUTCString()),
+        element('generator', 'scripts/build-feeds.js'),
+        ...items,
+        '</channel>',
+        '</rss>'
+    ].join('') + '\n';
+}
+
+function imageType(url) {
+    const extension = (url.split('?')[0].match(/\.(\w+)$/) || [])[1];
+    const types = { jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml' };
+    return types[(extension || '').toLowerCase()] || 'image/png';
+}
+
+// SECTION: Atom 1.0
+
+function buildAtom(site, posts, updated) {
+    const entries = posts.map(post => {
+        const date = post.pubDate ? new Date(post.pubDate).toISOString() : updated.toISOString();
+        return [
+            '<entry>',
+            element('id', post.link),
+            element('title', post.title),
+            `<link rel="alternate" type="text/html" href="${escapeXml(post.link)}" />`,
+            element('published', date),
+            element('updated', date),
+            `<author>${element('name', post.author || site.author)}</author>`,
+            ...post.categories.map(category => `<category term="${escapeXml(category)}" />`),
+            element('summary', post.description),
+            post.content ? element('content', post.content, ' type="html"') : '',
+            '</entry>'
+        ].filter(Boolean).join('');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8" ?>',
+        `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(site.language)}">`,
+        element('id', `${site.url}/`),
+        element('title', site.name),
+        element('subtitle', site.description),
+        element('updated', updated.toISOString()),
+        `<link rel="alternate" type="text/html" href="${site.url}/" />`,
+        `<link rel="self" type="application/atom+xml" href="${site.url}/atom.xml" />`,
+        `<author>${element('name', site.author)}</author>`,
+        element('generator', 'scripts/build-feeds.js'),
+        ...entries,
+        '</feed>'
+    ].join('') + '\n';
+}
+
+// SECTION: JSON Feed 1.1
+
+function buildJSONFeed(site, posts) {
+    const feed = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: site.name,
+        home_page_url: `${site.url}/`,
+        feed_url: `${site.url}/feed.json`,
+        description: site.description,
+        language: site.language,
+        authors: [{ name: site.author }],
+        items: posts.map(post => {
+            const item = {
+                id: post.link,
+                url: post.link,
+                title: post.title,
+                summary: post.description,
+                tags: post.categories,
+                authors: [{ name: post.author || site.author }]
+            };
+            // JSON Feed requires one of content_html/content_text
+            if (post.content) {
+                item.content_html = post.content;
+            } else {
+                item.content_text = post.description;
+            }
+            if (post.thumbnail) item.image = post.thumbnail;
+            if (post.pubDate) item.date_published = new Date(post.pubDate).toISOString();
+            return item;
+        })
+    };
+
+    return JSON.stringify(feed, null, 2) + '\n';
+}
+
+// SECTION: Sitemap
+
+function buildSitemap(site, pages) {
+    const urls = pages.map(page => {
+        const depth = page.path === '/' ? 0 : page.path.split('/').length - 1;
+        const priority = page.priority || (depth === 0 ? '1.0' : depth === 1 ? '0.9' : '0.7');
+        return [
+            '<url>',
+            element('loc', `${site.url}${page.path}`),
+            element('lastmod', page.lastmod.toISOString().slice(0, 10)),
+            element('priority', priority),
+            '</url>'
+        ].join('');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls,
+        '</urlset>'
+    ].join('') + '\n';
+}
+
+function projectPages(site, repos) {
+    return repos
+        .filter(repo => repo.homepage && repo.homepage.startsWith(`${site.url}/`))
+        .map(repo => ({
+            path: new URL(repo.homepage).pathname.replace(/\/$/, ''),
+            lastmod: new Date(repo.pushed_at || repo.updated_at),
+            priority: '0.7'
+        }));
+}
+
+function validate(outputs) {
+    const problems = [
+        ...validateRSS(outputs['feed.rss']),
+        ...validateAtom(outputs['atom.xml']),
+        ...validateJSONFeed(outputs['feed.json']),
+        ...validateSitemap(outputs['sitemap.xml'], SITE_URL)
+    ];
+    if (problems.length > 0) {
+        throw new Error(`Generated feeds are invalid:\n  ${problems.join('\n  ')}`);
+    }
+}
+
+function write(dir, name, contents) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, contents);
+    console.log(`Wrote ${path.relative(process.cwd(), file) || name}`);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const site = readSiteMetadata();
+
+    const postsFile = path.join(options.data, 'posts.json');
+    if (!fs.existsSync(postsFile)) {
+        throw new Error(`${postsFile} not found; run scripts/build-data.js first`);
+    }
+
+    const posts = readJSON(postsFile).items.slice(0, options.limit);
+    const updated = latestDate(posts, new Date());
+    const pages = listPages().map(page => ({ ...page, lastmod: lastModified(page.file) }));
+
+    // Project sites published with GitHub Pages live under this domain too
+    const reposFile = path.join(options.data, 'repos.json');
+    if (fs.existsSync(reposFile)) {
+        pages.push(...projectPages(site, readJSON(reposFile).items));
+    }
+
+    const outputs = {
+        'feed.rss': buildRSS(site, posts, updated),
+        'atom.xml': buildAtom(site, posts, updated),
+        'feed.json': buildJSONFeed(site, posts),
+        'sitemap.xml': buildSitemap(site, pages)
+    };
+
+    validate(outputs);
+    Object.entries(outputs).forEach(([name, contents]) => write(options.out, name, contents));
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { buildRSS, buildAtom, buildJSONFeed, buildSitemap };
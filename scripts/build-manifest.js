@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+//
+//  build-manifest.js
+//  Generates manifest.webmanifest and the app icons from the page metadata and portfolio.css
+//
+//  Usage:
+//    node scripts/build-manifest.js
+//
+//  Options:
+//    --source <png>   Image the icons are cut from (default: images/profile_photo_circle.png)
+//    --out <dir>      Site root to write into (default: the site root); icons go to images/icons/
+//
+//  Re-run after changing og:site_name, the description or the --accent-primary/--bg-primary
+//  colors, and bump CACHE_VERSION in sw.js so installed copies pick the new files up.
+//
+
+const fs = require('fs');
+const path = require('path');
+const png = require('./lib/png');
+const { SITE_ROOT, readSiteMetadata } = require('./lib/site');
+
+const ICON_DIRECTORY = 'images/icons';
+const ICON_SIZES = [192, 512];
+const APPLE_TOUCH_ICON_SIZE = 180;
+
+// Maskable icons must keep their content inside the centre 80% circle
+const MASKABLE_SAFE_ZONE = 0.8;
+
+function parseArgs(argv) {
+    const options = {
+        source: path.join(SITE_ROOT, 'images', 'profile_photo_circle.png'),
+        out: SITE_ROOT
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--source': options.source = path.resolve(argv[++i]); break;
+            case '--out': options.out = path.resolve(argv[++i]); break;
+            default: throw new Error(`Unknown option ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+// Custom properties declared directly in the first block for `selector`
+function readCssVariables(css, selector) {
+    const start = css.indexOf(`${selector} {`);
+    if (start < 0) throw new Error(`${selector} not found in portfolio.css`);
+
+    const block = css.slice(start, css.indexOf('}', start));
+    const variables = {};
+    for (const [, name, value] of block.matchAll(/(--[\w-]+)\s*:\s*([^;]+);/g)) {
+        variables[name] = value.trim();
+    }
+    return variables;
+}
+
+function readThemeColors(root = SITE_ROOT) {
+    const css = fs.readFileSync(path.join(root, 'css', 'portfolio.css'), 'utf8');
+    const light = readCssVariables(css, ':root');
+    return {
+        theme: light['--accent-primary'],
+        background: light['--bg-primary']
+    };
+}
+
+function buildIcons(sourceFile, colors) {
+    const source = png.decodePng(fs.readFileSync(sourceFile));
+    const photo = png.crop(source, png.squareAround(source, png.contentBounds(source)));
+    const icons = [];
+
+    ICON_SIZES.forEach(size => {
+        icons.push({
+            name: `icon-${size}.png`,
+            size,
+            purpose: 'any',
+            image: png.circleMask(png.resize(photo, size))
+        });
+
+        const inner = Math.round(size * MASKABLE_SAFE_ZONE);
+        icons.push({
+            name: `maskable-${size}.png`,
+            size,
+            purpose: 'maskable',
+            image: png.compose(png.circleMask(png.resize(photo, inner)), size, png.parseHexColor(colors.theme))
+        });
+    });
+
+    // iOS ignores transparency and the manifest, so it gets its own opaque icon
+    icons.push({
+        name: 'apple-touch-icon.png',
+        size: APPLE_TOUCH_ICON_SIZE,
+        image: png.compose(png.resize(photo, APPLE_TOUCH_ICON_SIZE), APPLE_TOUCH_ICON_SIZE, png.parseHexColor(colors.background))
+    });
+
+    return icons;
+}
+
+function buildManifest(site, colors, icons) {
+    return {
+        id: '/',
+        name: site.name,
+        short_name: site.author || site.name,
+        description: site.description,
+        lang: site.language,
+        start_url: '/',
+        scope: '/',
+        display: 'standalone',
+        theme_color: colors.theme,
+        background_color: colors.background,
+        icons: icons
+            .filter(icon => icon.purpose)
+            .map(icon => ({
+                src: `/${ICON_DIRECTORY}/${icon.name}`,
+                sizes: `${icon.size}x${icon.size}`,
+                type: 'image/png',
+                purpose: icon.purpose
+            }))
+    };
+}
+
+function write(file, contents) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+    console.log(`Wrote ${path.relative(process.cwd(), file)}`);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const site = readSiteMetadata();
+    const colors = readThemeColors();
+    const icons = buildIcons(options.source, colors);
+
+    icons.forEach(icon => {
+        write(path.join(options.out, ICON_DIRECTORY, icon.name), png.encodePng(icon.image));
+    });
+    write(
+        path.join(options.out, 'manifest.webmanifest'),
+        JSON.stringify(buildManifest(site, colors, icons), null, 2) + '\n'
+    );
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { buildManifest, readThemeColors, readCssVariables };
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+//
+//  build-search.js
+//  Builds the inverted index js/site-search.js searches, from the pages and the /data snapshots
+//
+//  Usage:
+//    node scripts/build-data.js && node scripts/build-search.js
+//
+//  .github/workflows/pages.yml runs this on every deploy, after the snapshots are built.
+//
+//  Options:
+//    --data <dir>   Snapshot directory (default: data/ at the site root); missing snapshots
+//                   just leave projects or posts out of the index
+//    --out <file>   Where to write the index (default: data/search-index.json)
+//
+//  The index is { version, generatedAt, stopWords, documents, terms }: documents are
+//  [type, title, url, text] rows, and terms maps each token to a flat [document, weight, ...]
+//  list. Tokens are made exactly as tokenize() in js/site-search.js makes them, and the
+//  stop words travel in the index so both sides always drop the same ones.
+//
+
+const fs = require('fs');
+const path = require('path');
+const { SITE_ROOT, listPages, readJSON } = require('./lib/site');
+const { stripHtml } = require('./lib/feed');
+
+const SEARCH_INDEX_VERSION = 1;
+
+const STOP_WORDS = [
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'its',
+    'me', 'my', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'we', 'with', 'you', 'your'
+];
+
+// A word in the title counts as much as this many in the text; tags and headings in between
+const FIELD_WEIGHTS = { title: 10, keywords: 4, text: 1 };
+
+// Repeating a word beyond this doesn't make a document more relevant
+const MAX_TEXT_HITS = 5;
+
+// Stored per document for result snippets; everything is still indexed
+const SNIPPET_SOURCE_LENGTH = 600;
+
+function parseArgs(argv) {
+    const options = {
+        data: path.join(SITE_ROOT, 'data'),
+        out: path.join(SITE_ROOT, 'data', 'search-index.json')
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--data': options.data = path.resolve(argv[++i]); break;
+            case '--out': options.out = path.resolve(argv[++i]); break;
+            default: throw new Error(`Unknown option ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+// Same steps as normalizeSearchText() and tokenize() in the browser
+function tokenize(text, stopWords = new Set(STOP_WORDS)) {
+    return String(text).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token.length > 1 && !stopWords.has(token));
+}
+
+// SECTION: Documents
+
+// The element opening at `start`, up to its matching close tag
+function balancedElement(html, start, tag) {
+    const pattern = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+    pattern.lastIndex = start;
+    let depth = 0;
+    for (const match of html.matchAll(pattern)) {
+        depth += match[1] ? -1 : 1;
+        if (depth === 0) return html.slice(start, match.index + match[0].length);
+    }
+    return html.slice(start);
+}
+
+// The page's own content: not the header and footer, in-page nav, scripts or protected contact links
+function pageContent(html) {
+    const start = html.indexOf('<div class="ig-main-content">');
+    const main = start >= 0 ? balancedElement(html, start, 'div') : html;
+    return main
+        .replace(/<(script|style|template)\b[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<a\b[^>]*\b(?:protected-link|nav-content)\b[\s\S]*?<\/a>/gi, ' ');
+}
+
+// The root and /home are the same page under two URLs; the first one listed wins
+function pageDocuments(root) {
+    const seen = new Set();
+    return listPages(root).map(page => {
+        const main = pageContent(page.html);
+        const headings = Array.from(main.matchAll(/<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/gi), match => stripHtml(match[1]));
+        // Blocks end words: "<h2>Journey</h2><p>From" isn't "JourneyFrom"
+        const text = stripHtml(main.replace(/<\/?(?:p|div|h\d|li|section|br)\b[^>]*>/gi, ' '));
+        return {
+            type: 'page',
+            // "Projects - Priyank Gandhi" reads as "Projects" in a list of results
+            title: (page.title || page.path).split(/\s+[-–|]\s+/)[0],
+            url: page.path,
+            keywords: headings.join(' '),
+            // Phone numbers stay on the page, not in a JSON file anyone can scrape
+            text: text.replace(/\+?\d[\d\s().-]{7,}\d/g, ' ').replace(/\s+/g, ' ').trim()
+        };
+    }).filter(document => {
+        const key = `${document.title}\n${document.text}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function readSnapshot(dir, name) {
+    const file = path.join(dir, name);
+    if (!fs.existsSync(file)) {
+        console.warn(`No ${path.relative(process.cwd(), file)}; leaving it out of the index`);
+        return [];
+    }
+    return readJSON(file).items || [];
+}
+
+function projectDocuments(dir) {
+    return readSnapshot(dir, 'repos.json').map(repo => ({
+        type: 'project',
+        title: repo.name.replace(/[-_]/g, ' '),
+        url: repo.html_url,
+        keywords: [repo.language, ...Object.keys(repo.languages || {}), ...(repo.topics || [])].filter(Boolean).join(' '),
+        text: repo.description || ''
+    }));
+}
+
+function postDocuments(dir) {
+    return readSnapshot(dir, 'posts.json').map(post => ({
+        type: 'post',
+        title: post.title,
+        url: post.link,
+        keywords: (post.categories || []).join(' '),
+        text: stripHtml(post.content || post.description || '')
+    }));
+}
+
+// SECTION: Index
+
+function buildIndex(documents) {
+    const stopWords = new Set(STOP_WORDS);
+    const terms = {};
+
+    documents.forEach((document, id) => {
+        const weights = new Map();
+        const count = (text, weight, limit = Infinity) => {
+            const hits = new Map();
+            tokenize(text, stopWords).forEach(token => hits.set(token, (hits.get(token) || 0) + 1));
+            hits.forEach((hitCount, token) => {
+                weights.set(token, (weights.get(token) || 0) + Math.min(hitCount, limit) * weight);
+            });
+        };
+        count(document.title, FIELD_WEIGHTS.title, 1);
+        count(document.keywords, FIELD_WEIGHTS.keywords, 1);
+        count(document.text, FIELD_WEIGHTS.text, MAX_TEXT_HITS);
+
+        weights.forEach((weight, token) => {
+            (terms[token] = terms[token] || []).push(id, weight);
+        });
+    });
+
+    return {
+        version: SEARCH_INDEX_VERSION,
+        generatedAt: new Date().toISOString(),
+        stopWords: STOP_WORDS,
+        documents: documents.map(document => [
+            document.type,
+            document.title,
+            document.url,
+            document.text.length > SNIPPET_SOURCE_LENGTH
+                ? `${document.text.slice(0, SNIPPET_SOURCE_LENGTH).replace(/\s+\S*$/, '')}…`
+                : document.text
+        ]),
+        terms
+    };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const documents = [
+        ...pageDocuments(SITE_ROOT),
+        ...projectDocuments(options.data),
+        ...postDocuments(options.data)
+    ];
+
+    const index = buildIndex(documents);
+    fs.mkdirSync(path.dirname(options.out), { recursive: true });
+    // One line: the index is for machines and every byte is downloaded
+    fs.writeFileSync(options.out, JSON.stringify(index) + '\n');
+    console.log(`Wrote ${path.relative(process.cwd(), options.out)} (${documents.length} documents, ${Object.keys(index.terms).length} terms)`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { buildIndex, tokenize, pageDocuments, projectDocuments, postDocuments, SEARCH_INDEX_VERSION };
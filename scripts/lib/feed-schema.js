@@ -0,0 +1,305 @@
+//
+//  feed-schema.js
+//  Checks generated feeds and sitemaps against their specifications
+//
+//    RSS 2.0          https://www.rssboard.org/rss-specification
+//    Atom 1.0         RFC 4287
+//    JSON Feed 1.1    https://www.jsonfeed.org/version/1.1/
+//    Sitemaps 0.9     https://www.sitemaps.org/protocol.html
+//
+//  Each validator takes the serialized output and returns a list of problems, empty when
+//  the document is valid. Only what the specs require (or forbid) is checked; advice such
+//  as "an RSS item should have a guid" isn't a problem.
+//
+
+const { parseXml } = require('./xml');
+
+const ATOM_NS = 'http://www.w3.org/2005/Atom';
+const SITEMAP_NS = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const JSON_FEED_VERSION = 'https://jsonfeed.org/version/1.1';
+
+// "Sat, 07 Sep 2002 00:00:01 GMT"; a two-digit year is allowed by RFC 822 itself
+const RFC_822_DATE = /^(?:(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun), )?\d{1,2} (?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) (?:\d{2}|\d{4}) \d{2}:\d{2}(?::\d{2})? (?:[+-]\d{4}|GMT|UT|[ECMP][SD]T|[A-IK-Z])$/;
+
+const RFC_3339_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})$/i;
+
+// W3C Datetime, as sitemaps use it: a date, or a date and time with a time zone
+const W3C_DATETIME = /^\d{4}(?:-\d{2}(?:-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+const SITEMAP_CHANGE_FREQUENCIES = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+const SITEMAP_MAX_URLS = 50000;
+const SITEMAP_MAX_BYTES = 50 * 1024 * 1024;
+const SITEMAP_MAX_URL_LENGTH = 2048;
+
+function isAbsoluteUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+function isValidDate(value, pattern) {
+    return typeof value === 'string' && pattern.test(value) && !isNaN(Date.parse(value));
+}
+
+// Parse errors become the one problem, so callers never have to catch
+function parse(name, xml, problems) {
+    try {
+        return parseXml(xml);
+    } catch (error) {
+        problems.push(`${name}: not well-formed XML (${error.message})`);
+        return null;
+    }
+}
+
+function text(element) {
+    return element ? element.textContent.trim() : '';
+}
+
+// Prefixed elements (dc:creator, content:encoded) need their namespace declared
+function undeclaredPrefixes(name, root, problems) {
+    const visit = element => {
+        if (element.prefix && !element.namespaceURI) {
+            problems.push(`${name}: <${element.qualifiedName}> uses an undeclared namespace prefix`);
+        }
+        element.children.forEach(visit);
+    };
+    visit(root);
+}
+
+// SECTION: RSS 2.0
+
+function validateRSS(xml) {
+    const problems = [];
+    const root = parse('RSS', xml, problems);
+    if (!root) return problems;
+
+    if (root.localName !== 'rss' || root.namespaceURI) return [`RSS: root element is <${root.qualifiedName}>, not <rss>`];
+    if (root.getAttribute('version') !== '2.0') problems.push('RSS: <rss> needs version="2.0"');
+    undeclaredPrefixes('RSS', root, problems);
+
+    const channels = root.childrenNamed('channel');
+    if (channels.length !== 1) return [...problems, `RSS: expected one <channel>, found ${channels.length}`];
+    const channel = channels[0];
+
+    ['title', 'link', 'description'].forEach(required => {
+        const elements = channel.childrenNamed(required);
+        if (elements.length !== 1) problems.push(`RSS: <channel> needs exactly one <${required}>, found ${elements.length}`);
+        else if (!text(elements[0])) problems.push(`RSS: <channel><${required}> is empty`);
+    });
+    if (text(channel.childrenNamed('link')[0]) && !isAbsoluteUrl(text(channel.childrenNamed('link')[0]))) {
+        problems.push('RSS: <channel><link> is not an absolute URL');
+    }
+    ['pubDate', 'lastBuildDate'].forEach(name => {
+        channel.childrenNamed(name).forEach(element => {
+            if (!isValidDate(text(element), RFC_822_DATE)) problems.push(`RSS: <channel><${name}> "${text(element)}" is not an RFC 822 date`);
+        });
+    });
+
+    channel.childrenNamed('item').forEach((item, index) => {
+        const where = `RSS: item ${index + 1}`;
+        if (!text(item.childrenNamed('title')[0]) && !text(item.childrenNamed('description')[0])) {
+            problems.push(`${where} needs a <title> or a <description>`);
+        }
+        item.childrenNamed('link').forEach(link => {
+            if (!isAbsoluteUrl(text(link))) problems.push(`${where}: <link> is not an absolute URL`);
+        });
+        item.childrenNamed('guid').forEach(guid => {
+            // isPermaLink defaults to true, which makes the guid a URL
+            if (guid.getAttribute('isPermaLink') !== 'false' && !isAbsoluteUrl(text(guid))) {
+                problems.push(`${where}: permalink <guid> is not an absolute URL`);
+            }
+        });
+        item.childrenNamed('pubDate').forEach(date => {
+            if (!isValidDate(text(date), RFC_822_DATE)) problems.push(`${where}: <pubDate> "${text(date)}" is not an RFC 822 date`);
+        });
+        item.childrenNamed('category').forEach(category => {
+            if (!text(category)) problems.push(`${where}: empty <category>`);
+        });
+        const enclosures = item.childrenNamed('enclosure');
+        if (enclosures.length > 1) problems.push(`${where}: more than one <enclosure>`);
+        enclosures.forEach(enclosure => {
+            if (!isAbsoluteUrl(enclosure.getAttribute('url'))) problems.push(`${where}: <enclosure> url is not an absolute URL`);
+            if (!/^\d+$/.test(enclosure.getAttribute('length') || '')) problems.push(`${where}: <enclosure> length must be a number of bytes`);
+            if (!/^[\w.+-]+\/[\w.+-]+$/.test(enclosure.getAttribute('type') || '')) problems.push(`${where}: <enclosure> type must be a MIME type`);
+        });
+    });
+
+    return problems;
+}
+
+// SECTION: Atom 1.0
+
+function validateAtom(xml) {
+    const problems = [];
+    const root = parse('Atom', xml, problems);
+    if (!root) return problems;
+
+    if (root.localName !== 'feed' || root.namespaceURI !== ATOM_NS) return [`Atom: root element is not <feed xmlns="${ATOM_NS}">`];
+
+    const single = (element, name, where) => {
+        const found = element.childrenNamed(name, ATOM_NS);
+        if (found.length !== 1) problems.push(`${where} needs exactly one <${name}>, found ${found.length}`);
+        return found[0];
+    };
+    const checkId = (id, where) => {
+        if (id && !isAbsoluteUrl(text(id)) && !/^(?:urn|tag):/.test(text(id))) problems.push(`${where}: <id> is not an IRI`);
+    };
+    const checkDate = (element, where) => {
+        if (element && !isValidDate(text(element), RFC_3339_DATE)) problems.push(`${where}: <${element.localName}> "${text(element)}" is not an RFC 3339 date`);
+    };
+    const hasAuthor = element => element.childrenNamed('author', ATOM_NS).some(author => text(author.childrenNamed('name', ATOM_NS)[0]));
+
+    checkId(single(root, 'id', 'Atom: <feed>'), 'Atom: <feed>');
+    single(root, 'title', 'Atom: <feed>');
+    checkDate(single(root, 'updated', 'Atom: <feed>'), 'Atom: <feed>');
+
+    const entries = root.childrenNamed('entry', ATOM_NS);
+    entries.forEach((entry, index) => {
+        const where = `Atom: entry ${index + 1}`;
+        checkId(single(entry, 'id', where), where);
+        single(entry, 'title', where);
+        checkDate(single(entry, 'updated', where), where);
+        entry.childrenNamed('published', ATOM_NS).forEach(published => checkDate(published, where));
+
+        const links = entry.childrenNamed('link', ATOM_NS);
+        links.forEach(link => {
+            if (!link.getAttribute('href')) problems.push(`${where}: <link> without href`);
+        });
+        const content = entry.childrenNamed('content', ATOM_NS)[0];
+        if (!content && !links.some(link => (link.getAttribute('rel') || 'alternate') === 'alternate')) {
+            problems.push(`${where} needs <content> or an alternate <link>`);
+        }
+        if (content && !['text', 'html', 'xhtml', null].includes(content.getAttribute('type')) && !content.getAttribute('src')) {
+            // Other media types are allowed, but then the content is base64 or XML, which we never write
+            problems.push(`${where}: <content> type "${content.getAttribute('type')}" isn't text, html or xhtml`);
+        }
+        // Entries can go without an author only if the feed has one
+        if (!hasAuthor(root) && !hasAuthor(entry)) problems.push(`${where} needs an <author> (the feed has none)`);
+        entry.childrenNamed('category', ATOM_NS).forEach(category => {
+            if (!category.getAttribute('term')) problems.push(`${where}: <category> without term`);
+        });
+    });
+
+    if (entries.length === 0 && !hasAuthor(root)) problems.push('Atom: <feed> needs an <author>');
+    return problems;
+}
+
+// SECTION: JSON Feed 1.1
+
+function validateJSONFeed(json) {
+    const problems = [];
+    let feed;
+    try {
+        feed = JSON.parse(json);
+    } catch (error) {
+        return [`JSON Feed: not valid JSON (${error.message})`];
+    }
+    if (!feed || typeof feed !== 'object' || Array.isArray(feed)) return ['JSON Feed: top level is not an object'];
+
+    const isString = value => typeof value === 'string';
+    const optionalUrl = (object, key, where) => {
+        if (object[key] !== undefined && !(isString(object[key]) && isAbsoluteUrl(object[key]))) {
+            problems.push(`${where}: ${key} is not an absolute URL`);
+        }
+    };
+    const optionalString = (object, key, where) => {
+        if (object[key] !== undefined && !isString(object[key])) problems.push(`${where}: ${key} is not a string`);
+    };
+    const authors = (object, where) => {
+        if (object.authors === undefined) return;
+        if (!Array.isArray(object.authors)) {
+            problems.push(`${where}: authors is not an array`);
+            return;
+        }
+        object.authors.forEach((author, index) => {
+            if (!author || typeof author !== 'object' || !['name', 'url', 'avatar'].some(key => isString(author[key]) && author[key])) {
+                problems.push(`${where}: author ${index + 1} needs a name, url or avatar`);
+            }
+        });
+    };
+
+    if (feed.version !== JSON_FEED_VERSION) problems.push(`JSON Feed: version must be "${JSON_FEED_VERSION}"`);
+    if (!isString(feed.title) || !feed.title) problems.push('JSON Feed: title is required');
+    ['home_page_url', 'feed_url', 'next_url', 'icon', 'favicon'].forEach(key => optionalUrl(feed, key, 'JSON Feed'));
+    ['description', 'user_comment', 'language'].forEach(key => optionalString(feed, key, 'JSON Feed'));
+    if (feed.expired !== undefined && typeof feed.expired !== 'boolean') problems.push('JSON Feed: expired is not a boolean');
+    authors(feed, 'JSON Feed');
+
+    if (!Array.isArray(feed.items)) return [...problems, 'JSON Feed: items is required and must be an array'];
+
+    const ids = new Set();
+    feed.items.forEach((item, index) => {
+        const where = `JSON Feed: item ${index + 1}`;
+        if (!item || typeof item !== 'object') {
+            problems.push(`${where} is not an object`);
+            return;
+        }
+        if (!isString(item.id) || !item.id) problems.push(`${where}: id is required and must be a string`);
+        else if (ids.has(item.id)) problems.push(`${where}: id "${item.id}" is used twice`);
+        ids.add(item.id);
+
+        if (!isString(item.content_html) && !isString(item.content_text)) {
+            problems.push(`${where} needs content_html or content_text`);
+        }
+        ['url', 'external_url', 'image', 'banner_image'].forEach(key => optionalUrl(item, key, where));
+        ['title', 'summary', 'language'].forEach(key => optionalString(item, key, where));
+        ['date_published', 'date_modified'].forEach(key => {
+            if (item[key] !== undefined && !isValidDate(item[key], RFC_3339_DATE)) problems.push(`${where}: ${key} is not an RFC 3339 date`);
+        });
+        if (item.tags !== undefined && !(Array.isArray(item.tags) && item.tags.every(isString))) {
+            problems.push(`${where}: tags must be an array of strings`);
+        }
+        authors(item, where);
+    });
+
+    return problems;
+}
+
+// SECTION: Sitemap
+
+function validateSitemap(xml, siteUrl = null) {
+    const problems = [];
+    if (Buffer.byteLength(xml, 'utf8') > SITEMAP_MAX_BYTES) problems.push('Sitemap: larger than 50MB');
+
+    const root = parse('Sitemap', xml, problems);
+    if (!root) return problems;
+    if (root.localName !== 'urlset' || root.namespaceURI !== SITEMAP_NS) return [`Sitemap: root element is not <urlset xmlns="${SITEMAP_NS}">`];
+
+    const urls = root.childrenNamed('url');
+    if (urls.length > SITEMAP_MAX_URLS) problems.push(`Sitemap: ${urls.length} URLs, the limit is ${SITEMAP_MAX_URLS}`);
+    // A sitemap may only list URLs under the location it's served from
+    const host = siteUrl ? new URL(siteUrl).host : null;
+    const seen = new Set();
+
+    urls.forEach((url, index) => {
+        const where = `Sitemap: url ${index + 1}`;
+        const locs = url.childrenNamed('loc');
+        if (locs.length !== 1) {
+            problems.push(`${where} needs exactly one <loc>, found ${locs.length}`);
+        } else {
+            const loc = text(locs[0]);
+            if (!isAbsoluteUrl(loc)) problems.push(`${where}: <loc> "${loc}" is not an absolute URL`);
+            else if (host && new URL(loc).host !== host) problems.push(`${where}: <loc> "${loc}" is on another host`);
+            if (loc.length > SITEMAP_MAX_URL_LENGTH) problems.push(`${where}: <loc> is longer than ${SITEMAP_MAX_URL_LENGTH} characters`);
+            if (seen.has(loc)) problems.push(`${where}: <loc> "${loc}" is listed twice`);
+            seen.add(loc);
+        }
+
+        url.childrenNamed('lastmod').forEach(lastmod => {
+            if (!isValidDate(text(lastmod), W3C_DATETIME)) problems.push(`${where}: <lastmod> "${text(lastmod)}" is not a W3C datetime`);
+        });
+        url.childrenNamed('changefreq').forEach(changefreq => {
+            if (!SITEMAP_CHANGE_FREQUENCIES.includes(text(changefreq))) problems.push(`${where}: <changefreq> "${text(changefreq)}" is not allowed`);
+        });
+        url.childrenNamed('priority').forEach(priority => {
+            const value = text(priority);
+            if (!/^(?:0(?:\.\d+)?|1(?:\.0+)?)$/.test(value)) problems.push(`${where}: <priority> "${value}" is not between 0.0 and 1.0`);
+        });
+    });
+
+    return problems;
+}
+
+module.exports = { validateRSS, validateAtom, validateJSONFeed, validateSitemap };
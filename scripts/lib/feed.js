@@ -0,0 +1,136 @@
+//
+//  feed.js
+//  Node counterpart of FeedParser and MediumIntegration.normalizeItem
+//
+
+const { parseXml, decodeEntities } = require('./xml');
+
+const NS = {
+    atom: 'http://www.w3.org/2005/Atom',
+    content: 'http://purl.org/rss/1.0/modules/content/',
+    dc: 'http://purl.org/dc/elements/1.1/',
+    media: 'http://search.yahoo.com/mrss/'
+};
+
+function text(element) {
+    return element ? element.textContent.trim() : '';
+}
+
+function first(element, localName, namespace = null) {
+    return element.childrenNamed(localName, namespace)[0] || null;
+}
+
+function mediaThumbnail(element) {
+    const thumbnail = first(element, 'thumbnail', NS.media);
+    if (thumbnail) return thumbnail.getAttribute('url');
+
+    const image = element.childrenNamed('content', NS.media)
+        .find(content => (content.getAttribute('medium') || content.getAttribute('type') || '').startsWith('image'));
+    return image ? image.getAttribute('url') : null;
+}
+
+function parseRSS(root) {
+    const channel = first(root, 'channel') || root;
+
+    return {
+        format: 'rss',
+        title: text(first(channel, 'title')),
+        link: text(first(channel, 'link')),
+        items: root.descendantsNamed('item').map(item => ({
+            id: text(first(item, 'guid')) || text(first(item, 'link')),
+            title: text(first(item, 'title')),
+            link: text(first(item, 'link')),
+            pubDate: text(first(item, 'pubDate')) || text(first(item, 'date', NS.dc)),
+            author: text(first(item, 'creator', NS.dc)) || text(first(item, 'author')),
+            categories: item.childrenNamed('category').map(text).filter(Boolean),
+            description: text(first(item, 'description')),
+            content: text(first(item, 'encoded', NS.content)),
+            enclosures: item.childrenNamed('enclosure').map(enclosure => ({
+                url: enclosure.getAttribute('url'),
+                type: enclosure.getAttribute('type'),
+                length: parseInt(enclosure.getAttribute('length'), 10) || 0
+            })),
+            thumbnail: mediaThumbnail(item)
+        }))
+    };
+}
+
+function atomLink(element, rel) {
+    const link = element.childrenNamed('link', NS.atom)
+        .find(candidate => (candidate.getAttribute('rel') || 'alternate') === rel);
+    return link ? link.getAttribute('href') : '';
+}
+
+function parseAtom(root) {
+    return {
+        format: 'atom',
+        title: text(first(root, 'title', NS.atom)),
+        link: atomLink(root, 'alternate'),
+        items: root.childrenNamed('entry', NS.atom).map(entry => {
+            const author = first(entry, 'author', NS.atom);
+            return {
+                id: text(first(entry, 'id', NS.atom)),
+                title: text(first(entry, 'title', NS.atom)),
+                link: atomLink(entry, 'alternate'),
+                pubDate: text(first(entry, 'published', NS.atom)) || text(first(entry, 'updated', NS.atom)),
+                author: author ? text(first(author, 'name', NS.atom)) : '',
+                categories: entry.childrenNamed('category', NS.atom)
+                    .map(category => category.getAttribute('label') || category.getAttribute('term'))
+                    .filter(Boolean),
+                description: text(first(entry, 'summary', NS.atom)),
+                content: text(first(entry, 'content', NS.atom)),
+                enclosures: entry.childrenNamed('link', NS.atom)
+                    .filter(link => link.getAttribute('rel') === 'enclosure')
+                    .map(link => ({
+                        url: link.getAttribute('href'),
+                        type: link.getAttribute('type'),
+                        length: parseInt(link.getAttribute('length'), 10) || 0
+                    })),
+                thumbnail: mediaThumbnail(entry)
+            };
+        })
+    };
+}
+
+function parseFeed(xml) {
+    const root = parseXml(xml);
+    if (root.localName === 'rss' || root.localName === 'RDF') return parseRSS(root);
+    if (root.localName === 'feed' && root.namespaceURI === NS.atom) return parseAtom(root);
+    throw new Error(`Unsupported feed format: <${root.localName}>`);
+}
+
+function stripHtml(html) {
+    return decodeEntities(html.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+function extractThumbnail(html) {
+    const imgMatch = html.match(/<img[^>]+src="([^">]+)"/);
+    return imgMatch ? imgMatch[1] : null;
+}
+
+function estimateReadTime(html) {
+    const wordsPerMinute = 200;
+    const wordCount = stripHtml(html).split(' ').length;
+    return Math.max(1, Math.ceil(wordCount / wordsPerMinute));
+}
+
+// Same shape as MediumIntegration.normalizeItem, with an ISO date and no random placeholder image
+function normalizePost(item) {
+    const html = item.content || item.description || '';
+    const image = item.enclosures.find(enclosure => (enclosure.type || '').startsWith('image/'));
+    const pubDate = new Date(item.pubDate);
+
+    return {
+        title: item.title,
+        link: item.link,
+        description: stripHtml(item.description || html).substring(0, 150) + '...',
+        content: html,
+        pubDate: isNaN(pubDate) ? null : pubDate.toISOString(),
+        author: item.author || null,
+        categories: item.categories || [],
+        thumbnail: item.thumbnail || (image && image.url) || extractThumbnail(html),
+        readTime: estimateReadTime(html)
+    };
+}
+
+module.exports = { parseFeed, normalizePost, stripHtml };
@@ -0,0 +1,95 @@
+//
+//  github.js
+//  Node counterpart of GitHubIntegration.fetchRepositories (pagination + enrichment)
+//
+
+const API_URL = 'https://api.github.com';
+
+class HttpError extends Error {
+    constructor(url, status) {
+        super(`HTTP ${status} for ${url}`);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+function parseNextLink(linkHeader) {
+    if (!linkHeader) return null;
+    const match = linkHeader.split(',').map(part => part.match(/<([^>]+)>;\s*rel="([^"]+)"/))
+        .find(parts => parts && parts[2] === 'next');
+    return match ? match[1] : null;
+}
+
+// `transport(url)` resolves to { status, headers: { get(name) }, json() } - either fetch() or a fixture reader
+async function getJSON(transport, url) {
+    const response = await transport(url);
+    if (response.status === 404) return { data: null, next: null };
+    if (response.status < 200 || response.status >= 300) throw new HttpError(url, response.status);
+    return { data: await response.json(), next: parseNextLink(response.headers.get('Link')) };
+}
+
+async function fetchAllPages(transport, url, maxPages = 10) {
+    const items = [];
+    let nextUrl = url;
+
+    for (let page = 1; nextUrl && page <= maxPages; page++) {
+        const { data, next } = await getJSON(transport, nextUrl);
+        if (!data) break;
+        items.push(...data);
+        nextUrl = next;
+    }
+
+    return items;
+}
+
+// Keeps only the fields the site renders, so snapshots stay small and stable
+function normalizeRepository(repo, extras = {}) {
+    return {
+        name: repo.name,
+        full_name: repo.full_name,
+        description: repo.description,
+        html_url: repo.html_url,
+        homepage: repo.homepage || null,
+        language: repo.language,
+        topics: repo.topics || [],
+        stargazers_count: repo.stargazers_count,
+        forks_count: repo.forks_count,
+        open_issues_count: repo.open_issues_count ?? 0,
+        openIssues: repo.open_issues_count ?? 0,
+        size: repo.size,
+        created_at: repo.created_at,
+        updated_at: repo.updated_at,
+        pushed_at: repo.pushed_at,
+        ...extras
+    };
+}
+
+async function fetchRepositories(transport, username, options = {}) {
+    const repos = await fetchAllPages(
+        transport,
+        `${API_URL}/users/${username}/repos?sort=updated&per_page=100&type=owner`
+    );
+    const owned = repos.filter(repo => !repo.fork && !repo.private);
+
+    if (options.enrich === false) {
+        return owned.map(repo => normalizeRepository(repo));
+    }
+
+    // Sequential on purpose: a build has the whole unauthenticated quota to itself
+    const enriched = [];
+    for (const repo of owned) {
+        const languages = (await getJSON(transport, `${API_URL}/repos/${repo.full_name}/languages`)).data;
+        const release = (await getJSON(transport, `${API_URL}/repos/${repo.full_name}/releases/latest`)).data;
+        enriched.push(normalizeRepository(repo, {
+            languages: languages || (repo.language ? { [repo.language]: repo.size } : {}),
+            latestRelease: release ? release.tag_name : null
+        }));
+    }
+    return enriched;
+}
+
+async function fetchUser(transport, username) {
+    return (await getJSON(transport, `${API_URL}/users/${username}`)).data;
+}
+
+module.exports = { fetchRepositories, fetchUser, normalizeRepository, parseNextLink, HttpError };
@@ -0,0 +1,288 @@
+//
+//  png.js
+//  Minimal PNG codec and the few image operations the icon builder needs
+//
+//  Decodes 8-bit, non-interlaced greyscale/RGB/RGBA images and always encodes RGBA.
+//  Images are { width, height, data } with data as RGBA bytes, row by row.
+//
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createImage(width, height, fill = [0, 0, 0, 0]) {
+    const data = new Uint8Array(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) data.set(fill, i);
+    return { width, height, data };
+}
+
+// SECTION: Codec
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+function decodePng(buffer) {
+    if (!buffer.subarray(0, 8).equals(SIGNATURE)) {
+        throw new Error('Not a PNG file');
+    }
+
+    let header = null;
+    const chunks = [];
+
+    for (let offset = 8; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const body = buffer.subarray(offset + 8, offset + 8 + length);
+
+        if (type === 'IHDR') {
+            header = {
+                width: body.readUInt32BE(0),
+                height: body.readUInt32BE(4),
+                bitDepth: body[8],
+                colorType: body[9],
+                interlace: body[12]
+            };
+        } else if (type === 'IDAT') {
+            chunks.push(body);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += 12 + length;
+    }
+
+    const channels = header && CHANNELS[header.colorType];
+    if (!channels || header.bitDepth !== 8 || header.interlace !== 0) {
+        throw new Error('Only 8-bit, non-interlaced greyscale/RGB/RGBA PNGs are supported');
+    }
+
+    const { width, height } = header;
+    const stride = width * channels;
+    const raw = zlib.inflateSync(Buffer.concat(chunks));
+    const pixels = new Uint8Array(height * stride);
+
+    // Undo the per-row filters (PNG spec, section 9)
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const row = y * stride;
+
+        for (let x = 0; x < stride; x++) {
+            const left = x >= channels ? pixels[row + x - channels] : 0;
+            const up = y > 0 ? pixels[row - stride + x] : 0;
+            const upLeft = x >= channels && y > 0 ? pixels[row - stride + x - channels] : 0;
+
+            let value = line[x];
+            switch (filter) {
+                case 1: value += left; break;
+                case 2: value += up; break;
+                case 3: value += (left + up) >> 1; break;
+                case 4: value += paeth(left, up, upLeft); break;
+            }
+            pixels[row + x] = value & 0xff;
+        }
+    }
+
+    const image = createImage(width, height);
+    for (let i = 0, j = 0; i < pixels.length; i += channels, j += 4) {
+        const grey = channels < 3;
+        image.data[j] = pixels[i];
+        image.data[j + 1] = grey ? pixels[i] : pixels[i + 1];
+        image.data[j + 2] = grey ? pixels[i] : pixels[i + 2];
+        image.data[j + 3] = channels === 4 ? pixels[i + 3] : channels === 2 ? pixels[i + 1] : 255;
+    }
+    return image;
+}
+
+function chunk(type, body) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length);
+    const typeAndBody = Buffer.concat([Buffer.from(type, 'ascii'), body]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndBody));
+    return Buffer.concat([length, typeAndBody, crc]);
+}
+
+function encodePng({ width, height, data }) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = 6;
+
+    // Sub filter on every row; photos compress noticeably better than unfiltered
+    const stride = width * 4;
+    const raw = Buffer.alloc(height * (stride + 1));
+    for (let y = 0; y < height; y++) {
+        const out = y * (stride + 1);
+        raw[out] = 1;
+        for (let x = 0; x < stride; x++) {
+            const left = x >= 4 ? data[y * stride + x - 4] : 0;
+            raw[out + 1 + x] = (data[y * stride + x] - left) & 0xff;
+        }
+    }
+
+    return Buffer.concat([
+        SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// SECTION: Operations
+
+// Bounding box of everything that differs from the top-left pixel (the backdrop)
+function contentBounds(image, tolerance = 30) {
+    const { width, height, data } = image;
+    const background = data.subarray(0, 4);
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const distance = Math.abs(data[i] - background[0])
+                + Math.abs(data[i + 1] - background[1])
+                + Math.abs(data[i + 2] - background[2]);
+            if (distance > tolerance) {
+                minX = Math.min(minX, x);
+                maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y);
+                maxY = Math.max(maxY, y);
+            }
+        }
+    }
+
+    if (maxX < 0) return { x: 0, y: 0, width, height };
+    return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+// Largest square centred on `bounds` that still fits inside the image
+function squareAround(image, bounds) {
+    const size = Math.min(Math.max(bounds.width, bounds.height), image.width, image.height);
+    const centerX = bounds.x + bounds.width / 2;
+    const centerY = bounds.y + bounds.height / 2;
+    return {
+        x: Math.round(Math.min(Math.max(centerX - size / 2, 0), image.width - size)),
+        y: Math.round(Math.min(Math.max(centerY - size / 2, 0), image.height - size)),
+        width: size,
+        height: size
+    };
+}
+
+function crop(image, { x, y, width, height }) {
+    const result = createImage(width, height);
+    for (let row = 0; row < height; row++) {
+        const start = ((y + row) * image.width + x) * 4;
+        result.data.set(image.data.subarray(start, start + width * 4), row * width * 4);
+    }
+    return result;
+}
+
+// Area-average downscale; good enough for icons and needs no interpolation kernel
+function resize(image, width, height = width) {
+    const result = createImage(width, height);
+    const scaleX = image.width / width;
+    const scaleY = image.height / height;
+
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.floor(y * scaleY);
+        const y1 = Math.max(y0 + 1, Math.floor((y + 1) * scaleY));
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.floor(x * scaleX);
+            const x1 = Math.max(x0 + 1, Math.floor((x + 1) * scaleX));
+            const sum = [0, 0, 0, 0];
+
+            for (let sy = y0; sy < y1; sy++) {
+                for (let sx = x0; sx < x1; sx++) {
+                    const i = (sy * image.width + sx) * 4;
+                    for (let c = 0; c < 4; c++) sum[c] += image.data[i + c];
+                }
+            }
+
+            const count = (y1 - y0) * (x1 - x0);
+            result.data.set(sum.map(value => Math.round(value / count)), (y * width + x) * 4);
+        }
+    }
+    return result;
+}
+
+// Makes everything outside the inscribed circle transparent, with a one-pixel soft edge
+function circleMask(image) {
+    const result = { ...image, data: Uint8Array.from(image.data) };
+    const radius = Math.min(image.width, image.height) / 2;
+    const centerX = image.width / 2;
+    const centerY = image.height / 2;
+
+    for (let y = 0; y < image.height; y++) {
+        for (let x = 0; x < image.width; x++) {
+            const distance = Math.hypot(x + 0.5 - centerX, y + 0.5 - centerY);
+            const coverage = Math.min(Math.max(radius - distance + 0.5, 0), 1);
+            const i = (y * image.width + x) * 4 + 3;
+            result.data[i] = Math.round(result.data[i] * coverage);
+        }
+    }
+    return result;
+}
+
+// Draws `image` centred on a `size` square filled with `background` (source-over)
+function compose(image, size, background) {
+    const result = createImage(size, size, background);
+    const offsetX = Math.round((size - image.width) / 2);
+    const offsetY = Math.round((size - image.height) / 2);
+
+    for (let y = 0; y < image.height; y++) {
+        for (let x = 0; x < image.width; x++) {
+            const source = (y * image.width + x) * 4;
+            const target = ((y + offsetY) * size + x + offsetX) * 4;
+            const alpha = image.data[source + 3] / 255;
+            for (let c = 0; c < 3; c++) {
+                result.data[target + c] = Math.round(image.data[source + c] * alpha + result.data[target + c] * (1 - alpha));
+            }
+            result.data[target + 3] = Math.round(255 * alpha + result.data[target + 3] * (1 - alpha));
+        }
+    }
+    return result;
+}
+
+function parseHexColor(hex) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex.trim());
+    if (!match) throw new Error(`Unsupported color ${hex}`);
+    const digits = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16)).concat(255);
+}
+
+module.exports = {
+    decodePng,
+    encodePng,
+    createImage,
+    contentBounds,
+    squareAround,
+    crop,
+    resize,
+    circleMask,
+    compose,
+    parseHexColor
+};
@@ -0,0 +1,84 @@
+//
+//  site.js
+//  Site metadata and page discovery shared by the build scripts
+//
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const SITE_ROOT = path.resolve(__dirname, '..', '..');
+const SITE_URL = 'https://iosdevpriyank.github.io';
+
+// Directories that hold assets, tooling or test fixtures rather than pages
+const IGNORED_DIRECTORIES = new Set(['css', 'data', 'fonts', 'images', 'js', 'scripts', 'test', 'node_modules', '.git']);
+
+function readMeta(html, attribute, name) {
+    const pattern = new RegExp(`<meta\\s+${attribute}="${name}"\\s+content="([^"]*)"`, 'i');
+    const match = html.match(pattern);
+    return match ? match[1] : null;
+}
+
+function readTitle(html) {
+    const match = html.match(/<title>([^<]*)<\/title>/i);
+    return match ? match[1] : null;
+}
+
+function readSiteMetadata(root = SITE_ROOT) {
+    const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+    return {
+        url: SITE_URL,
+        name: readMeta(html, 'property', 'og:site_name') || 'Portfolio',
+        author: readMeta(html, 'name', 'author') || '',
+        description: readMeta(html, 'name', 'description') || '',
+        language: (html.match(/<html[^>]*\slang="([^"]+)"/i) || [])[1] || 'en'
+    };
+}
+
+// Every index.html below the root becomes a page; `/` for the root itself
+function listPages(root = SITE_ROOT) {
+    const pages = [];
+
+    const walk = (dir, urlPath) => {
+        const entries = fs.readdirSync(dir, { withFileTypes: true });
+        if (entries.some(entry => entry.isFile() && entry.name === 'index.html')) {
+            const file = path.join(dir, 'index.html');
+            const html = fs.readFileSync(file, 'utf8');
+            pages.push({
+                path: urlPath || '/',
+                file,
+                html,
+                title: readTitle(html),
+                description: readMeta(html, 'name', 'description')
+            });
+        }
+
+        entries
+            .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && !IGNORED_DIRECTORIES.has(entry.name))
+            .forEach(entry => walk(path.join(dir, entry.name), `${urlPath}/${entry.name}`));
+    };
+
+    walk(root, '');
+    return pages.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// Last commit touching the file, falling back to its mtime outside a git checkout
+function lastModified(file) {
+    try {
+        const date = execFileSync('git', ['log', '-1', '--format=%cI', '--', file], {
+            cwd: path.dirname(file),
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'ignore']
+        }).trim();
+        if (date) return new Date(date);
+    } catch {
+        // Not a git checkout
+    }
+    return fs.statSync(file).mtime;
+}
+
+function readJSON(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = { SITE_ROOT, SITE_URL, readSiteMetadata, listPages, lastModified, readJSON };
@@ -0,0 +1,140 @@
+//
+//  xml.js
+//  Minimal namespace-aware XML parser for the build scripts (no dependencies)
+//
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return isNaN(code) ? match : String.fromCodePoint(code);
+        }
+        return ENTITIES[entity] ?? match;
+    });
+}
+
+class XmlElement {
+    constructor(qualifiedName, attributes, parent) {
+        this.qualifiedName = qualifiedName;
+        this.attributes = attributes;
+        this.parent = parent;
+        this.children = [];
+        this.textParts = [];
+
+        const [prefix, localName] = qualifiedName.includes(':')
+            ? qualifiedName.split(':')
+            : [null, qualifiedName];
+        this.prefix = prefix;
+        this.localName = localName;
+        this.namespaceURI = this.lookupNamespace(prefix);
+    }
+
+    lookupNamespace(prefix) {
+        const attribute = prefix ? `xmlns:${prefix}` : 'xmlns';
+        for (let element = this; element; element = element.parent) {
+            if (attribute in element.attributes) return element.attributes[attribute] || null;
+        }
+        return null;
+    }
+
+    getAttribute(name) {
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+
+    get textContent() {
+        return this.textParts.join('') + this.children.map(child => child.textContent).join('');
+    }
+
+    // Mirrors DOM semantics closely enough for FeedParser-style lookups
+    childrenNamed(localName, namespace = null) {
+        return this.children.filter(child =>
+            child.localName === localName && (namespace === null
+                ? !child.namespaceURI || child.namespaceURI === this.namespaceURI
+                : child.namespaceURI === namespace)
+        );
+    }
+
+    descendantsNamed(localName) {
+        return this.children.flatMap(child => [
+            ...(child.localName === localName ? [child] : []),
+            ...child.descendantsNamed(localName)
+        ]);
+    }
+}
+
+// Text nodes are attached to their parent in document order only as far as
+// textContent needs; mixed content ordering is not preserved.
+function parseXml(xml) {
+    const root = new XmlElement('#document', {}, null);
+    let current = root;
+    let index = 0;
+
+    while (index < xml.length) {
+        const tagStart = xml.indexOf('<', index);
+        if (tagStart === -1) {
+            current.textParts.push(decodeEntities(xml.slice(index)));
+            break;
+        }
+        if (tagStart > index) {
+            current.textParts.push(decodeEntities(xml.slice(index, tagStart)));
+        }
+
+        if (xml.startsWith('<![CDATA[', tagStart)) {
+            const end = xml.indexOf(']]>', tagStart);
+            if (end === -1) throw new Error('Unterminated CDATA section');
+            current.textParts.push(xml.slice(tagStart + 9, end));
+            index = end + 3;
+        } else if (xml.startsWith('<!--', tagStart)) {
+            const end = xml.indexOf('-->', tagStart);
+            if (end === -1) throw new Error('Unterminated comment');
+            index = end + 3;
+        } else if (xml.startsWith('<?', tagStart) || xml.startsWith('<!', tagStart)) {
+            const end = xml.indexOf('>', tagStart);
+            if (end === -1) throw new Error('Unterminated declaration');
+            index = end + 1;
+        } else if (xml[tagStart + 1] === '/') {
+            const end = xml.indexOf('>', tagStart);
+            const name = xml.slice(tagStart + 2, end).trim();
+            if (name !== current.qualifiedName) {
+                throw new Error(`Mismatched closing tag </${name}>, expected </${current.qualifiedName}>`);
+            }
+            current = current.parent;
+            index = end + 1;
+        } else {
+            const match = /^<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(xml.slice(tagStart));
+            if (!match) throw new Error(`Malformed tag at offset ${tagStart}`);
+
+            const attributes = {};
+            const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+            let attribute;
+            while ((attribute = attributePattern.exec(match[2]))) {
+                attributes[attribute[1]] = decodeEntities(attribute[2] ?? attribute[3]);
+            }
+
+            const element = new XmlElement(match[1], attributes, current);
+            current.children.push(element);
+            if (!match[3]) current = element;
+            index = tagStart + match[0].length;
+        }
+    }
+
+    if (current !== root) throw new Error(`Unclosed element <${current.qualifiedName}>`);
+    const documentElement = root.children[0];
+    if (!documentElement) throw new Error('Document has no root element');
+    return documentElement;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+module.exports = { parseXml, escapeXml, decodeEntities };
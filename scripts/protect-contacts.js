@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+//
+//  protect-contacts.js
+//  Hides email addresses and phone numbers in the pages from harvesters
+//
+//  Usage:
+//    node scripts/protect-contacts.js              protects every page with a new key
+//    node scripts/protect-contacts.js --key abc    uses this key instead, for reproducible output
+//    node scripts/protect-contacts.js --check      exits 1 if an address is readable in the source
+//
+//  mailto:, tel: and sms: links become <a class="protected-link" data-protected="...">, with
+//  the URL XORed with a key stored on <html data-protect-key>; ignite-core.js decodes a link
+//  when someone interacts with it. Bare addresses in text become such links too, still shown
+//  on screen (data-protected-display="reversed") and with a copy button. Links protected by
+//  an earlier run, and Ignite's base64 data-encoded-url links, are re-encoded with the new
+//  key, so run this after every Ignite build. .github/workflows/pages.yml also runs it on
+//  every deploy: the key committed in the pages is only the last local run's, and the
+//  published one changes each time.
+//
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SITE_ROOT, listPages } = require('./lib/site');
+
+// Pages that aren't an index.html but are served as documents
+const EXTRA_PAGES = ['offline.html'];
+
+// Where a protected link goes before it's revealed, or with JavaScript off
+const FALLBACK_HREF = '/contact/';
+
+const PROTECTED_SCHEMES = {
+    'mailto:': { text: 'Show email address', label: 'Email' },
+    'tel:': { text: 'Show phone number', label: 'Phone' },
+    'sms:': { text: 'Show phone number', label: 'Text message' }
+};
+
+// Addresses in the docs and examples aren't anyone's
+const EXAMPLE_DOMAINS = /@(?:[\w-]+\.)*example\.(?:com|org|net)\b/i;
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi;
+
+function parseArgs(argv) {
+    const options = { mode: 'write', key: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--check': options.mode = 'check'; break;
+            case '--key': options.key = argv[++i]; break;
+            default: throw new Error(`Unknown option ${arg}`);
+        }
+    }
+
+    if (options.key !== null && !/^[\w-]{8,}$/.test(options.key || '')) {
+        throw new Error('--key needs at least 8 letters, digits, "-" or "_"');
+    }
+    return options;
+}
+
+function readPages(root = SITE_ROOT) {
+    const pages = listPages(root).map(page => ({ file: page.file, html: page.html }));
+    EXTRA_PAGES.forEach(name => {
+        const file = path.join(root, name);
+        if (fs.existsSync(file)) pages.push({ file, html: fs.readFileSync(file, 'utf8') });
+    });
+    return pages;
+}
+
+// SECTION: Cipher
+
+// decodeProtected() in ignite-core.js is the other half
+function protect(text, key) {
+    const keyBytes = Buffer.from(key, 'utf8');
+    return Array.from(Buffer.from(text, 'utf8'), (byte, i) => (byte ^ keyBytes[i % keyBytes.length]).toString(16).padStart(2, '0')).join('');
+}
+
+function unprotect(hex, key) {
+    const keyBytes = Buffer.from(key, 'utf8');
+    return Buffer.from((hex.match(/../g) || []).map((pair, i) => parseInt(pair, 16) ^ keyBytes[i % keyBytes.length])).toString('utf8');
+}
+
+function createKey() {
+    return crypto.randomBytes(12).toString('base64url');
+}
+
+// SECTION: Markup
+
+function decodeAttribute(value) {
+    return value
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+// Attributes in source order, so untouched ones come out byte for byte
+function parseAttributes(source) {
+    return Array.from(source.matchAll(/\s([^\s=/>]+)(?:="([^"]*)")?/g), ([, name, value]) => ({ name, value }));
+}
+
+function serializeAttributes(attributes) {
+    return attributes.map(({ name, value }) => (value === undefined ? ` ${name}` : ` ${name}="${value}"`)).join('');
+}
+
+function setAttribute(attributes, name, value) {
+    const existing = attributes.find(attribute => attribute.name === name);
+    if (existing) existing.value = value;
+    else attributes.push({ name, value });
+}
+
+function schemeOf(url) {
+    return Object.keys(PROTECTED_SCHEMES).find(scheme => url.toLowerCase().startsWith(scheme)) || null;
+}
+
+function stripTags(markup) {
+    return markup.replace(/<[^>]*>/g, '').trim();
+}
+
+// The URL a link points to, if it's one to protect: plain, from an earlier run, or Ignite's base64
+function linkUrl(attributes, key) {
+    const get = name => (attributes.find(attribute => attribute.name === name) || {}).value;
+    if (get('data-protected')) return key ? unprotect(get('data-protected'), key) : null;
+    if (get('data-encoded-url')) return Buffer.from(decodeAttribute(get('data-encoded-url')), 'base64').toString('utf8');
+    const href = decodeAttribute(get('href') || '');
+    return schemeOf(href) ? href : null;
+}
+
+function protectLink(source, inner, oldKey, newKey) {
+    const attributes = parseAttributes(source);
+    const url = linkUrl(attributes, oldKey);
+    if (!url || !schemeOf(url)) return null;
+
+    const labels = PROTECTED_SCHEMES[schemeOf(url)];
+    const legacy = attributes.some(attribute => attribute.name === 'data-encoded-url');
+    const kept = attributes.filter(attribute => attribute.name !== 'data-encoded-url');
+    const classes = ((kept.find(attribute => attribute.name === 'class') || {}).value || '').split(/\s+/).filter(Boolean);
+    if (!classes.includes('protected-link')) classes.push('protected-link');
+
+    setAttribute(kept, 'class', classes.join(' '));
+    setAttribute(kept, 'href', FALLBACK_HREF);
+    setAttribute(kept, 'data-protected', protect(url, newKey));
+
+    // Text that is the address (or Ignite's encoded copy of it) becomes the reveal prompt;
+    // other text ("Email me") stays; an icon-only link gets a name for screen readers
+    const text = stripTags(inner);
+    let content = inner;
+    if (legacy || (text && (text.includes(url.replace(/^[a-z]+:/i, '').replace(/\?.*$/, '')) || text.match(EMAIL_PATTERN)))) {
+        content = `<span class="protected-text">${labels.text}</span>`;
+    } else if (!text && !kept.some(attribute => attribute.name === 'aria-label')) {
+        setAttribute(kept, 'aria-label', labels.label);
+    }
+
+    return `<a${serializeAttributes(kept)}>${content}</a>`;
+}
+
+function protectedAddressLink(address, key) {
+    return `<a class="protected-link" href="${FALLBACK_HREF}" data-protected="${protect(`mailto:${address}`, key)}" data-protected-display="reversed" data-protected-copy>`
+        + `<span class="protected-text">${PROTECTED_SCHEMES['mailto:'].text}</span></a>`;
+}
+
+// Bare addresses in text, outside links and raw-text elements
+function protectText(html, key) {
+    let skip = null;
+    let count = 0;
+    const output = html.split(/(<[^>]+>)/).map(part => {
+        if (part.startsWith('<')) {
+            const open = part.match(/^<(a|script|style|title|textarea)\b/i);
+            const close = part.match(/^<\/(a|script|style|title|textarea)\s*>/i);
+            if (!skip && open && !part.endsWith('/>')) skip = open[1].toLowerCase();
+            else if (skip && close && close[1].toLowerCase() === skip) skip = null;
+            return part;
+        }
+        if (skip) return part;
+        return part.replace(EMAIL_PATTERN, address => {
+            if (EXAMPLE_DOMAINS.test(address)) return address;
+            count++;
+            return protectedAddressLink(address, key);
+        });
+    }).join('');
+    return { html: output, count };
+}
+
+function readKey(html) {
+    return (html.match(/<html\b[^>]*\sdata-protect-key="([^"]*)"/) || [])[1] || null;
+}
+
+function writeKey(html, key) {
+    return html.replace(/<html\b[^>]*>/, tag => {
+        const attributes = parseAttributes(tag.slice(5, -1));
+        setAttribute(attributes, 'data-protect-key', key);
+        return `<html${serializeAttributes(attributes)}>`;
+    });
+}
+
+function protectPage(html, key) {
+    const oldKey = readKey(html);
+    let protectedCount = 0;
+
+    const linked = html.replace(/<a\b([^>]*)>([\s\S]*?)<\/a>/g, (match, source, inner) => {
+        const link = protectLink(source, inner, oldKey, key);
+        if (!link) return match;
+        protectedCount++;
+        return link;
+    });
+
+    const text = protectText(linked, key);
+    protectedCount += text.count;
+
+    const output = protectedCount > 0 ? writeKey(text.html, key) : text.html;
+    return { html: output, count: protectedCount };
+}
+
+// SECTION: Check
+
+function lineOf(text, index) {
+    return text.slice(0, index).split('\n').length;
+}
+
+function listScripts(root = SITE_ROOT) {
+    const dir = path.join(root, 'js');
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.js') && !name.endsWith('.min.js'))
+        .map(name => path.join(dir, name));
+}
+
+function check(root = SITE_ROOT) {
+    const problems = [];
+    const report = (file, text, index, message) => {
+        problems.push(`${path.relative(root, file)}:${lineOf(text, index)}  ${message}`);
+    };
+
+    readPages(root).forEach(({ file, html }) => {
+        for (const match of html.matchAll(/\s(?:href|data-[\w-]+)="((?:mailto|tel|sms):[^"]*)"/gi)) {
+            report(file, html, match.index, `readable ${match[1].replace(/:.*$/, ':')} link; run node scripts/protect-contacts.js`);
+        }
+        for (const match of html.matchAll(EMAIL_PATTERN)) {
+            if (!EXAMPLE_DOMAINS.test(match[0])) report(file, html, match.index, 'readable email address');
+        }
+
+        const key = readKey(html);
+        for (const match of html.matchAll(/\sdata-protected="([^"]*)"/g)) {
+            if (!key) report(file, html, match.index, 'protected link without <html data-protect-key>');
+            else if (!schemeOf(unprotect(match[1], key))) report(file, html, match.index, 'protected link doesn\'t decode with this page\'s key');
+        }
+    });
+
+    listScripts(root).forEach(file => {
+        const code = fs.readFileSync(file, 'utf8');
+        for (const match of code.matchAll(EMAIL_PATTERN)) {
+            if (!EXAMPLE_DOMAINS.test(match[0])) report(file, code, match.index, 'readable email address; read it from a protected link instead');
+        }
+    });
+
+    return problems;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.mode === 'check') {
+        const problems = check();
+        problems.forEach(problem => console.error(problem));
+        if (problems.length > 0) {
+            throw new Error(`${problems.length} readable address${problems.length === 1 ? '' : 'es'}`);
+        }
+        console.log('No readable email addresses or phone numbers');
+        return;
+    }
+
+    const key = options.key || createKey();
+    readPages().forEach(page => {
+        const { html, count } = protectPage(page.html, key);
+        if (html === page.html) return;
+        fs.writeFileSync(page.file, html);
+        console.log(`Wrote ${path.relative(process.cwd(), page.file)} (${count} protected)`);
+    });
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { protect, unprotect, protectPage, check };
@@ -0,0 +1,198 @@
+//
+//  sw.js
+//  Service worker: precached app shell, runtime caching and an offline fallback
+//
+//  Scripts and stylesheets are served from the cache and refreshed in the background, so an
+//  edit reaches visitors on their next load without touching this file. Bump CACHE_VERSION
+//  when APP_SHELL itself or a strategy changes, to clear out what older versions cached.
+//
+
+const CACHE_VERSION = 'v17';
+const SHELL_CACHE = `portfolio-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `portfolio-runtime-${CACHE_VERSION}`;
+const RUNTIME_CACHE_LIMIT = 60;
+const OFFLINE_URL = '/offline.html';
+
+const APP_SHELL = [
+    '/',
+    '/home/',
+    '/projects/',
+    '/blog/',
+    '/about/',
+    '/contact/',
+    OFFLINE_URL,
+    '/css/bootstrap.min.css',
+    '/css/bootstrap-icons.min.css',
+    '/css/ignite-core.min.css',
+    '/css/portfolio.css',
+    '/js/bootstrap.bundle.min.js',
+    '/js/ignite-core.js',
+    '/js/error-tracker.js',
+    '/js/web-vitals.js',
+    '/js/script-loader.js',
+    '/js/safe-html.js',
+    '/js/table-query.js',
+    '/js/ignite-table.js',
+    '/js/site-search.js',
+    '/js/cache-store.js',
+    '/js/projects-explorer.js',
+    '/js/blog-filter.js',
+    '/js/feed-parser.js',
+    '/js/theme-manager.js',
+    '/js/theme-builder.js',
+    '/js/contact-delivery.js',
+    '/js/contact-form.js',
+    '/js/contact-outbox.js',
+    '/js/page-router.js',
+    '/js/portfolio.js',
+    '/fonts/bootstrap-icons.woff2',
+    '/manifest.webmanifest',
+    '/images/icons/icon-192.png',
+    '/images/icons/icon-512.png'
+];
+
+// Hosts whose responses are worth keeping for offline use
+const API_HOSTS = ['api.github.com'];
+const FEED_HOSTS = ['medium.com'];
+
+self.addEventListener('install', (event) => {
+    // No skipWaiting() here: the page asks for it once the visitor agrees to reload
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(APP_SHELL))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = [SHELL_CACHE, RUNTIME_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('portfolio-') && !currentCaches.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // page-router.js fetches pages itself; they want the same fresh-or-cached handling
+    if (request.mode === 'navigate' || (request.headers.get('Accept') || '').startsWith('text/html')) {
+        event.respondWith(handleNavigation(request));
+    } else if (url.origin === self.location.origin && url.pathname.startsWith('/data/')) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else if (url.origin === self.location.origin && /^\/(?:js|css)\//.test(url.pathname)) {
+        // Precached copies are updated where they are, or caches.match() would keep finding them
+        event.respondWith(staleWhileRevalidate(event, APP_SHELL.includes(url.pathname) ? SHELL_CACHE : RUNTIME_CACHE));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(cacheFirst(request));
+    } else if (API_HOSTS.includes(url.hostname)) {
+        event.respondWith(networkFirst(request));
+    } else if (FEED_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+// The outbox sends through the page's delivery code, so wake an open page to do it.
+// With no page open, failing makes the browser retry the sync later.
+self.addEventListener('sync', (event) => {
+    if (event.tag !== 'contact-outbox') return;
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window' }).then(clients => {
+            if (clients.length === 0) throw new Error('No open page to flush the outbox');
+            clients.forEach(client => client.postMessage({ type: 'FLUSH_OUTBOX' }));
+        })
+    );
+});
+
+// SECTION: Strategies
+
+// Pages are linked without a trailing slash (/home) but precached as directories (/home/)
+async function matchPage(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const url = new URL(request.url);
+    if (!url.pathname.endsWith('/')) {
+        return caches.match(`${url.pathname}/`);
+    }
+    return undefined;
+}
+
+async function handleNavigation(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok && !response.redirected) {
+            putInCache(RUNTIME_CACHE, request, response.clone());
+        }
+        return response;
+    } catch {
+        return (await matchPage(request)) || caches.match(OFFLINE_URL);
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        putInCache(RUNTIME_CACHE, request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        // 304s and rate-limit errors are left to CacheStore on the page
+        if (response.ok) {
+            putInCache(RUNTIME_CACHE, request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(event, cacheName = RUNTIME_CACHE) {
+    const request = event.request;
+    const cached = await caches.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                putInCache(cacheName, request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => undefined);
+    // Answering from the cache mustn't end the worker before the update is stored
+    event.waitUntil(network);
+
+    return cached || (await network) || Response.error();
+}
+
+async function putInCache(cacheName, request, response) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response);
+
+    // Keep the runtime cache bounded; keys() is in insertion order
+    if (cacheName !== RUNTIME_CACHE) return;
+    const keys = await cache.keys();
+    if (keys.length > RUNTIME_CACHE_LIMIT) {
+        await Promise.all(keys
+            .slice(0, keys.length - RUNTIME_CACHE_LIMIT)
+            .map(key => cache.delete(key)));
+    }
+}
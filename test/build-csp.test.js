@@ -0,0 +1,136 @@
+//
+//  build-csp.test.js
+//  The Content Security Policy allows nothing inline, and the pages don't need it to
+//
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildPolicy, buildMeta, check } = require('../scripts/build-csp');
+const { SITE_ROOT } = require('../scripts/lib/site');
+
+// Sources that let inline code or styles run
+const INLINE_SOURCES = /^'(?:unsafe-inline|unsafe-hashes|unsafe-eval|strict-dynamic|sha(?:256|384|512)-.*|nonce-.*)'$/;
+
+function fixtureSite(files) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'build-csp-'));
+    fs.mkdirSync(path.join(root, 'js'));
+    fs.writeFileSync(path.join(root, 'sw.js'), '');
+    Object.entries(files).forEach(([name, contents]) => {
+        fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+        fs.writeFileSync(path.join(root, name), contents);
+    });
+    return root;
+}
+
+function page(policy, body) {
+    return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    ${buildMeta(policy)}
+  </head>
+  <body>
+    ${body}
+  </body>
+</html>
+`;
+}
+
+test('scripts and styles come only from files', () => {
+    const policy = buildPolicy();
+
+    for (const directive of ['script-src', 'style-src', 'default-src']) {
+        const inline = policy[directive].filter(source => INLINE_SOURCES.test(source));
+        assert.deepEqual(inline, [], `${directive} allows inline code`);
+    }
+    assert.equal(policy['style-src'][0], "'self'");
+    assert.deepEqual(policy['object-src'], ["'none'"]);
+});
+
+test('the pages and scripts need nothing the policy blocks', () => {
+    assert.deepEqual(check(SITE_ROOT, buildPolicy()), []);
+});
+
+test('inline styles, scripts and handlers in a page are reported', (t) => {
+    const policy = buildPolicy();
+    const root = fixtureSite({
+        'index.html': page(policy, [
+            '<p style="color: red">Styled</p>',
+            '<style>p { color: red; }</style>',
+            '<script>alert(1)</script>',
+            '<button onclick="alert(1)">Go</button>',
+            '<a href="javascript:alert(1)">Go</a>',
+            '<script src="/js/app.js"></script>',
+            '<script type="application/ld+json">{}</script>'
+        ].join('\n    '))
+    });
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const problems = check(root, policy);
+    assert.equal(problems.length, 5, problems.join('\n'));
+    assert.match(problems[0], /index\.html:\d+ {2}inline <script>/);
+    assert.match(problems.join('\n'), /index\.html:\d+ {2}inline <style> element/);
+    assert.match(problems.join('\n'), /index\.html:\d+ {2}style attribute; use a class/);
+    assert.match(problems.join('\n'), /index\.html:\d+ {2}inline event handler attribute/);
+    assert.match(problems.join('\n'), /index\.html:\d+ {2}javascript: URL/);
+});
+
+test('inline styles and code in generated markup are reported', (t) => {
+    const policy = buildPolicy();
+    const root = fixtureSite({
+        'index.html': page(policy, '<p class="lead">Fine</p>'),
+        'js/cards.js': [
+            'card.innerHTML = `<div style="color: red">${title}</div>`;',
+            'el.setAttribute(\'style\', \'color: red\');',
+            'document.head.append(document.createElement(\'style\'));',
+            'button.innerHTML = \'<span onclick="go()">Go</span>\';',
+            'eval(code);',
+            'el.style.color = \'red\';'
+        ].join('\n')
+    });
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const problems = check(root, policy);
+    assert.deepEqual(problems.map(problem => problem.replace(/^.*:(\d+) {2}/, '$1 ')), [
+        '1 style attribute in generated markup; use a class',
+        '3 <style> element injected; put the rules in a stylesheet',
+        '2 style attribute set; use a class or element.style',
+        '4 inline event handler in generated markup; use addEventListener',
+        '5 eval() needs unsafe-eval'
+    ]);
+});
+
+test('a page without the current policy is reported', (t) => {
+    const policy = buildPolicy();
+    const root = fixtureSite({
+        'index.html': page({ ...policy, 'style-src': ["'self'", "'unsafe-inline'"] }, '<p>Hi</p>'),
+        'about/index.html': '<!doctype html>\n<html><head><meta charset="utf-8" /></head><body></body></html>\n'
+    });
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const problems = check(root, policy);
+    assert.equal(problems.length, 2, problems.join('\n'));
+    problems.forEach(problem => assert.match(problem, /CSP <meta> is missing or out of date/));
+});
+
+test('a webhook or backends chosen on the contact form are allowed to connect', (t) => {
+    const scripts = {};
+    ['contact-delivery.js', 'error-tracker.js', 'web-vitals.js'].forEach(name => {
+        scripts[`js/${name}`] = fs.readFileSync(path.join(SITE_ROOT, 'js', name), 'utf8');
+    });
+    const form = '<form id="contact-form" class="row" data-backends="webhook mailto" data-endpoint="https://formspree.io/f/abc123"></form>';
+    const root = fixtureSite({ ...scripts, 'contact/index.html': page(buildPolicy(), form) });
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const policy = buildPolicy(root);
+    assert.ok(policy['connect-src'].includes('https://formspree.io'), policy['connect-src'].join(' '));
+    assert.equal(buildPolicy()['connect-src'].includes('https://formspree.io'), false);
+
+    // The page still carries the policy from before the form named the webhook
+    const problems = check(root, policy);
+    assert.equal(problems.length, 1, problems.join('\n'));
+    assert.match(problems[0], /contact\/index\.html {2}CSP <meta> is missing or out of date/);
+});
@@ -0,0 +1,84 @@
+//
+//  build-data.test.js
+//  Snapshots from the fixtures, and what is written when GitHub or Medium is down
+//
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { buildSnapshots, createFixtureTransport, SNAPSHOT_VERSION } = require('../scripts/build-data');
+const { SITE_URL } = require('../scripts/lib/site');
+
+const FIXTURES = path.join(__dirname, '..', 'scripts', 'fixtures');
+const OPTIONS = { github: 'iosdevpriyank', medium: '@priyankgandhi', enrich: true };
+const FEED_URL = 'https://medium.com/feed/@priyankgandhi';
+
+function respond(status, body = null) {
+    return {
+        status,
+        headers: { get: () => null },
+        json: async () => body,
+        text: async () => JSON.stringify(body)
+    };
+}
+
+// The fixtures, with some URLs answered differently
+function transport(overrides) {
+    const fixtures = createFixtureTransport(FIXTURES);
+    return async url => (url in overrides ? overrides[url] : fixtures(url));
+}
+
+function quiet(t) {
+    t.mock.method(console, 'warn', () => {});
+    return () => console.warn.mock.calls.map(call => call.arguments.join(' '));
+}
+
+test('both snapshots come from the sources when they answer', async (t) => {
+    const warnings = quiet(t);
+    const snapshots = await buildSnapshots(transport({}), OPTIONS);
+
+    assert.deepEqual(Object.keys(snapshots), ['repos.json', 'posts.json']);
+    assert.equal(snapshots['repos.json'].source, 'github');
+    assert.equal(snapshots['repos.json'].items.length, 3);
+    assert.equal(snapshots['posts.json'].source, 'medium');
+    assert.equal(snapshots['posts.json'].items.length, 2);
+    assert.deepEqual(warnings(), []);
+});
+
+test('a failing source keeps the snapshot the site already publishes', async (t) => {
+    const warnings = quiet(t);
+    const published = {
+        version: SNAPSHOT_VERSION,
+        generatedAt: '2026-01-02T03:04:05.000Z',
+        source: 'medium',
+        feedUrl: FEED_URL,
+        items: [{ title: 'An older post' }]
+    };
+    const snapshots = await buildSnapshots(transport({
+        [FEED_URL]: respond(503),
+        [`${SITE_URL}/data/posts.json`]: respond(200, published)
+    }), OPTIONS);
+
+    assert.deepEqual(snapshots['posts.json'], published);
+    assert.equal(snapshots['repos.json'].items.length, 3);
+    assert.deepEqual(warnings(), [
+        `Could not build posts.json: HTTP 503 for ${FEED_URL}`,
+        'Keeping the published posts.json from 2026-01-02T03:04:05.000Z'
+    ]);
+});
+
+test('without a usable published snapshot an empty one is written', async (t) => {
+    const warnings = quiet(t);
+    const snapshots = await buildSnapshots(transport({
+        [FEED_URL]: respond(429),
+        // From an older version of the site, so not something the pages can read
+        [`${SITE_URL}/data/posts.json`]: respond(200, { version: SNAPSHOT_VERSION + 1, source: 'medium', items: [] })
+    }), OPTIONS);
+
+    const posts = snapshots['posts.json'];
+    assert.equal(posts.version, SNAPSHOT_VERSION);
+    assert.equal(posts.source, 'medium');
+    assert.deepEqual(posts.items, []);
+    assert.ok(!Number.isNaN(Date.parse(posts.generatedAt)));
+    assert.match(warnings().at(-1), /No published posts\.json to keep; writing an empty one/);
+});
@@ -0,0 +1,164 @@
+//
+//  build-feeds.test.js
+//  The generated feeds and sitemap against their specifications
+//
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { buildRSS, buildAtom, buildJSONFeed, buildSitemap } = require('../scripts/build-feeds');
+const { buildPosts, createFixtureTransport } = require('../scripts/build-data');
+const { validateRSS, validateAtom, validateJSONFeed, validateSitemap } = require('../scripts/lib/feed-schema');
+const { parseFeed } = require('../scripts/lib/feed');
+
+const FIXTURES = path.join(__dirname, '..', 'scripts', 'fixtures');
+
+const site = {
+    url: 'https://iosdevpriyank.github.io',
+    name: 'Senior iOS Developer Portfolio',
+    author: 'Priyank Gandhi',
+    description: 'Modern portfolio showcasing my work and skills',
+    language: 'en'
+};
+
+const pages = [
+    { path: '/', lastmod: new Date('2025-09-01T10:00:00Z') },
+    { path: '/about', lastmod: new Date('2025-08-01T10:00:00Z') },
+    { path: '/projects/finance-tracker', lastmod: new Date('2025-07-01T10:00:00Z'), priority: '0.7' }
+];
+
+const updated = new Date('2025-09-01T10:00:00Z');
+
+async function fixturePosts() {
+    const snapshot = await buildPosts(createFixtureTransport(FIXTURES), { medium: '@priyankgandhi' });
+    return snapshot.items;
+}
+
+// Markup, entities and CDATA terminators from a feed item must survive every format
+const hostilePost = {
+    title: 'Tips & <tricks> for "Swift"',
+    link: 'https://medium.com/@priyankgandhi/tips?a=1&b=2',
+    description: 'Less than < and greater than >',
+    content: '<p>Ends early? ]]> No.</p><script>alert(1)</script>',
+    pubDate: '2025-09-02T08:00:00.000Z',
+    author: null,
+    categories: ['swift', 'R&D'],
+    thumbnail: 'https://cdn-images-1.medium.com/max/1024/1*tips.jpg?w=1&h=2'
+};
+
+test('feeds built from the fixture posts are valid', async () => {
+    const posts = await fixturePosts();
+    assert.ok(posts.length > 0);
+
+    assert.deepEqual(validateRSS(buildRSS(site, posts, updated)), []);
+    assert.deepEqual(validateAtom(buildAtom(site, posts, updated)), []);
+    assert.deepEqual(validateJSONFeed(buildJSONFeed(site, posts)), []);
+    assert.deepEqual(validateSitemap(buildSitemap(site, pages), site.url), []);
+});
+
+test('every post ends up in every feed', async () => {
+    const posts = await fixturePosts();
+
+    const rss = parseFeed(buildRSS(site, posts, updated));
+    const atom = parseFeed(buildAtom(site, posts, updated));
+    const json = JSON.parse(buildJSONFeed(site, posts));
+
+    assert.deepEqual(rss.items.map(item => item.link), posts.map(post => post.link));
+    assert.deepEqual(atom.items.map(item => item.link), posts.map(post => post.link));
+    assert.deepEqual(json.items.map(item => item.url), posts.map(post => post.link));
+});
+
+test('hostile post text stays valid and round-trips', () => {
+    const posts = [hostilePost];
+    const rssXml = buildRSS(site, posts, updated);
+    const atomXml = buildAtom(site, posts, updated);
+
+    assert.deepEqual(validateRSS(rssXml), []);
+    assert.deepEqual(validateAtom(atomXml), []);
+    assert.deepEqual(validateJSONFeed(buildJSONFeed(site, posts)), []);
+
+    const rss = parseFeed(rssXml).items[0];
+    assert.equal(rss.title, hostilePost.title);
+    assert.equal(rss.content, hostilePost.content);
+    assert.deepEqual(rss.categories, hostilePost.categories);
+    assert.equal(rss.enclosures[0].url, hostilePost.thumbnail);
+
+    const atom = parseFeed(atomXml).items[0];
+    assert.equal(atom.title, hostilePost.title);
+    assert.equal(atom.content, hostilePost.content);
+});
+
+test('posts without content or date still make valid feeds', () => {
+    const posts = [{ ...hostilePost, content: '', pubDate: null, thumbnail: null, categories: [] }];
+
+    assert.deepEqual(validateRSS(buildRSS(site, posts, updated)), []);
+    assert.deepEqual(validateAtom(buildAtom(site, posts, updated)), []);
+    const json = buildJSONFeed(site, posts);
+    assert.deepEqual(validateJSONFeed(json), []);
+    assert.equal(JSON.parse(json).items[0].content_text, hostilePost.description);
+});
+
+test('validateRSS reports what the RSS 2.0 specification requires', () => {
+    const valid = buildRSS(site, [hostilePost], updated);
+    const problems = xml => validateRSS(xml).join('\n');
+
+    assert.match(problems('<rss version="2.0"><channel>'), /not well-formed/);
+    assert.match(problems('<feed />'), /root element/);
+    assert.match(problems(valid.replace('version="2.0"', 'version="0.91"')), /version="2.0"/);
+    assert.match(problems(valid.replace(/<description>Modern[^<]*<\/description>/, '')), /<channel> needs exactly one <description>/);
+    assert.match(problems(valid.replace(`<link>${site.url}</link>`, '<link>/relative</link>')), /<channel><link> is not an absolute URL/);
+    assert.match(problems(valid.replace(/<pubDate>[^<]*<\/pubDate>/, '<pubDate>2025-09-02</pubDate>')), /not an RFC 822 date/);
+    assert.match(problems(valid.replace(/<title>Tips[^<]*<\/title>/, '').replace(/<description>Less[^<]*<\/description>/, '')), /needs a <title> or a <description>/);
+    assert.match(problems(valid.replace(/length="0"/, '')), /length must be a number of bytes/);
+    assert.match(problems(valid.replace(/<guid isPermaLink="true">[^<]*<\/guid>/, '<guid>post-1</guid>')), /permalink <guid>/);
+    assert.match(problems(valid.replace(' xmlns:dc="http://purl.org/dc/elements/1.1/"', '')), /<dc:creator> uses an undeclared namespace prefix/);
+
+    assert.deepEqual(validateRSS(valid.replace(/<guid isPermaLink="true">[^<]*<\/guid>/, '<guid isPermaLink="false">post-1</guid>')), []);
+});
+
+test('validateAtom reports what RFC 4287 requires', () => {
+    const valid = buildAtom(site, [hostilePost], updated);
+    const problems = xml => validateAtom(xml).join('\n');
+
+    assert.match(problems(valid.replace('xmlns="http://www.w3.org/2005/Atom"', '')), /root element/);
+    assert.match(problems(valid.replace(/<updated>[^<]*<\/updated>/, '')), /<feed> needs exactly one <updated>/);
+    assert.match(problems(valid.replace(/<entry><id>[^<]*<\/id>/, '<entry>')), /entry 1 needs exactly one <id>/);
+    assert.match(problems(valid.replace(/<published>[^<]*<\/published>/, '<published>Tue, 02 Sep 2025 08:00:00 GMT</published>')), /not an RFC 3339 date/);
+    assert.match(problems(valid.replace(/<author>.*?<\/author>/g, '')), /needs an <author>/);
+    assert.match(problems(valid.replace(/<content[^>]*>[\s\S]*?<\/content>/, '').replace(/<link rel="alternate" type="text\/html" href="https:\/\/medium[^>]*\/>/, '')), /needs <content> or an alternate <link>/);
+});
+
+test('validateJSONFeed reports what JSON Feed 1.1 requires', () => {
+    const feed = JSON.parse(buildJSONFeed(site, [hostilePost]));
+    const problems = change => {
+        const copy = structuredClone(feed);
+        change(copy);
+        return validateJSONFeed(JSON.stringify(copy)).join('\n');
+    };
+
+    assert.match(validateJSONFeed('{"version":').join('\n'), /not valid JSON/);
+    assert.match(validateJSONFeed('[]').join('\n'), /not an object/);
+    assert.match(problems(copy => { copy.version = 'https://jsonfeed.org/version/1'; }), /version must be/);
+    assert.match(problems(copy => { delete copy.title; }), /title is required/);
+    assert.match(problems(copy => { delete copy.items; }), /items is required/);
+    assert.match(problems(copy => { copy.feed_url = '/feed.json'; }), /feed_url is not an absolute URL/);
+    assert.match(problems(copy => { copy.items[0].id = 1; }), /id is required and must be a string/);
+    assert.match(problems(copy => { copy.items.push({ ...copy.items[0] }); }), /is used twice/);
+    assert.match(problems(copy => { delete copy.items[0].content_html; }), /needs content_html or content_text/);
+    assert.match(problems(copy => { copy.items[0].date_published = '02/09/2025'; }), /date_published is not an RFC 3339 date/);
+    assert.match(problems(copy => { copy.items[0].tags = ['swift', 3]; }), /tags must be an array of strings/);
+    assert.match(problems(copy => { copy.authors = [{}]; }), /author 1 needs a name, url or avatar/);
+});
+
+test('validateSitemap reports what the sitemap protocol requires', () => {
+    const valid = buildSitemap(site, pages);
+    const problems = xml => validateSitemap(xml, site.url).join('\n');
+
+    assert.match(problems(valid.replace('http://www.sitemaps.org/schemas/sitemap/0.9', 'http://example.com/ns')), /root element/);
+    assert.match(problems(valid.replace(`<loc>${site.url}/about</loc>`, '<loc>/about</loc>')), /is not an absolute URL/);
+    assert.match(problems(valid.replace(`<loc>${site.url}/about</loc>`, '<loc>https://example.com/about</loc>')), /is on another host/);
+    assert.match(problems(valid.replace(`<loc>${site.url}/about</loc>`, `<loc>${site.url}/</loc>`)), /listed twice/);
+    assert.match(problems(valid.replace(/<lastmod>[^<]*<\/lastmod>/, '<lastmod>01/09/2025</lastmod>')), /not a W3C datetime/);
+    assert.match(problems(valid.replace(/<priority>[^<]*<\/priority>/, '<priority>1.5</priority>')), /not between 0.0 and 1.0/);
+    assert.match(problems(valid.replace('</url>', '<changefreq>sometimes</changefreq></url>')), /<changefreq> "sometimes"/);
+});
@@ -0,0 +1,150 @@
+//
+//  build-search.test.js
+//  The search index built from fixture pages and snapshots, searched the way the browser does
+//
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildIndex, tokenize, pageDocuments, projectDocuments, postDocuments, SEARCH_INDEX_VERSION } = require('../scripts/build-search');
+const { buildRepos, buildPosts, createFixtureTransport } = require('../scripts/build-data');
+const { SITE_ROOT, listPages } = require('../scripts/lib/site');
+const { loadBrowserScript } = require('./helpers/browser-script');
+
+const SITE = path.join(__dirname, 'fixtures', 'site');
+const DATA_FIXTURES = path.join(__dirname, '..', 'scripts', 'fixtures');
+
+const browser = loadBrowserScript(['table-query.js', 'site-search.js'], ['SearchIndex', 'tokenize', 'SITE_SEARCH_SETTINGS'], {
+    document: { addEventListener() {} }
+});
+
+// Snapshots as build-data.js writes them, from its own fixtures
+async function snapshotDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-search-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const transport = createFixtureTransport(DATA_FIXTURES);
+    const [repos, posts] = await Promise.all([
+        buildRepos(transport, { github: 'iosdevpriyank', enrich: true }),
+        buildPosts(transport, { medium: '@priyankgandhi' })
+    ]);
+    fs.writeFileSync(path.join(dir, 'repos.json'), JSON.stringify(repos));
+    fs.writeFileSync(path.join(dir, 'posts.json'), JSON.stringify(posts));
+    return dir;
+}
+
+async function siteIndex(t) {
+    const dir = await snapshotDir(t);
+    return buildIndex([...pageDocuments(SITE), ...projectDocuments(dir), ...postDocuments(dir)]);
+}
+
+// What the browser gets: the index as JSON, searched by js/site-search.js
+function search(index, query) {
+    const searchIndex = new browser.SearchIndex(JSON.parse(JSON.stringify(index)));
+    return Array.from(searchIndex.search(query), result => `${result.document.type} ${result.document.title}`);
+}
+
+test('every page is a document, titled without the site name and read from its main content only', () => {
+    const documents = pageDocuments(SITE);
+    assert.deepEqual(documents.map(document => [document.url, document.title]), [
+        ['/', 'Home'],
+        ['/about', 'About'],
+        ['/contact', 'Contact']
+    ]);
+
+    const about = documents.find(document => document.url === '/about');
+    assert.match(about.text, /^About Me My Journey From Objective-C to Swift/);
+    assert.equal(about.keywords, 'About Me My Journey');
+
+    const text = documents.map(document => document.text).join('\n');
+    for (const hidden of ['Navbrand', 'Navlink', 'Footertext', 'hiddenScriptWord', 'Templateword', 'Protectedword']) {
+        assert.doesNotMatch(text, new RegExp(hidden), `${hidden} is indexed`);
+    }
+    const contact = documents.find(document => document.url === '/contact');
+    assert.doesNotMatch(contact.text, /\d{5}/, 'phone number is indexed');
+    assert.match(contact.text, /Available for freelance projects/);
+});
+
+test('the site pages are found and fixture pages are not', () => {
+    const urls = listPages(SITE_ROOT).map(page => page.path);
+    assert.ok(urls.includes('/about'));
+    assert.deepEqual(urls.filter(url => url.startsWith('/test')), []);
+});
+
+test('the index holds every page, project and post', async (t) => {
+    const index = await siteIndex(t);
+
+    assert.equal(index.version, SEARCH_INDEX_VERSION);
+    assert.equal(index.version, browser.SITE_SEARCH_SETTINGS.indexVersion, 'site-search.js expects another index version');
+    assert.ok(!Number.isNaN(Date.parse(index.generatedAt)));
+    assert.deepEqual(index.documents.map(([type, title]) => `${type} ${title}`), [
+        'page Home',
+        'page About',
+        'page Contact',
+        'project iOS Finance Tracker',
+        'project SwiftUI Components',
+        'project AR Shopping App',
+        'post Building Modern iOS Apps with SwiftUI',
+        'post iOS Performance Optimization Techniques'
+    ]);
+
+    Object.entries(index.terms).forEach(([term, postings]) => {
+        assert.equal(postings.length % 2, 0, term);
+        for (let i = 0; i < postings.length; i += 2) {
+            assert.ok(Number.isInteger(postings[i]) && postings[i] < index.documents.length, term);
+            assert.ok(postings[i + 1] > 0, term);
+        }
+    });
+    index.stopWords.forEach(word => assert.equal(index.terms[word], undefined, word));
+});
+
+test('missing snapshots leave projects and posts out', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const dir = path.join(os.tmpdir(), 'build-search-missing');
+    assert.deepEqual(projectDocuments(dir), []);
+    assert.deepEqual(postDocuments(dir), []);
+    assert.equal(console.warn.mock.callCount(), 2);
+});
+
+test('words are weighted by where they appear, with repeats capped', () => {
+    const index = buildIndex([
+        { type: 'page', title: 'Swift', url: '/a', keywords: '', text: '' },
+        { type: 'page', title: 'Other', url: '/b', keywords: 'swift', text: '' },
+        { type: 'page', title: 'Other', url: '/c', keywords: '', text: 'swift' },
+        { type: 'page', title: 'Other', url: '/d', keywords: '', text: 'swift '.repeat(20) }
+    ]);
+    assert.deepEqual(index.terms.swift, [0, 10, 1, 4, 2, 1, 3, 5]);
+
+    const long = buildIndex([{ type: 'page', title: 'Long', url: '/', keywords: '', text: 'word '.repeat(400) }]);
+    assert.ok(long.documents[0][3].length <= 601);
+    assert.ok(long.documents[0][3].endsWith('word…'));
+});
+
+test('the build and the browser cut text into the same tokens', () => {
+    const samples = ['SwiftUI & Core-Data', 'Café, côte d’ivoire', 'iOS 17: the a-to-z of it', 'x y ÅR-Kit 2025'];
+    const stopWords = new Set(['the', 'of', 'it']);
+    samples.forEach(sample => {
+        assert.deepEqual(Array.from(browser.tokenize(sample, stopWords)), tokenize(sample, stopWords), sample);
+    });
+});
+
+test('searches find pages, projects and posts, title matches first', async (t) => {
+    const index = await siteIndex(t);
+
+    assert.deepEqual(search(index, 'journey'), ['page About']);
+    assert.deepEqual(search(index, 'freelance'), ['page Contact']);
+    assert.deepEqual(search(index, 'cafe'), ['page About']);
+    assert.deepEqual(search(index, 'cloudkit'), ['project iOS Finance Tracker']);
+    assert.deepEqual(search(index, 'performance'), ['post iOS Performance Optimization Techniques']);
+    // In the title of one, the topics of another and the text of the rest
+    assert.equal(search(index, 'swiftui')[0], 'project SwiftUI Components');
+    // Prefixes and typos
+    assert.ok(search(index, 'augment').includes('project AR Shopping App'));
+    assert.ok(search(index, 'perfromance').includes('post iOS Performance Optimization Techniques'));
+    // Every word has to match; stop words and what isn't indexed find nothing
+    assert.deepEqual(search(index, 'cloudkit arkit'), []);
+    assert.deepEqual(search(index, 'the'), []);
+    assert.deepEqual(search(index, 'footertext'), []);
+});
@@ -0,0 +1,161 @@
+//
+//  contact-delivery.test.js
+//  Backend fallback, mail-app handoff, retryable errors and form overrides, sent to mocks
+//
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScript } = require('./helpers/browser-script');
+
+const MESSAGE = { name: 'Jane Doe', email: 'jane@example.com', subject: 'Hello', message: 'An app idea' };
+
+// A page with fetch answering `statuses` in turn (a thrown TypeError for 'offline')
+function load(statuses = []) {
+    const requests = [];
+    const warnings = [];
+    const page = {
+        location: { href: 'https://iosdevpriyank.github.io/contact' },
+        URLSearchParams,
+        setTimeout,
+        console: { ...console, warn: (...args) => warnings.push(args.join(' ')) },
+        fetch: async (url, init) => {
+            requests.push({ url, ...init });
+            const status = statuses.shift() ?? 200;
+            if (status === 'offline') throw new TypeError('Failed to fetch');
+            return { ok: status >= 200 && status < 300, status };
+        }
+    };
+    const script = loadBrowserScript(['contact-delivery.js', 'contact-outbox.js'], [
+        'ContactDelivery',
+        'CONTACT_DELIVERY_SETTINGS',
+        'isRetryableDeliveryError'
+    ], page);
+    return { ...script, page, requests, warnings };
+}
+
+function settings(backends, overrides = {}) {
+    return {
+        backends,
+        webhook: { url: 'https://hooks.example.com/contact', format: 'json', headers: {} },
+        mailto: { address: 'owner@example.com' },
+        mock: {},
+        ...overrides
+    };
+}
+
+test('backends are tried in order until one delivers', async () => {
+    const { ContactDelivery, requests, warnings } = load([503]);
+    const delivery = new ContactDelivery(settings(['webhook', 'mock', 'mailto']));
+
+    const result = await delivery.send(MESSAGE);
+    assert.deepEqual({ ...result }, { backend: 'mock', handoff: false });
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].url, 'https://hooks.example.com/contact');
+    assert.deepEqual({ ...delivery.get('mock').sent[0] }, MESSAGE);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /Contact backend "webhook" failed/);
+});
+
+test('the first backend that works is the only one used', async () => {
+    const { ContactDelivery, requests } = load([200]);
+    const delivery = new ContactDelivery(settings(['webhook', 'mock']));
+
+    const result = await delivery.send(MESSAGE);
+    assert.equal(result.backend, 'webhook');
+    assert.deepEqual(JSON.parse(requests[0].body), { ...MESSAGE, _replyto: MESSAGE.email });
+    assert.equal(delivery.get('mock').sent.length, 0);
+});
+
+test('when every backend fails the last error is thrown', async () => {
+    const { ContactDelivery } = load([500]);
+    const delivery = new ContactDelivery(settings(['webhook', 'mock'], { mock: { fail: true } }));
+
+    await assert.rejects(delivery.send(MESSAGE), /Mock delivery failure/);
+    await assert.rejects(new ContactDelivery(settings([])).send(MESSAGE), /No contact backends configured/);
+});
+
+test('unknown backends are left out with a warning', () => {
+    const { ContactDelivery, warnings } = load();
+    const delivery = new ContactDelivery(settings(['carrier-pigeon', 'mock']));
+
+    assert.deepEqual(Array.from(delivery.adapters, adapter => adapter.name), ['mock']);
+    assert.match(warnings[0], /Unknown contact backend "carrier-pigeon"/);
+});
+
+test('mailto hands the message to the mail app, only when a handoff is allowed', async () => {
+    const { ContactDelivery, page } = load();
+    const delivery = new ContactDelivery(settings(['mock', 'mailto'], { mock: { fail: true } }));
+
+    // What the outbox asks for: a failure to queue, not a mail app opening
+    await assert.rejects(delivery.send(MESSAGE, { handoff: false }), /Mock delivery failure/);
+    assert.equal(page.location.href, 'https://iosdevpriyank.github.io/contact');
+
+    const result = await delivery.send(MESSAGE);
+    assert.deepEqual({ ...result }, { backend: 'mailto', handoff: true });
+    const url = new URL(page.location.href);
+    assert.equal(url.protocol, 'mailto:');
+    assert.equal(url.pathname, 'owner@example.com');
+    assert.equal(url.searchParams.get('subject'), 'Hello');
+    assert.equal(url.searchParams.get('body'), 'An app idea\n\n— Jane Doe <jane@example.com>');
+    assert.doesNotMatch(page.location.href, /\+/);
+});
+
+test('only errors that a retry might fix are retryable', async () => {
+    const { ContactDelivery, isRetryableDeliveryError } = load(['offline', 429, 500, 503, 400, 403, 422]);
+    const delivery = new ContactDelivery(settings(['webhook']));
+
+    const retryable = [];
+    for (let i = 0; i < 7; i++) {
+        const error = await delivery.send(MESSAGE).catch(caught => caught);
+        retryable.push([error.status ?? error.name, isRetryableDeliveryError(error)]);
+    }
+    assert.deepEqual(retryable, [
+        ['TypeError', true],
+        [429, true],
+        [500, true],
+        [503, true],
+        [400, false],
+        [403, false],
+        [422, false]
+    ]);
+    // Nothing configured is treated like a network failure
+    assert.equal(isRetryableDeliveryError(new Error('No webhook URL configured')), true);
+});
+
+test('data- attributes on the form override the settings without changing them', async () => {
+    const { ContactDelivery, CONTACT_DELIVERY_SETTINGS, requests } = load([200]);
+    const form = {
+        dataset: {
+            backends: 'webhook, mock mailto',
+            endpoint: 'https://formspree.io/f/abc123',
+            endpointFormat: 'form',
+            mailto: 'me@example.com',
+            emailjsService: 'service_other',
+            mockFail: ''
+        }
+    };
+    const delivery = ContactDelivery.fromForm(form);
+
+    assert.deepEqual(Array.from(delivery.adapters, adapter => adapter.name), ['webhook', 'mock', 'mailto']);
+    assert.equal(delivery.get('mailto').address(), 'me@example.com');
+    assert.equal(delivery.settings.emailjs.serviceID, 'service_other');
+    assert.equal(delivery.get('mock').settings.fail, true);
+
+    await delivery.send(MESSAGE);
+    assert.equal(requests[0].url, 'https://formspree.io/f/abc123');
+    assert.equal(String(requests[0].body), new URLSearchParams({ ...MESSAGE, _replyto: MESSAGE.email }).toString());
+    assert.equal(requests[0].headers['Content-Type'], undefined);
+
+    assert.deepEqual(Array.from(CONTACT_DELIVERY_SETTINGS.backends), ['emailjs', 'mailto']);
+    assert.equal(CONTACT_DELIVERY_SETTINGS.webhook.url, null);
+    assert.equal(CONTACT_DELIVERY_SETTINGS.emailjs.serviceID, 'service_esv4plm');
+});
+
+test('a form without data- attributes uses the settings as they are', () => {
+    const { ContactDelivery, CONTACT_DELIVERY_SETTINGS } = load();
+    const delivery = ContactDelivery.fromForm({ dataset: {} });
+
+    assert.deepEqual(Array.from(delivery.adapters, adapter => adapter.name), Array.from(CONTACT_DELIVERY_SETTINGS.backends));
+    assert.equal(delivery.settings.webhook.url, null);
+    assert.equal(delivery.get('mailto').settings.address, null);
+});
@@ -0,0 +1,32 @@
+//
+//  browser-script.js
+//  Runs the site's browser scripts in a vm context, for tests
+//
+//  The scripts declare globals rather than exporting, so the names a test needs are read
+//  back out of the context once the scripts have run, in the order the pages load them.
+//  `globals` stands in for whatever they touch on window or document. What comes back
+//  belongs to the context's realm, with its own Object and Array, so copy values out
+//  before comparing them with deepEqual.
+//
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPTS = path.join(__dirname, '..', '..', 'js');
+
+// `names` is one file in js/ or a list of them; like <script> tags they share top-level names
+function loadBrowserScript(names, exports, globals = {}) {
+    const context = vm.createContext({ URL, console, ...globals });
+    if (!context.window) context.window = context;
+
+    const files = [].concat(names);
+    files.slice(0, -1).forEach(name => {
+        vm.runInContext(fs.readFileSync(path.join(SCRIPTS, name), 'utf8'), context, { filename: name });
+    });
+    const last = files[files.length - 1];
+    const source = fs.readFileSync(path.join(SCRIPTS, last), 'utf8');
+    return vm.runInContext(`${source}\n;({ ${exports.join(', ')} });`, context, { filename: last });
+}
+
+module.exports = { loadBrowserScript };
@@ -0,0 +1,223 @@
+//
+//  ignite-table.test.js
+//  Sorting, filtering, paging, highlighting and export of data-ignite-table tables
+//
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The tables are DOM all the way down; without jsdom these tests are skipped
+let JSDOM = null;
+try {
+    ({ JSDOM } = require('jsdom'));
+} catch {
+    // Nothing to run them in
+}
+
+const SKIP = !JSDOM && 'jsdom is not installed';
+const SCRIPTS = path.join(__dirname, '..', 'js');
+
+// In the order the pages load them
+const TABLE_SCRIPTS = ['safe-html.js', 'table-query.js', 'ignite-table.js', 'ignite-core.js'];
+
+const REPOS = [
+    ['Finance Tracker', 'Swift', '1,204', ['Sep 2, 2025', '2025-09-02']],
+    ['Café Widgets', 'Swift', '12', ['Jan 5, 2024', '2024-01-05']],
+    ['Core Data Kit', 'Objective-C', '7', ['Mar 1, 2023', '2023-03-01']],
+    ['Old Archived App', 'Swift', '0', ['Jun 9, 2019', '2019-06-09']]
+];
+
+function tableMarkup(attributes) {
+    const rows = REPOS.map(([name, language, stars, [date, sortValue]]) =>
+        `<tr><td><a href="/projects/${name}">${name}</a></td><td>${language}</td><td>${stars}</td><td data-sort-value="${sortValue}">${date}</td></tr>`);
+    return `<!doctype html>
+<html><body>
+<table id="repos" class="table table-striped" data-ignite-table ${attributes}>
+  <thead><tr><th>Name</th><th>Language</th><th>Stars</th><th>Last updated</th></tr></thead>
+  <tbody>${rows.join('')}</tbody>
+</table>
+</body></html>`;
+}
+
+// A page with the table enhanced, as after DOMContentLoaded
+function load(attributes = '') {
+    const dom = new JSDOM(tableMarkup(attributes), { url: 'https://iosdevpriyank.github.io/projects', runScripts: 'outside-only' });
+    const context = dom.getInternalVMContext();
+    TABLE_SCRIPTS.forEach(name => {
+        vm.runInContext(fs.readFileSync(path.join(SCRIPTS, name), 'utf8'), context, { filename: name });
+    });
+    dom.window.document.dispatchEvent(new dom.window.Event('DOMContentLoaded'));
+
+    const { document } = dom.window;
+    const table = document.getElementById('repos');
+    return {
+        window: dom.window,
+        document,
+        table,
+        enhanced: table.igniteTable,
+        names: () => Array.from(table.tBodies[0].rows, row => row.cells[0].textContent),
+        marks: () => Array.from(table.querySelectorAll('mark.ignite-table-match'), mark => mark.textContent),
+        summary: () => document.querySelector('.ignite-table-summary').textContent,
+        header: text => Array.from(table.tHead.rows[0].cells).find(cell => cell.textContent === text)
+    };
+}
+
+test('data-ignite-table tables get sort buttons, column filters and a summary', { skip: SKIP }, () => {
+    const { table, enhanced, document, names, summary, header } = load();
+
+    assert.ok(enhanced);
+    assert.ok(table.classList.contains('ignite-table'));
+    assert.equal(table.querySelectorAll('th > button.ignite-table-sort').length, 4);
+    assert.equal(header('Stars').getAttribute('aria-sort'), 'none');
+    assert.equal(table.querySelectorAll('.ignite-table-filters input').length, 4);
+    assert.equal(document.querySelector('.ignite-table-filters input').getAttribute('aria-label'), 'Filter Name');
+    assert.deepEqual(Array.from(enhanced.types), ['text', 'text', 'number', 'date']);
+    assert.deepEqual(names(), REPOS.map(([name]) => name));
+    assert.equal(summary(), 'Showing 1–4 of 4 rows');
+});
+
+test('clicking a header sorts by its type, and clicking again reverses', { skip: SKIP }, () => {
+    const { names, header } = load();
+
+    header('Stars').querySelector('button').click();
+    assert.deepEqual(names(), ['Old Archived App', 'Core Data Kit', 'Café Widgets', 'Finance Tracker']);
+    assert.equal(header('Stars').getAttribute('aria-sort'), 'ascending');
+
+    header('Stars').querySelector('button').click();
+    assert.deepEqual(names(), ['Finance Tracker', 'Café Widgets', 'Core Data Kit', 'Old Archived App']);
+    assert.equal(header('Stars').getAttribute('aria-sort'), 'descending');
+
+    // By data-sort-value, not the displayed "Mar 1, 2023"
+    header('Last updated').querySelector('button').click();
+    assert.deepEqual(names(), ['Old Archived App', 'Core Data Kit', 'Café Widgets', 'Finance Tracker']);
+    assert.equal(header('Stars').getAttribute('aria-sort'), 'none');
+
+    header('Name').querySelector('button').click();
+    assert.deepEqual(names(), ['Café Widgets', 'Core Data Kit', 'Finance Tracker', 'Old Archived App']);
+});
+
+test('shift-click adds a tie-breaker while aria-sort stays on the primary column', { skip: SKIP }, () => {
+    const { window, names, header } = load();
+    const click = (text, shiftKey) => header(text).querySelector('button')
+        .dispatchEvent(new window.MouseEvent('click', { bubbles: true, shiftKey }));
+
+    click('Language', false);
+    click('Stars', true);
+    assert.deepEqual(names(), ['Core Data Kit', 'Old Archived App', 'Café Widgets', 'Finance Tracker']);
+    assert.equal(header('Language').getAttribute('aria-sort'), 'ascending');
+    assert.equal(header('Stars').getAttribute('aria-sort'), 'none');
+    assert.equal(header('Language').querySelector('button').dataset.sortOrder, '1');
+    assert.equal(header('Stars').querySelector('button').dataset.sortOrder, '2');
+
+    // Shift-clicking a tie-breaker again flips just that column
+    click('Stars', true);
+    assert.deepEqual(names(), ['Core Data Kit', 'Finance Tracker', 'Café Widgets', 'Old Archived App']);
+    assert.equal(header('Stars').querySelector('button').dataset.sortDirection, 'descending');
+});
+
+test('search and column filters narrow the rows and mark what matched', { skip: SKIP }, () => {
+    const { enhanced, table, names, marks, summary } = load();
+
+    enhanced.setQuery('swift -archived');
+    assert.deepEqual(names(), ['Finance Tracker', 'Café Widgets']);
+    assert.deepEqual(marks(), ['Swift', 'Swift']);
+    assert.equal(summary(), 'Showing 1–2 of 2 rows (filtered from 4)');
+
+    enhanced.setColumnFilter(2, '>100');
+    assert.deepEqual(names(), ['Finance Tracker']);
+    assert.equal(table.querySelectorAll('.ignite-table-filters input')[2].value, '>100');
+
+    // Matching ignores accents, and so does the highlighting; links in cells survive it
+    enhanced.setColumnFilter(2, '');
+    enhanced.setQuery('cafe');
+    assert.deepEqual(names(), ['Café Widgets']);
+    assert.deepEqual(marks(), ['Café']);
+    assert.equal(table.querySelector('tbody a').innerHTML, '<mark class="ignite-table-match">Café</mark> Widgets');
+
+    enhanced.setQuery('kotlin');
+    assert.deepEqual(names(), []);
+    assert.equal(summary(), 'No matching rows (filtered from 4)');
+
+    enhanced.setQuery('');
+    assert.deepEqual(names(), REPOS.map(([name]) => name));
+    assert.deepEqual(marks(), []);
+    assert.equal(table.querySelector('tbody a').innerHTML, 'Finance Tracker');
+});
+
+test('the search box filters once typing pauses', { skip: SKIP }, async () => {
+    const { window, document, enhanced, names } = load();
+    enhanced.debounce = 10;
+
+    const input = document.querySelector('.ignite-table-search');
+    input.value = 'language:objective';
+    input.dispatchEvent(new window.Event('input'));
+    assert.equal(names().length, 4);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual(names(), ['Core Data Kit']);
+    assert.equal(enhanced.state.query, 'language:objective');
+});
+
+test('rows are paged, and a new filter goes back to the first page', { skip: SKIP }, () => {
+    const { document, enhanced, table, names, summary } = load('data-page-size="2"');
+    const nav = document.querySelector('.ignite-table-pages');
+    const next = nav.querySelector('[data-page="next"]');
+    const previous = nav.querySelector('[data-page="previous"]');
+
+    assert.deepEqual(names(), ['Finance Tracker', 'Café Widgets']);
+    assert.equal(nav.hidden, false);
+    assert.equal(nav.querySelector('.ignite-table-page').textContent, 'Page 1 of 2');
+    assert.equal(previous.disabled, true);
+
+    next.click();
+    assert.deepEqual(names(), ['Core Data Kit', 'Old Archived App']);
+    assert.equal(summary(), 'Showing 3–4 of 4 rows');
+    assert.equal(next.disabled, true);
+
+    enhanced.setQuery('swift');
+    assert.deepEqual(names(), ['Finance Tracker', 'Café Widgets']);
+    assert.equal(nav.querySelector('.ignite-table-page').textContent, 'Page 1 of 2');
+
+    // Hidden rows are taken out of the tbody, not hidden, so striping stays right
+    assert.equal(table.tBodies[0].rows.length, 2);
+    assert.equal(table.tBodies[0].igniteFilterOriginalRows.length, 4);
+});
+
+test('igniteFilterTable hands an enhanced table the query and returns it parsed', { skip: SKIP }, () => {
+    const { window, document, table, names } = load();
+
+    const query = window.igniteFilterTable('language:swift stars>10', 'repos');
+    assert.deepEqual(names(), ['Finance Tracker', 'Café Widgets']);
+    assert.equal(query, table.igniteFilterQuery);
+    assert.deepEqual(Array.from(query.clauses, clause => clause.type), ['match', 'compare']);
+    assert.equal(document.querySelector('.ignite-table-search').value, 'language:swift stars>10');
+
+    // Fuzzy matching can be switched on per call, as with plain tables
+    window.igniteFilterTable('finnance', 'repos', { fuzzy: true });
+    assert.deepEqual(names(), ['Finance Tracker']);
+});
+
+test('exports hold the rows on screen, in their order', { skip: SKIP }, () => {
+    const { enhanced, header } = load();
+    const downloads = [];
+    enhanced.download = (contents, type, extension) => downloads.push({ contents, type, extension });
+
+    enhanced.setQuery('swift');
+    header('Stars').querySelector('button').click();
+    enhanced.exportCSV();
+    enhanced.exportJSON();
+
+    assert.equal(downloads[0].contents, [
+        'Name,Language,Stars,Last updated',
+        'Old Archived App,Swift,0,"Jun 9, 2019"',
+        'Café Widgets,Swift,12,"Jan 5, 2024"',
+        'Finance Tracker,Swift,"1,204","Sep 2, 2025"',
+        ''
+    ].join('\r\n'));
+    assert.equal(downloads[0].type, 'text/csv');
+    assert.deepEqual(JSON.parse(downloads[1].contents).map(record => record.Name), ['Old Archived App', 'Café Widgets', 'Finance Tracker']);
+    assert.equal(downloads[1].extension, 'json');
+});
@@ -0,0 +1,164 @@
+//
+//  safe-html.test.js
+//  Hostile remote values through the html template, safeUrl and htmlToText
+//
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScript } = require('./helpers/browser-script');
+
+// htmlToText needs a real HTML parser; Node doesn't have one, jsdom does when it's installed
+let JSDOM = null;
+try {
+    ({ JSDOM } = require('jsdom'));
+} catch {
+    // The DOM-dependent tests are skipped
+}
+
+const SITE = 'https://iosdevpriyank.github.io/blog';
+const EXPORTS = ['html', 'safeUrl', 'htmlToText', 'SAFE_URL_FALLBACK'];
+
+function load(globals = {}) {
+    return loadBrowserScript('safe-html.js', EXPORTS, { location: { href: SITE }, ...globals });
+}
+
+const { html, safeUrl, SAFE_URL_FALLBACK } = load();
+
+test('safeUrl keeps http, https, mailto and relative URLs', () => {
+    for (const url of [
+        'https://medium.com/@priyankgandhi/post?a=1&b=2',
+        'http://example.com',
+        'mailto:someone@example.com',
+        '/projects/finance-tracker',
+        'about',
+        '#contact',
+        '?tag=swift'
+    ]) {
+        assert.equal(safeUrl(url), url);
+    }
+    assert.equal(safeUrl('  https://example.com  '), 'https://example.com');
+});
+
+test('safeUrl rejects script, data and other schemes however they are written', () => {
+    for (const url of [
+        'javascript:alert(1)',
+        'JaVaScRiPt:alert(1)',
+        ' javascript:alert(1)',
+        'java\tscript:alert(1)',
+        'java\nscript:alert(1)',
+        'java\rscript:alert(1)',
+        '\u0000javascript:alert(1)',
+        'javascript\u0000:alert(1)',
+        '\u0001\u001fjavascript:alert(1)',
+        'jav\u007fascript:alert(1)',
+        '\u0085javascript:alert(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'data:image/svg+xml;base64,PHN2Zz48L3N2Zz4=',
+        'DATA:text/html,x',
+        'vbscript:msgbox(1)',
+        'file:///etc/passwd',
+        'blob:https://iosdevpriyank.github.io/0f0f',
+        'https://[not-a-host',
+        '',
+        '   ',
+        '\t\n',
+        null,
+        undefined
+    ]) {
+        assert.equal(safeUrl(url), SAFE_URL_FALLBACK, JSON.stringify(url));
+    }
+});
+
+test('text values are escaped wherever they land', () => {
+    const payload = '<img src=x onerror=alert(1)>&amp;';
+    assert.equal(
+        String(html`<p>${payload}</p>`),
+        '<p>&lt;img src=x onerror=alert(1)&gt;&amp;amp;</p>'
+    );
+    assert.equal(String(html`<p>${null}${undefined}${false}${0}</p>`), '<p>0</p>');
+});
+
+test('quoted attribute values cannot be broken out of', () => {
+    const doubleQuoted = '" onmouseover="alert(1)" x="';
+    const singleQuoted = "' onmouseover='alert(1)' x='";
+
+    assert.equal(
+        String(html`<a title="${doubleQuoted}">x</a>`),
+        '<a title="&quot; onmouseover=&quot;alert(1)&quot; x=&quot;">x</a>'
+    );
+    assert.equal(
+        String(html`<a title='${singleQuoted}'>x</a>`),
+        '<a title=\'&#39; onmouseover=&#39;alert(1)&#39; x=&#39;\'>x</a>'
+    );
+    assert.equal(
+        String(html`<a data-x="${'"><script>alert(1)</script>'}">x</a>`),
+        '<a data-x="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;">x</a>'
+    );
+});
+
+test('URL attributes get safeUrl as well as escaping', () => {
+    assert.equal(String(html`<a href="${'javascript:alert(1)'}">x</a>`), '<a href="#">x</a>');
+    assert.equal(String(html`<img src='${'data:text/html,x'}'>`), '<img src=\'#\'>');
+    assert.equal(String(html`<a href=${'java\tscript:alert(1)'}>x</a>`), '<a href=#>x</a>');
+    assert.equal(String(html`<form action = "${'vbscript:x'}"></form>`), '<form action = "#"></form>');
+    assert.equal(String(html`<video poster="${'javascript:x'}"></video>`), '<video poster="#"></video>');
+    assert.equal(
+        String(html`<a href="${'https://example.com/?q="><script>'}">x</a>`),
+        '<a href="https://example.com/?q=&quot;&gt;&lt;script&gt;">x</a>'
+    );
+    // Only a real href/src attribute is a URL position
+    assert.equal(String(html`<a data-href="${'javascript:x'}">x</a>`), '<a data-href="javascript:x">x</a>');
+});
+
+test('CSS url() values cannot end the token or the declaration', () => {
+    const markup = String(html`<div style="background-image: url('${"x.png') ; background: url(https://evil.example/"}')"></div>`);
+    assert.doesNotMatch(markup, /url\('x\.png'\)/);
+    assert.equal(markup.match(/url\(/g).length, 1);
+    assert.equal(
+        String(html`<div style="background: url(${'javascript:alert(1)'})"></div>`),
+        '<div style="background: url(#)"></div>'
+    );
+});
+
+test('arrays and nested templates keep the checks of the position they are in', () => {
+    const remote = 'javascript:alert(1)';
+
+    assert.equal(String(html`<a href="${[remote]}">x</a>`), '<a href="#">x</a>');
+    assert.equal(String(html`<a href="${html`${remote}`}">x</a>`), '<a href="#">x</a>');
+    assert.equal(String(html`<a href="${html`/posts/${'a&b'}`}">x</a>`), '<a href="/posts/a&amp;b">x</a>');
+    assert.equal(
+        String(html`<ul>${['<b>', html`<li>${'<i>'}</li>`]}</ul>`),
+        '<ul>&lt;b&gt;<li>&lt;i&gt;</li></ul>'
+    );
+});
+
+test('only html.raw and html results skip escaping', () => {
+    // What html.raw is for: fixed markup from the page's own code
+    assert.equal(String(html`<input ${html.raw('checked')}>`), '<input checked>');
+    // And why it must never see remote data: it is inserted untouched
+    assert.equal(String(html`<p>${html.raw('<img src=x onerror=alert(1)>')}</p>`), '<p><img src=x onerror=alert(1)></p>');
+
+    // Lookalikes from parsed JSON are not trusted
+    const forged = JSON.parse('{"markup": "<script>alert(1)</script>"}');
+    assert.equal(String(html`<p>${forged}</p>`), '<p>[object Object]</p>');
+    const withToString = { toString: () => '<script>alert(1)</script>' };
+    assert.equal(String(html`<p>${withToString}</p>`), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+});
+
+test('htmlToText returns the readable text of hostile markup without running it', { skip: !JSDOM && 'jsdom is not installed' }, () => {
+    const dom = new JSDOM('', { url: SITE, runScripts: 'outside-only' });
+    let ran = false;
+    dom.window.alert = () => { ran = true; };
+    const { htmlToText } = load({ DOMParser: dom.window.DOMParser, document: dom.window.document });
+
+    assert.equal(htmlToText('<p>Tips &amp; <b>tricks</b></p>'), 'Tips & tricks');
+    assert.equal(
+        htmlToText('<p>Before</p><script>alert(1)</script><style>p{}</style><noscript>No</noscript><template><p>T</p></template><p>after</p>'),
+        'Beforeafter'
+    );
+    assert.equal(htmlToText('<img src=x onerror="alert(1)"><svg onload="alert(1)"></svg>Text'), 'Text');
+    assert.equal(htmlToText('&lt;script&gt;'), '<script>');
+    assert.equal(htmlToText(null), '');
+    assert.equal(htmlToText(undefined), '');
+    assert.equal(ran, false);
+});
@@ -0,0 +1,241 @@
+//
+//  table-query.test.js
+//  parseTableQuery, matchTableRow and fuzzyScore
+//
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScript } = require('./helpers/browser-script');
+
+const { parseTableQuery, matchTableRow, fuzzyScore, normalizeSearchText } = loadBrowserScript('table-query.js', [
+    'parseTableQuery',
+    'matchTableRow',
+    'fuzzyScore',
+    'normalizeSearchText'
+]);
+
+// Only what matchTableRow reads from a <tr>: cells with text and data-sort-value, and the row's text
+function row(...cells) {
+    const items = cells.map(cell => (typeof cell === 'string'
+        ? { textContent: cell, dataset: {} }
+        : { textContent: cell.text, dataset: { sortValue: cell.sortValue } }));
+    return { cells: items, textContent: items.map(cell => cell.textContent).join('') };
+}
+
+const columns = { name: 0, language: 1, stars: 2, 'last-updated': 3, lang: 1 };
+
+const repos = {
+    tracker: row('Finance Tracker', 'Swift', '1,204', { text: 'Sep 2, 2025', sortValue: '2025-09-02' }),
+    widgets: row('Café Widgets', 'Swift', '12', { text: 'Jan 5, 2024', sortValue: '2024-01-05' }),
+    sdk: row('Core Data Kit', 'Objective-C', '7', { text: 'Mar 1, 2023', sortValue: '2023-03-01' }),
+    archived: row('Old Archived App', 'Swift', '0', { text: 'Jun 9, 2019', sortValue: '2019-06-09' })
+};
+
+// Clauses without `raw`, which only matters for unknown columns, copied out of the script's
+// realm so deepEqual compares them by value
+function clauses(text, defaultColumn) {
+    return Array.from(parseTableQuery(text, defaultColumn).clauses, ({ raw, ...clause }) => clause);
+}
+
+function matching(text, options = { columns }) {
+    const query = parseTableQuery(text);
+    return Object.keys(repos).filter(name => matchTableRow(repos[name], query, options) > 0);
+}
+
+// SECTION: parseTableQuery
+
+test('words are separate clauses, all of which must match', () => {
+    assert.deepEqual(clauses('  swift   UI '), [
+        { type: 'match', column: null, value: 'swift', phrase: false, negated: false },
+        { type: 'match', column: null, value: 'UI', phrase: false, negated: false }
+    ]);
+    assert.equal(parseTableQuery('  swift   UI ').text, 'swift   UI');
+});
+
+test('quoted phrases stay whole', () => {
+    assert.deepEqual(clauses('"core data" kit'), [
+        { type: 'match', column: null, value: 'core data', phrase: true, negated: false },
+        { type: 'match', column: null, value: 'kit', phrase: false, negated: false }
+    ]);
+    assert.deepEqual(clauses('name:"finance tracker"'), [
+        { type: 'match', column: 'name', value: 'finance tracker', phrase: true, negated: false }
+    ]);
+    // Typing hasn't reached the closing quote yet
+    assert.deepEqual(clauses('"core da'), [
+        { type: 'match', column: null, value: 'core da', phrase: true, negated: false }
+    ]);
+});
+
+test('a leading dash negates a word, phrase or column clause', () => {
+    assert.deepEqual(clauses('-archived -"old app" -language:swift -stars>10'), [
+        { type: 'match', column: null, value: 'archived', phrase: false, negated: true },
+        { type: 'match', column: null, value: 'old app', phrase: true, negated: true },
+        { type: 'match', column: 'language', value: 'swift', phrase: false, negated: true },
+        { type: 'compare', column: 'stars', operator: '>', value: '10', negated: true }
+    ]);
+    // A lone dash is a word, not an empty exclusion
+    assert.deepEqual(clauses('-'), [
+        { type: 'match', column: null, value: '-', phrase: false, negated: false }
+    ]);
+});
+
+test('field:value scopes a clause to a column', () => {
+    assert.deepEqual(clauses('Language:Swift last-updated:2025'), [
+        { type: 'match', column: 'language', value: 'Swift', phrase: false, negated: false },
+        { type: 'match', column: 'last-updated', value: '2025', phrase: false, negated: false }
+    ]);
+    // Everything after the first colon is the value
+    assert.deepEqual(clauses('name:a:b'), [
+        { type: 'match', column: 'name', value: 'a:b', phrase: false, negated: false }
+    ]);
+});
+
+test('numeric operators compare a column', () => {
+    for (const operator of ['>', '>=', '<', '<=', '=']) {
+        assert.deepEqual(clauses(`stars${operator}10`), [
+            { type: 'compare', column: 'stars', operator, value: '10', negated: false }
+        ]);
+        // The field:value spelling of the same thing
+        assert.deepEqual(clauses(`stars:${operator}10`), clauses(`stars${operator}10`));
+    }
+    assert.deepEqual(clauses('last-updated>"Jan 2024"'), [
+        { type: 'compare', column: 'last-updated', operator: '>', value: 'Jan 2024', negated: false }
+    ]);
+});
+
+test('a default column scopes plain clauses and takes bare comparisons', () => {
+    assert.deepEqual(clauses('swift >=10', 2), [
+        { type: 'match', column: 2, value: 'swift', phrase: false, negated: false },
+        { type: 'compare', column: 2, operator: '>=', value: '10', negated: false }
+    ]);
+    assert.deepEqual(clauses('language:swift', 2), [
+        { type: 'match', column: 'language', value: 'swift', phrase: false, negated: false }
+    ]);
+    // Without one a bare comparison is just text
+    assert.deepEqual(clauses('>10'), [
+        { type: 'match', column: null, value: '>10', phrase: false, negated: false }
+    ]);
+});
+
+test('empty and malformed input never throws', () => {
+    for (const input of [undefined, null, '', '   ', 42]) {
+        assert.doesNotThrow(() => parseTableQuery(input));
+    }
+    assert.equal(parseTableQuery(null).text, '');
+    assert.equal(parseTableQuery(null).clauses.length, 0);
+    assert.equal(parseTableQuery(42).clauses[0].value, '42');
+
+    // Nothing to match: the clause is dropped
+    assert.deepEqual(clauses('"" language: stars> -""'), []);
+    assert.deepEqual(clauses(':swift'), [
+        { type: 'match', column: null, value: ':swift', phrase: false, negated: false }
+    ]);
+    assert.deepEqual(clauses('"unbalanced "quotes'), [
+        { type: 'match', column: null, value: 'unbalanced ', phrase: true, negated: false },
+        { type: 'match', column: null, value: 'quotes', phrase: false, negated: false }
+    ]);
+});
+
+// SECTION: matchTableRow
+
+test('every clause has to match, in any cell and any order', () => {
+    assert.deepEqual(matching('swift tracker'), ['tracker']);
+    assert.deepEqual(matching('TRACKER SWIFT'), ['tracker']);
+    assert.deepEqual(matching('swift kotlin'), []);
+    assert.deepEqual(matching(''), Object.keys(repos));
+});
+
+test('words match across cells but not across cell boundaries', () => {
+    // "Tracker" and "Swift" are neighbouring cells; the row text isn't "TrackerSwift"
+    assert.deepEqual(matching('trackerswift'), []);
+    assert.deepEqual(matching('"tracker swift"'), ['tracker']);
+});
+
+test('accents and case are ignored', () => {
+    assert.deepEqual(matching('cafe'), ['widgets']);
+    assert.deepEqual(matching('CAFÉ'), ['widgets']);
+    assert.equal(normalizeSearchText('Crème Brûlée'), 'creme brulee');
+});
+
+test('phrases, negation and columns narrow the match', () => {
+    assert.deepEqual(matching('"core data"'), ['sdk']);
+    assert.deepEqual(matching('"data core"'), []);
+    assert.deepEqual(matching('swift -archived'), ['tracker', 'widgets']);
+    assert.deepEqual(matching('-"old archived"'), ['tracker', 'widgets', 'sdk']);
+    assert.deepEqual(matching('language:objective'), ['sdk']);
+    assert.deepEqual(matching('lang:swift -name:café'), ['tracker', 'archived']);
+    // "Swift" is in the Language column, not the Name
+    assert.deepEqual(matching('name:swift'), []);
+});
+
+test('numeric and date comparisons use the cell value', () => {
+    assert.deepEqual(matching('stars>10'), ['tracker', 'widgets']);
+    assert.deepEqual(matching('stars>=12'), ['tracker', 'widgets']);
+    assert.deepEqual(matching('stars<12'), ['sdk', 'archived']);
+    assert.deepEqual(matching('stars<=7'), ['sdk', 'archived']);
+    assert.deepEqual(matching('stars=1204'), ['tracker']);
+    assert.deepEqual(matching('-stars>10'), ['sdk', 'archived']);
+    // data-sort-value is compared rather than the displayed date
+    assert.deepEqual(matching('last-updated>2024-01-01'), ['tracker', 'widgets']);
+    assert.deepEqual(matching('last-updated<"Jan 1, 2020"'), ['archived']);
+    // Text can't be compared as a number, so nothing matches
+    assert.deepEqual(matching('stars>many'), []);
+    assert.deepEqual(matching('name>10'), []);
+});
+
+test('an unknown column searches for the clause as typed', () => {
+    const linked = row('Docs', 'https://example.com/a');
+    assert.ok(matchTableRow(linked, parseTableQuery('https://example.com'), { columns }) > 0);
+    assert.deepEqual(matching('owner:me'), []);
+    assert.deepEqual(matching('-owner:me'), Object.keys(repos));
+});
+
+test('a cell index column and missing cells', () => {
+    const query = parseTableQuery('swift', 1);
+    assert.ok(matchTableRow(repos.tracker, query) > 0);
+    assert.equal(matchTableRow(repos.tracker, parseTableQuery('swift', 0)), 0);
+    assert.equal(matchTableRow(row('Only one cell'), parseTableQuery('x', 5)), 0);
+});
+
+// SECTION: Fuzzy matching and ranking
+
+test('fuzzyScore is 1 for a substring and less for each typo', () => {
+    assert.equal(fuzzyScore('track', 'finance tracker'), 1);
+    assert.equal(fuzzyScore('siwft', 'swift'), 1 - 1 / 6);
+    assert.equal(fuzzyScore('swfit', 'swift'), 1 - 1 / 6);
+    assert.equal(fuzzyScore('financr', 'finance tracker'), 1 - 1 / 8);
+    assert.equal(fuzzyScore('finnance', 'finance tracker'), 1 - 1 / 9);
+    assert.equal(fuzzyScore('swiftu', 'swiftui app'), 1);
+    assert.equal(fuzzyScore('swiftiu', 'swiftui app'), 1 - 1 / 8);
+});
+
+test('short words must match exactly and long ones allow two typos', () => {
+    assert.equal(fuzzyScore('ios', 'macos app'), 0);
+    assert.equal(fuzzyScore('iso', 'ios app'), 0);
+    assert.ok(fuzzyScore('trackr', 'tracker') > 0);
+    assert.equal(fuzzyScore('trxckxr', 'tracker app'), 1 - 2 / 8);
+    assert.equal(fuzzyScore('txxckxr', 'tracker app'), 0);
+    assert.equal(fuzzyScore('kotlin', 'swift tracker'), 0);
+    assert.equal(fuzzyScore('anything', ''), 0);
+});
+
+test('fuzzy matching ranks closer rows higher', () => {
+    const query = parseTableQuery('financ trackr');
+    const exact = row('Finance Tracker', 'Swift');
+    const typo = row('Fiannce Tracker', 'Swift');
+    const unrelated = row('Weather', 'Swift');
+
+    const scores = [exact, typo, unrelated].map(item => matchTableRow(item, query, { fuzzy: true }));
+    assert.ok(scores[0] > scores[1], scores.join(', '));
+    assert.ok(scores[1] > 0);
+    assert.equal(scores[2], 0);
+    // Exact matching finds nothing for the typo
+    assert.equal(matchTableRow(exact, query), 0);
+});
+
+test('fuzzy matching leaves phrases and exclusions exact', () => {
+    const beta = row('Meta Tools');
+    assert.equal(matchTableRow(beta, parseTableQuery('-beta'), { fuzzy: true }), 1);
+    assert.equal(matchTableRow(beta, parseTableQuery('"meta tolos"'), { fuzzy: true }), 0);
+    assert.ok(matchTableRow(beta, parseTableQuery('tolos'), { fuzzy: true }) > 0);
+});